@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+// mdp.js - Command-line interface: solve and simulate graph JSON files
+
+import fs from 'fs';
+import { solve, simulate, returnDistribution, analyzeChain, validate, withGraph, SOLVERS } from '../js/api.js';
+import { toCSV, solutionToCSV, batchToCSV } from '../js/csv.js';
+import { describePolicyEntry, getStepPolicy } from '../js/policy.js';
+import * as model from '../js/model.js';
+
+const USAGE = `Usage: mdp <command> [options] [files...]
+
+Commands:
+  solve         Solve each graph and print state values and the policy
+  simulate      Run Monte Carlo rollouts of the solved policy
+  distribution  Exact return distribution of the solved policy from the start state
+  chain         Markov chain of the solved policy: absorption probabilities,
+                expected steps, first-passage times, stationary distributions
+  validate      Check each graph for errors and warnings
+
+Files are graph JSON files as exported by the simulator. With no files (or "-"),
+the graph is read from standard input.
+
+Options:
+  --solver <name>      ${SOLVERS.join(' | ')} (default value-iteration)
+  --gamma <n>          Discount factor (default: the graph's)
+  --epsilon <n>        Convergence threshold (default: the graph's)
+  --horizon <n>        Decision epochs for finite-horizon (default: the graph's)
+  --risk-level <n>     CVaR level α in (0, 1] for cvar (default: the graph's)
+  --risk-aversion <n>  Risk aversion β > 0 for entropic (default: the graph's)
+  --start <state>      Start state id or label (default: the graph's)
+  --runs <n>           Episodes to simulate (default 1000)
+  --steps <n>          Maximum steps per episode (default 20)
+  --threshold <n>      Report P(return ≥ n) (distribution)
+  --atoms <n>          Support points of the distribution (default 201)
+  --undiscounted       Distribution of the undiscounted return (acyclic policies only)
+  --seed <n>           Random seed (default: the graph's; random if unset)
+  --format <fmt>       json | csv (default json)
+  --help               Show this message`;
+
+const NUMBER_OPTIONS = [
+    'gamma', 'epsilon', 'horizon', 'risk-level', 'risk-aversion', 'runs', 'steps', 'seed', 'threshold', 'atoms'
+];
+const STRING_OPTIONS = ['solver', 'start', 'format'];
+const FLAG_OPTIONS = ['undiscounted'];
+
+main(process.argv.slice(2));
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    if (args.options.help || !args.command) {
+        console.log(USAGE);
+        process.exit(args.command || args.options.help ? 0 : 2);
+    }
+
+    const commands = {
+        solve: runSolve,
+        simulate: runSimulate,
+        distribution: runDistribution,
+        chain: runChain,
+        validate: runValidate
+    };
+    const command = commands[args.command];
+    if (!command) {
+        fail(`unknown command "${args.command}"`);
+    }
+
+    const format = args.options.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+        fail(`unknown format "${format}" (expected json or csv)`);
+    }
+    if (args.options.solver && !SOLVERS.includes(args.options.solver)) {
+        fail(`unknown solver "${args.options.solver}" (expected one of ${SOLVERS.join(', ')})`);
+    }
+
+    const files = args.files.length > 0 ? args.files : ['-'];
+    const outputs = [];
+    let failed = false;
+
+    files.forEach(file => {
+        try {
+            const graph = readGraph(file);
+            outputs.push(command(file, graph, args.options, format));
+        } catch (error) {
+            failed = true;
+            console.error(`mdp: ${file === '-' ? 'stdin' : file}: ${error.message}`);
+        }
+    });
+
+    if (format === 'csv') {
+        process.stdout.write(joinCSV(outputs));
+    } else {
+        const results = files.length === 1 ? outputs[0] : outputs;
+        if (results !== undefined) {
+            console.log(JSON.stringify(results, null, 2));
+        }
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+// === COMMANDS ===
+
+function runSolve(file, graph, options, format) {
+    const solverOptions = {
+        ...solverSettings(options),
+        startStateId: resolveStart(graph, options.start)
+    };
+    const solution = solve(graph, solverOptions);
+
+    return withGraph(graph, () => {
+        if (format === 'csv') {
+            return solutionToCSV(solution, { prefix: { File: file } });
+        }
+
+        const policy = solution.policies ? getStepPolicy(solution.policies, 0) || {} : solution.policy;
+        const result = {
+            file,
+            solver: solverOptions.solver,
+            iterations: solution.iterations,
+            converged: solution.converged,
+            states: model.getAllStates().map(state => ({
+                id: state.id,
+                label: state.label,
+                value: solution.values[state.id],
+                policy: describePolicyEntry(policy, state.id),
+                action: policy[state.id] !== undefined ? policy[state.id] : null
+            }))
+        };
+        if (solution.residual !== undefined) result.residual = solution.residual;
+        if (solution.objective !== undefined) result.objective = solution.objective;
+        if (solution.constraints) result.constraints = solution.constraints;
+        if (solution.risk) {
+            // Values are the risk measure; expectedValue is the policy's mean return
+            result.risk = solution.risk;
+            result.states.forEach(entry => {
+                entry.expectedValue = solution.expectedValues[entry.id];
+                entry.riskNeutralPolicy = describePolicyEntry(solution.comparison.policy, entry.id);
+            });
+        }
+        return result;
+    });
+}
+
+function runSimulate(file, graph, options, format) {
+    const result = simulate(graph, {
+        ...solverSettings(options),
+        startStateId: resolveStart(graph, options.start),
+        runs: options.runs,
+        maxSteps: options.steps,
+        seed: options.seed
+    });
+
+    if (format === 'csv') {
+        return batchToCSV(result, { prefix: { File: file } });
+    }
+
+    const startState = withGraph(graph, () => model.getStateById(result.startStateId));
+    return {
+        file,
+        startState: startState.label,
+        seed: result.seed,
+        runs: result.numRuns,
+        solverValue: result.solverValue,
+        return: result.undiscounted,
+        discounted: result.discounted,
+        length: result.lengths,
+        truncatedRuns: result.truncatedRuns
+    };
+}
+
+function runDistribution(file, graph, options, format) {
+    const result = returnDistribution(graph, {
+        ...solverSettings(options),
+        startStateId: resolveStart(graph, options.start),
+        undiscounted: options.undiscounted,
+        atoms: options.atoms,
+        threshold: options.threshold
+    });
+
+    if (format === 'csv') {
+        const rows = [];
+        result.support.forEach((value, index) => {
+            if (result.probabilities[index] > 0) {
+                rows.push([file, value, result.probabilities[index]]);
+            }
+        });
+        return toCSV(['File', 'Return', 'Probability'], rows);
+    }
+
+    const startState = withGraph(graph, () => model.getStateById(result.startStateId));
+    const output = {
+        file,
+        startState: startState.label,
+        gamma: result.gamma,
+        iterations: result.iterations,
+        converged: result.converged,
+        mean: result.mean,
+        std: result.std,
+        min: result.min,
+        max: result.max,
+        percentiles: result.percentiles
+    };
+    if (result.threshold !== null) {
+        output.threshold = result.threshold;
+        output.probabilityAtLeast = result.probabilityAtLeast;
+    }
+    return output;
+}
+
+function runChain(file, graph, options, format) {
+    const result = analyzeChain(graph, solverSettings(options));
+
+    return withGraph(graph, () => {
+        const label = stateId => model.getStateById(stateId).label;
+        const classNames = result.recurrentClasses.map(entry => `{${entry.stateIds.map(label).join(', ')}}`);
+
+        if (format === 'csv') {
+            const rows = [];
+            model.getAllStates().forEach(state => {
+                result.absorption[state.id].forEach((prob, c) => {
+                    rows.push([file, state.label, result.expectedSteps[state.id], classNames[c], prob]);
+                });
+            });
+            return toCSV(['File', 'State', 'Expected Steps', 'Class', 'Probability'], rows);
+        }
+
+        // Infinite first-passage times (target not reached with certainty) print as null
+        return {
+            file,
+            recurrentClasses: result.recurrentClasses.map((entry, c) => ({
+                name: classNames[c],
+                period: entry.period,
+                stationary: Object.fromEntries(entry.stateIds.map(stateId => [label(stateId), entry.stationary[stateId]]))
+            })),
+            states: model.getAllStates().map(state => ({
+                id: state.id,
+                label: state.label,
+                transient: result.transientStateIds.includes(state.id),
+                expectedSteps: result.expectedSteps[state.id],
+                absorption: Object.fromEntries(classNames.map((name, c) => [name, result.absorption[state.id][c]])),
+                firstPassage: Object.fromEntries(model.getAllStates().map(target => [
+                    target.label,
+                    isFinite(result.firstPassage[state.id][target.id]) ? result.firstPassage[state.id][target.id] : null
+                ]))
+            }))
+        };
+    });
+}
+
+function runValidate(file, graph, options, format) {
+    const validation = validate(graph);
+
+    if (format === 'csv') {
+        const rows = validation.diagnostics.map(diagnostic =>
+            [file, diagnostic.severity, diagnostic.code, diagnostic.message, diagnostic.fix || '']
+        );
+        return toCSV(['File', 'Severity', 'Code', 'Message', 'Fix'], rows);
+    }
+
+    return { file, ...validation };
+}
+
+// === HELPERS ===
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg.startsWith('--') && FLAG_OPTIONS.includes(arg.slice(2))) {
+            options[arg.slice(2)] = true;
+        } else if (arg.startsWith('--')) {
+            let [name, value] = arg.slice(2).split('=', 2);
+            if (!NUMBER_OPTIONS.includes(name) && !STRING_OPTIONS.includes(name)) {
+                throw new Error(`unknown option --${name}`);
+            }
+            if (value === undefined) {
+                value = argv[++i];
+                if (value === undefined) throw new Error(`--${name} needs a value`);
+            }
+            if (NUMBER_OPTIONS.includes(name)) {
+                const number = Number(value);
+                if (!isFinite(number)) throw new Error(`--${name} must be a number`);
+                options[name] = number;
+            } else {
+                options[name] = value;
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { command: positional[0], files: positional.slice(1), options };
+}
+
+function solverSettings(options) {
+    return {
+        solver: options.solver || 'value-iteration',
+        gamma: options.gamma,
+        epsilon: options.epsilon,
+        horizon: options.horizon,
+        riskLevel: options['risk-level'],
+        riskAversion: options['risk-aversion']
+    };
+}
+
+/**
+ * Accept a state id or label for --start
+ */
+function resolveStart(graph, start) {
+    if (start === undefined) return undefined;
+
+    const states = graph.states || [];
+    const match = states.find(state => state.id === start) ||
+        states.find(state => state.label === start);
+    if (!match) {
+        throw new Error(`no state with id or label "${start}"`);
+    }
+    return match.id;
+}
+
+function readGraph(file) {
+    const text = file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+    let graph;
+    try {
+        graph = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`invalid JSON (${error.message})`);
+    }
+    if (!graph || !Array.isArray(graph.states) || !Array.isArray(graph.actions)) {
+        throw new Error('not a graph file (expected "states" and "actions" arrays)');
+    }
+    return graph;
+}
+
+/**
+ * Concatenate per-file CSV tables, keeping only the first header
+ */
+function joinCSV(tables) {
+    return tables.map((table, index) =>
+        index === 0 ? table : table.slice(table.indexOf('\n') + 1)
+    ).join('');
+}
+
+function fail(message) {
+    console.error(`mdp: ${message}\n\n${USAGE}`);
+    process.exit(2);
+}
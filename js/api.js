@@ -0,0 +1,286 @@
+// api.js - Headless API: solve and simulate plain graph objects
+//
+// The solvers read the model singleton, so each call loads the given graph,
+// runs, and restores whatever graph was loaded before. No DOM or storage
+// access, so this module runs in Node.js as well as the browser.
+
+import { deepClone, createRng } from './utils.js';
+import * as model from './model.js';
+import * as mdp from './mdp.js';
+import * as risk from './risk.js';
+import { multipleRollouts } from './simulate.js';
+import * as distributional from './distributional.js';
+import * as markov from './markov.js';
+
+export const SOLVERS = [
+    'value-iteration',
+    'policy-iteration',
+    'finite-horizon',
+    'linear-programming',
+    'constrained',
+    'cvar',
+    'entropic'
+];
+
+/**
+ * Run a function with a graph loaded into the model, then restore the previous graph
+ * @param {Object} graph - Graph in the getGraph() / exported JSON schema (not modified)
+ * @param {Function} fn - Called with no arguments while the graph is loaded
+ * @returns {*} - Whatever fn returns
+ */
+export function withGraph(graph, fn) {
+    // Nothing has changed once it returns, so listeners are not told. The live
+    // states and actions are put back as they were, not as copies, so anything
+    // holding on to them (the inspector, the undo history) still sees the model.
+    return model.withoutEvents(() => {
+        const previous = model.getGraph();
+        model.loadGraph(deepClone(graph));
+
+        try {
+            return fn();
+        } finally {
+            model.loadGraph(previous);
+        }
+    });
+}
+
+/**
+ * Run a solver on the loaded graph
+ * @param {string} solver - One of SOLVERS
+ * @param {Object} settings - { gamma, epsilon, horizon, riskLevel (CVaR α), riskAversion
+ *   (entropic β), startStateId, snapshots (value iteration only: record V after every sweep) }
+ * @param {Function} onProgress - Optional; passed to the iterative solvers (the LP
+ *   solvers finish in one step and never call it)
+ */
+export function runSolver(solver, settings, onProgress) {
+    switch (solver) {
+        case 'policy-iteration':
+            return mdp.policyIteration({
+                gamma: settings.gamma,
+                epsilon: settings.epsilon,
+                onProgress
+            });
+        case 'finite-horizon':
+            return mdp.finiteHorizon({
+                gamma: settings.gamma,
+                horizon: settings.horizon,
+                onProgress
+            });
+        case 'linear-programming':
+            return mdp.linearProgramming({
+                gamma: settings.gamma
+            });
+        case 'constrained':
+            return mdp.constrainedLP({
+                gamma: settings.gamma,
+                startStateId: settings.startStateId
+            });
+        case 'cvar':
+            return risk.cvarValueIteration({
+                gamma: settings.gamma,
+                epsilon: settings.epsilon,
+                alpha: settings.riskLevel,
+                onProgress
+            });
+        case 'entropic':
+            return risk.entropicValueIteration({
+                gamma: settings.gamma,
+                epsilon: settings.epsilon,
+                beta: settings.riskAversion,
+                onProgress
+            });
+        case 'value-iteration':
+            return mdp.valueIteration({
+                gamma: settings.gamma,
+                epsilon: settings.epsilon,
+                snapshots: settings.snapshots,
+                onProgress
+            });
+        default:
+            throw new Error(`Unknown solver: ${solver} (expected one of ${SOLVERS.join(', ')})`);
+    }
+}
+
+/**
+ * Validate a graph
+ * @returns {Object} - { valid, errors, warnings, diagnostics } (see model.diagnoseGraph)
+ */
+export function validate(graph) {
+    return withGraph(graph, () => model.validateGraph());
+}
+
+/**
+ * Solve a graph
+ * @param {Object} graph - Graph object
+ * @param {Object} options - { solver (default 'value-iteration'), gamma, epsilon,
+ *   horizon, riskLevel, riskAversion, startStateId, snapshots, onProgress }; unset options
+ *   fall back to the graph's settings
+ * @returns {Object} - The solver's solution
+ * @throws {Error} - If the graph is invalid (error.errors lists the problems)
+ */
+export function solve(graph, options = {}) {
+    return withGraph(graph, () => {
+        applyOptions(options);
+        return solveLoaded(options);
+    });
+}
+
+/**
+ * Monte Carlo simulation of a policy on a graph
+ * @param {Object} graph - Graph object
+ * @param {Object} options - { policy (default: solve with options.solver), solver,
+ *   gamma, epsilon, horizon, runs (1000), maxSteps (20), startStateId,
+ *   seed (default: the graph's seed; null for Math.random), onProgress (receives
+ *   solver progress, then { completed, total } runs) }
+ * @returns {Object} - multipleRollouts() statistics plus { startStateId, seed, solverValue }
+ *   (solverValue is the solution's expected V(start), null when a policy was given)
+ */
+export function simulate(graph, options = {}) {
+    return withGraph(graph, () => {
+        applyOptions(options);
+        const settings = model.getSettings();
+
+        if (!settings.startStateId || !model.getStateById(settings.startStateId)) {
+            throw new Error('No valid start state (set startStateId in the graph or options)');
+        }
+
+        let policy = options.policy;
+        let solverValue = null;
+        if (!policy) {
+            const solution = solveLoaded(options);
+            policy = solution.policies || solution.policy;
+            // Risk solvers' values are risk measures; the rollouts estimate the mean
+            solverValue = (solution.expectedValues || solution.values)[settings.startStateId];
+        }
+
+        const seed = options.seed !== undefined ? options.seed : settings.seed;
+        const rng = seed !== null && seed !== undefined ? createRng(seed) : Math.random;
+
+        const result = multipleRollouts(
+            policy,
+            settings.startStateId,
+            options.runs || 1000,
+            options.maxSteps || 20,
+            rng,
+            options.onProgress
+        );
+
+        return {
+            ...result,
+            startStateId: settings.startStateId,
+            seed: seed !== undefined ? seed : null,
+            solverValue
+        };
+    });
+}
+
+/**
+ * Return distribution of a policy from the start state (categorical distributional DP)
+ * @param {Object} graph - Graph object
+ * @param {Object} options - { policy (default: solve with options.solver), solver, gamma,
+ *   epsilon, startStateId, undiscounted (γ = 1 for the distribution only), atoms,
+ *   threshold, onProgress (receives solver progress, then { iteration, residual } sweeps) }
+ * @returns {Object} - { startStateId, support and probabilities (of the start state), gamma,
+ *   iterations, converged, mean, std, min, max, percentiles, threshold, probabilityAtLeast
+ *   (P(G ≥ threshold), null without a threshold) }
+ */
+export function returnDistribution(graph, options = {}) {
+    return withGraph(graph, () => {
+        applyOptions(options);
+        const settings = model.getSettings();
+
+        if (!settings.startStateId || !model.getStateById(settings.startStateId)) {
+            throw new Error('No valid start state (set startStateId in the graph or options)');
+        }
+
+        const policy = options.policy || (() => {
+            const solution = solveLoaded(options);
+            return solution.policies || solution.policy;
+        })();
+
+        const result = distributional.returnDistribution(policy, {
+            gamma: options.undiscounted ? 1 : settings.gamma,
+            epsilon: settings.epsilon,
+            atoms: options.atoms,
+            onProgress: options.onProgress
+        });
+        const support = result.supports[settings.startStateId];
+        const probabilities = result.probabilities[settings.startStateId];
+        const threshold = options.threshold !== undefined ? options.threshold : null;
+
+        return {
+            startStateId: settings.startStateId,
+            support,
+            probabilities,
+            gamma: result.gamma,
+            iterations: result.iterations,
+            converged: result.converged,
+            ...distributional.summarize(support, probabilities),
+            threshold,
+            probabilityAtLeast: threshold !== null
+                ? distributional.probabilityAtLeast(support, probabilities, threshold)
+                : null
+        };
+    });
+}
+
+/**
+ * Markov chain analysis of a policy: recurrent classes, absorption probabilities,
+ * expected steps to absorption, mean first-passage times and stationary distributions
+ * @param {Object} graph - Graph object
+ * @param {Object} options - { policy (default: solve with options.solver), solver, gamma,
+ *   epsilon, onProgress (receives solver progress) }
+ * @returns {Object} - markov.analyzeChain's result
+ */
+export function analyzeChain(graph, options = {}) {
+    return withGraph(graph, () => {
+        applyOptions(options);
+
+        // A given policy skips the solve, but the transition probabilities must still be valid
+        assertValid();
+        const policy = options.policy || (() => {
+            const solution = solveLoaded(options);
+            return solution.policies || solution.policy;
+        })();
+
+        return markov.analyzeChain(policy);
+    });
+}
+
+// === HELPERS ===
+
+/**
+ * Validate and solve the loaded graph
+ */
+function solveLoaded(options) {
+    assertValid();
+
+    const settings = { ...model.getSettings(), snapshots: options.snapshots };
+    return runSolver(options.solver || 'value-iteration', settings, options.onProgress);
+}
+
+/**
+ * Throw (with the messages in `errors`) if the loaded graph has validation errors
+ */
+function assertValid() {
+    const validation = model.validateGraph();
+    if (!validation.valid) {
+        const error = new Error('Graph has errors: ' + validation.errors.join('; '));
+        error.errors = validation.errors;
+        throw error;
+    }
+}
+
+/**
+ * Override the loaded graph's settings with explicit options, so everything
+ * that reads the model (e.g. discounted returns in rollouts) sees them
+ */
+function applyOptions(options) {
+    const settings = {};
+    ['gamma', 'epsilon', 'horizon', 'riskLevel', 'riskAversion', 'startStateId'].forEach(key => {
+        if (options[key] !== undefined && options[key] !== null) {
+            settings[key] = options[key];
+        }
+    });
+    model.updateSettings(settings);
+}
@@ -5,29 +5,39 @@ import * as ui from './ui.js';
 import * as mdp from './mdp.js';
 import * as simulate from './simulate.js';
 import * as storage from './storage.js';
+import * as projects from './projects.js';
+import * as history from './history.js';
+import * as learn from './learn.js';
+import * as layout from './layout.js';
+import { runTask } from './tasks.js';
+import { createRng } from './utils.js';
 
 // Application state
 let currentSolution = null;
+let solutionSource = null; // What produced currentSolution (e.g. 'Value Iteration'), for stored results
+let lastSimulation = null; // { kind, label, data, customPolicy } of the simulation shown, for Store Simulation
+let currentLearning = null;
+let currentTask = null; // Background solve, batch simulation, return distribution or chain analysis ({ promise, cancel })
+let solvingWith = null; // Solver of the running solve task, if that is what currentTask is
+let stepper = null; // Step-through value iteration: { values, policy, residuals, policyChanges, timer }
+
+const STEPPER_HINT = 'Each step applies one Bellman sweep, starting from V = 0';
 
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
     console.log('MDP Simulator initializing...');
     
     // Initialize model
     model.init();
     
-    // Try to load from localStorage
-    const saved = storage.load();
-    if (saved) {
-        try {
-            model.loadGraph(saved);
-            ui.setStatus('Loaded saved graph');
-        } catch (error) {
-            console.error('Failed to load saved graph:', error);
-            ui.setStatus('Failed to load saved graph');
-        }
+    // Reopen the last project (or the graph saved in localStorage)
+    try {
+        await storage.openWorkspace();
+    } catch (error) {
+        console.error('Failed to load saved graph:', error);
+        ui.setStatus('Failed to load saved graph');
     }
     
     // Initialize UI
@@ -35,9 +45,11 @@ function init() {
     
     // Wire up toolbar buttons
     setupEventListeners();
+    syncSettingsInputs();
     
     // Initial render
     ui.render();
+    refreshProjects();
     
     ui.setStatus('Ready');
 }
@@ -52,28 +64,149 @@ function setupEventListeners() {
     document.getElementById('btn-delete').addEventListener('click', handleDelete);
     document.getElementById('btn-solve').addEventListener('click', handleSolve);
     document.getElementById('btn-simulate').addEventListener('click', handleSimulate);
+    document.getElementById('btn-batch-simulate').addEventListener('click', handleBatchSimulate);
+    document.getElementById('btn-return-distribution').addEventListener('click', handleReturnDistribution);
+    document.getElementById('btn-analyze-chain').addEventListener('click', handleAnalyzeChain);
+    document.getElementById('btn-analyze-structure').addEventListener('click', handleAnalyzeStructure);
+    document.getElementById('btn-cancel-task').addEventListener('click', handleCancelTask);
+    document.getElementById('btn-vi-step').addEventListener('click', handleStepValueIteration);
+    document.getElementById('btn-vi-play').addEventListener('click', handlePlayValueIteration);
+    document.getElementById('btn-vi-reset').addEventListener('click', handleResetValueIteration);
+    document.getElementById('btn-evaluate-policy').addEventListener('click', handleEvaluatePolicy);
+    document.getElementById('btn-train').addEventListener('click', handleTrain);
+    document.getElementById('btn-use-learned-policy').addEventListener('click', handleUseLearnedPolicy);
     document.getElementById('btn-export').addEventListener('click', handleExport);
     document.getElementById('btn-import').addEventListener('click', handleImport);
     document.getElementById('btn-reset').addEventListener('click', handleReset);
     
+    // Layout
+    document.getElementById('btn-layout-all').addEventListener('click', () => handleLayout(false));
+    document.getElementById('btn-layout-selection').addEventListener('click', () => handleLayout(true));
+    
+    // Display
+    ['color-mode', 'color-scale', 'show-values', 'show-actions', 'show-components'].forEach(id => {
+        document.getElementById(id).addEventListener('change', handleDisplayChange);
+    });
+    
+    // Return distribution
+    document.getElementById('distribution-undiscounted').addEventListener('change', handleDistributionModeChange);
+    document.getElementById('distribution-threshold').addEventListener('input', event => {
+        ui.updateDistributionThreshold(parseFloat(event.target.value));
+    });
+    
+    // Canvas view
+    document.getElementById('btn-zoom-in').addEventListener('click', ui.zoomIn);
+    document.getElementById('btn-zoom-out').addEventListener('click', ui.zoomOut);
+    document.getElementById('btn-zoom-fit').addEventListener('click', handleZoomFit);
+    document.getElementById('btn-zoom-selection').addEventListener('click', handleZoomSelection);
+    
     // Settings
     document.getElementById('gamma').addEventListener('input', handleSettingsChange);
     document.getElementById('epsilon').addEventListener('input', handleSettingsChange);
+    document.getElementById('horizon').addEventListener('input', handleSettingsChange);
+    document.getElementById('risk-level').addEventListener('input', handleSettingsChange);
+    document.getElementById('risk-aversion').addEventListener('input', handleSettingsChange);
+    document.getElementById('seed').addEventListener('input', handleSeedChange);
+    document.getElementById('solver').addEventListener('change', handleSolverChange);
     document.getElementById('start-state').addEventListener('change', handleStartStateChange);
+    document.getElementById('btn-add-constraint').addEventListener('click', handleAddConstraint);
+    
+    // Problems panel
+    document.getElementById('problems-list').addEventListener('problem-fix', handleApplyFix);
+    
+    // Undo/redo
+    document.getElementById('btn-undo').addEventListener('click', handleUndo);
+    document.getElementById('btn-redo').addEventListener('click', handleRedo);
+    document.getElementById('history-list').addEventListener('history-jump', event => {
+        history.goTo(event.detail);
+        ui.render();
+    });
+    document.addEventListener('keydown', handleHistoryShortcut);
+    
+    // Projects
+    document.getElementById('btn-new-project').addEventListener('click', handleNewProject);
+    document.getElementById('project-search').addEventListener('input', refreshProjects);
+    document.getElementById('project-list').addEventListener('project-command', handleProjectCommand);
+    document.getElementById('btn-store-solution').addEventListener('click', handleStoreSolution);
+    document.getElementById('btn-store-simulation').addEventListener('click', handleStoreSimulation);
+    document.getElementById('results-list').addEventListener('result-command', handleResultCommand);
     
     // Setup autosave
     setupAutosave();
+    setupModelListeners();
 }
 
 /**
- * Setup autosave on model changes
+ * Autosave after model changes, and save before the page closes or is hidden if one is pending
  */
 function setupAutosave() {
-    // We'll use a simple approach: save whenever UI renders
-    // In a real app, you'd want more granular change detection
-    setInterval(() => {
-        storage.autosave();
-    }, 2000);
+    model.subscribe('*', () => storage.markDirty());
+    // New thumbnails and timestamps, and stored results that no longer match
+    storage.onSave(refreshProjects);
+    window.addEventListener('beforeunload', storage.saveBeforeClose);
+    window.addEventListener('pagehide', storage.saveBeforeClose);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') storage.saveBeforeClose();
+    });
+}
+
+/**
+ * Drop results that no longer match the model, and keep the settings panel in step with it
+ */
+function setupModelListeners() {
+    model.subscribe('*', event => {
+        if (invalidatesSolution(event)) invalidateSolution(event);
+    });
+    model.subscribe('settingsChanged', syncSettingsInputs);
+}
+
+/**
+ * Whether a change can alter what was solved: moving, renaming, the view and the seed
+ * cannot. The start state and the budget constraints only matter to constrained
+ * solutions, whose budgets are expectations from the start state.
+ */
+function invalidatesSolution(event) {
+    switch (event.type) {
+        case 'viewportChanged':
+            return false;
+        case 'stateUpdated':
+            return event.changes.some(key => !['x', 'y', 'label'].includes(key));
+        case 'actionUpdated':
+            return event.changes.some(key => key !== 'label');
+        case 'settingsChanged':
+            return event.changes.some(key =>
+                key === 'startStateId' ? isConstrained() : key !== 'seed'
+            );
+        case 'constraintsChanged':
+            return isConstrained();
+        case 'customPolicyChanged':
+            return Boolean(currentSolution && currentSolution.customPolicy);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Whether the solution shown or the solve running is a constrained one
+ * (its report lists the budgets, stored ones included)
+ */
+function isConstrained() {
+    return Boolean(currentSolution && currentSolution.constraints) ||
+        Boolean(currentTask && solvingWith === 'constrained');
+}
+
+function invalidateSolution(event) {
+    const cancelled = cancelTask();
+    resetStepper();
+    
+    lastSimulation = null;
+    if (currentSolution || cancelled) {
+        ui.clearSolution();
+        currentSolution = null;
+        ui.setStatus(event.type === 'settingsChanged'
+            ? 'Settings changed - please re-solve'
+            : 'Graph changed - please re-solve');
+    }
 }
 
 // === EVENT HANDLERS ===
@@ -81,65 +214,156 @@ function setupAutosave() {
 function handleAddState() {
     ui.addStateAtCenter();
     ui.setStatus('Added new state');
-    storage.autosave();
 }
 
 function handleAddAction() {
     ui.enterConnectMode();
-    storage.autosave();
 }
 
 function handleDelete() {
     ui.deleteSelected();
     ui.setStatus('Deleted selection');
-    storage.autosave();
+}
+
+/**
+ * Check the graph before running something on it; its errors are listed in the Problems panel
+ * @param {string} verb - What cannot be done, for the status message (e.g. 'solve')
+ * @returns {boolean} - Whether the graph is valid
+ */
+function checkGraph(verb) {
+    const { valid, errors } = model.validateGraph();
+    if (!valid) {
+        ui.setStatus(`Cannot ${verb}: ${errors.length} error${errors.length === 1 ? '' : 's'} (see Problems)`);
+        ui.revealProblems();
+    }
+    return valid;
 }
 
 function handleSolve() {
-    ui.setStatus('Solving MDP...');
+    if (!checkGraph('solve')) return;
+    
+    // The graph snapshot carries gamma, epsilon, horizon, the risk settings and the start state
+    const solver = document.getElementById('solver').value;
+    resetStepper();
+    
+    const select = document.getElementById('solver');
+    const source = select.options[select.selectedIndex].text;
+    startTask('solve', { solver }, 'Solving MDP...', (solution, time) => {
+        currentSolution = solution;
+        solutionSource = source;
+        
+        // Display solution
+        ui.setSolution(solution);
+        refreshVisitation();
+        ui.setStatus(`Solved in ${solution.iterations} iterations (${time}ms)`);
+        
+        console.log('Solution:', solution);
+    }, error => {
+        console.error('Failed to solve:', error);
+        ui.setStatus('Error: ' + error.message);
+        alert('Failed to solve MDP:\n' + error.message);
+    });
+}
+
+function handleEvaluatePolicy() {
+    ui.setStatus('Evaluating custom policy...');
     
     try {
-        // Validate graph first
-        const validation = model.validateGraph();
+        if (!checkGraph('evaluate')) return;
         
-        if (!validation.valid) {
-            ui.setStatus('Cannot solve: ' + validation.errors[0]);
-            alert('Graph has errors:\n' + validation.errors.join('\n'));
-            return;
-        }
+        const settings = model.getSettings();
+        const policy = model.getCustomPolicy();
+        const evaluation = mdp.policyEvaluation(policy, {
+            gamma: settings.gamma,
+            epsilon: settings.epsilon
+        });
         
-        if (validation.warnings.length > 0) {
-            console.warn('Graph has warnings:', validation.warnings);
-        }
+        // Shaped like a solver result so Simulate runs the custom policy
+        currentSolution = {
+            values: evaluation.values,
+            policy: policy,
+            iterations: evaluation.iterations,
+            converged: evaluation.converged,
+            evaluation: evaluation.method,
+            residual: evaluation.residual,
+            customPolicy: true
+        };
+        solutionSource = 'Custom policy';
+        
+        ui.setSolution(currentSolution);
+        refreshVisitation();
+        ui.setStatus(`Evaluated custom policy (${evaluation.method})`);
+        
+    } catch (error) {
+        console.error('Failed to evaluate policy:', error);
+        ui.setStatus('Error: ' + error.message);
+        alert('Failed to evaluate policy:\n' + error.message);
+    }
+}
+
+function handleTrain() {
+    ui.setStatus('Training agent...');
+    
+    try {
+        if (!checkGraph('train')) return;
         
-        // Get settings
         const settings = model.getSettings();
         
-        // Run value iteration
-        const startTime = performance.now();
-        const solution = mdp.valueIteration({
+        // Ground truth Q* for the error curve (exact, independent of the Solve button)
+        const reference = mdp.policyIteration({
             gamma: settings.gamma,
             epsilon: settings.epsilon
         });
-        const endTime = performance.now();
         
-        currentSolution = solution;
+        const startTime = performance.now();
+        const result = learn.train({
+            algorithm: document.getElementById('rl-algorithm').value,
+            episodes: parseInt(document.getElementById('rl-episodes').value) || 1000,
+            gamma: settings.gamma,
+            alpha: parseFloat(document.getElementById('rl-alpha').value) || 0.1,
+            alphaDecay: parseFloat(document.getElementById('rl-alpha-decay').value) || 0,
+            epsilonStart: parseFloat(document.getElementById('rl-epsilon-start').value),
+            epsilonEnd: parseFloat(document.getElementById('rl-epsilon-end').value),
+            epsilonDecay: document.getElementById('rl-epsilon-decay').value,
+            exploringStarts: document.getElementById('rl-exploring-starts').checked,
+            startStateId: settings.startStateId,
+            referenceValues: reference.values,
+            rng: getRng()
+        });
+        const endTime = performance.now();
         
-        // Display solution
-        ui.setSolution(solution);
+        currentLearning = result;
+        ui.showLearning(result);
         
         const time = (endTime - startTime).toFixed(2);
-        ui.setStatus(`Solved in ${solution.iterations} iterations (${time}ms)`);
-        
-        console.log('Solution:', solution);
+        ui.setStatus(`Trained ${result.episodes.length} episodes (${time}ms)`);
         
     } catch (error) {
-        console.error('Failed to solve:', error);
+        console.error('Training failed:', error);
         ui.setStatus('Error: ' + error.message);
-        alert('Failed to solve MDP:\n' + error.message);
+        alert('Training failed:\n' + error.message);
     }
 }
 
+/**
+ * Show the learned greedy policy as the current solution so Simulate follows it
+ */
+function handleUseLearnedPolicy() {
+    if (!currentLearning) return;
+    
+    currentSolution = {
+        values: currentLearning.values,
+        policy: currentLearning.policy,
+        iterations: currentLearning.episodes.length,
+        converged: false
+    };
+    solutionSource = 'Learned policy';
+    
+    ui.setSolution(currentSolution);
+    refreshVisitation();
+    ui.setStatus('Using learned greedy policy');
+}
+
 function handleSimulate() {
     if (!currentSolution) {
         ui.setStatus('Please solve the MDP first');
@@ -161,14 +385,22 @@ function handleSimulate() {
     ui.setStatus('Running simulation...');
     
     try {
+        // Finite-horizon solutions carry one policy per decision epoch
         const result = simulate.rollout(
-            currentSolution.policy,
+            currentSolution.policies || currentSolution.policy,
             startStateId,
-            maxSteps
+            maxSteps,
+            getRng()
         );
         
         ui.showSimulation(result);
         ui.setStatus(`Simulation complete: ${result.steps} steps, reward = ${result.totalReward.toFixed(2)}`);
+        lastSimulation = {
+            kind: 'simulation',
+            label: `Rollout: ${result.steps} steps, reward ${result.totalReward.toFixed(2)}`,
+            data: result,
+            customPolicy: Boolean(currentSolution.customPolicy)
+        };
         
         console.log('Simulation result:', result);
         
@@ -179,9 +411,369 @@ function handleSimulate() {
     }
 }
 
+function handleBatchSimulate() {
+    if (!currentSolution) {
+        ui.setStatus('Please solve the MDP first');
+        alert('Please solve the MDP first (click Solve button)');
+        return;
+    }
+    
+    const startStateId = model.getSettings().startStateId;
+    
+    if (!startStateId) {
+        ui.setStatus('Please select a start state');
+        alert('Please select a start state from the settings panel');
+        return;
+    }
+    
+    const maxSteps = parseInt(document.getElementById('sim-steps').value) || 20;
+    const numRuns = parseInt(document.getElementById('batch-runs').value) || 1000;
+    
+    const solution = currentSolution;
+    const options = {
+        policy: solution.policies || solution.policy,
+        startStateId,
+        runs: numRuns,
+        maxSteps,
+        seed: model.getSettings().seed
+    };
+    
+    startTask('simulate', options, `Running ${numRuns} simulations...`, (result, time) => {
+        // Risk solvers' values are risk measures; the rollouts estimate the mean
+        const solverValue = (solution.expectedValues || solution.values)[startStateId];
+        ui.showBatchSimulation(result, solverValue);
+        lastSimulation = {
+            kind: 'batch',
+            label: `${numRuns} runs, mean return ${result.discounted.mean.toFixed(2)}`,
+            data: { result, solverValue },
+            customPolicy: Boolean(solution.customPolicy)
+        };
+        ui.setStatus(`Batch complete: ${numRuns} runs, mean discounted return = ${result.discounted.mean.toFixed(2)} (${time}ms)`);
+    }, error => {
+        console.error('Batch simulation failed:', error);
+        ui.setStatus('Error: ' + error.message);
+        alert('Batch simulation failed:\n' + error.message);
+    });
+}
+
+function handleReturnDistribution() {
+    if (!currentSolution) {
+        ui.setStatus('Please solve the MDP first');
+        alert('Please solve the MDP first (click Solve button)');
+        return;
+    }
+    
+    const startStateId = model.getSettings().startStateId;
+    
+    if (!startStateId) {
+        ui.setStatus('Please select a start state');
+        alert('Please select a start state from the settings panel');
+        return;
+    }
+    
+    const solution = currentSolution;
+    const options = {
+        policy: solution.policies || solution.policy,
+        startStateId,
+        undiscounted: document.getElementById('distribution-undiscounted').checked
+    };
+    
+    startTask('distribution', options, 'Computing return distribution...', (result, time) => {
+        ui.showReturnDistribution(result, (solution.expectedValues || solution.values)[startStateId]);
+        ui.setStatus(`Return distribution: mean ${result.mean.toFixed(2)}, ` +
+            `median ${result.percentiles[50].toFixed(2)} (${time}ms)`);
+    }, error => {
+        console.error('Return distribution failed:', error);
+        ui.setStatus('Error: ' + error.message);
+        alert('Return distribution failed:\n' + error.message);
+    });
+}
+
+function handleAnalyzeChain() {
+    if (!currentSolution) {
+        ui.setStatus('Please solve the MDP first');
+        alert('Please solve the MDP first (click Solve button)');
+        return;
+    }
+    
+    const options = { policy: currentSolution.policies || currentSolution.policy };
+    
+    startTask('chain', options, 'Analyzing Markov chain...', (result, time) => {
+        ui.showChainAnalysis(result);
+        ui.setStatus(`Chain analysis: ${result.recurrentClasses.length} recurrent classes, ` +
+            `${result.transientStateIds.length} transient states (${time}ms)`);
+    }, error => {
+        console.error('Chain analysis failed:', error);
+        ui.setStatus('Error: ' + error.message);
+        alert('Chain analysis failed:\n' + error.message);
+    });
+}
+
+function handleAnalyzeStructure() {
+    const structure = model.analyzeStructure();
+    ui.showStructure(structure);
+    ui.setStatus(`Structure: ${structure.classes.length} communicating classes, ` +
+        `${structure.deadEnds.length} dead ends, ${structure.unreachable.length} unreachable, ` +
+        `${structure.unbounded.length} with unbounded reward`);
+}
+
+function handleUndo() {
+    const entry = history.undo();
+    if (!entry) {
+        ui.setStatus('Nothing to undo');
+        return;
+    }
+    ui.render();
+    ui.setStatus(`Undid: ${entry.label}`);
+}
+
+function handleRedo() {
+    const entry = history.redo();
+    if (!entry) {
+        ui.setStatus('Nothing to redo');
+        return;
+    }
+    ui.render();
+    ui.setStatus(`Redid: ${entry.label}`);
+}
+
+/**
+ * Ctrl+Z undoes; Ctrl+Y or Ctrl+Shift+Z redoes (Cmd on a Mac). Text fields keep
+ * their own undo.
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    const tag = event.target && event.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+    } else if (key === 'y' || key === 'z') {
+        event.preventDefault();
+        handleRedo();
+    }
+}
+
+/**
+ * Apply a fix from the Problems panel
+ */
+function handleApplyFix(event) {
+    const diagnostic = event.detail;
+    const scope = { ...model.removalScope(diagnostic.stateIds, diagnostic.actionIds), settings: true };
+    if (!history.perform(`Fix: ${diagnostic.fix}`, scope, () => model.applyFix(diagnostic))) {
+        ui.setStatus(`Could not apply fix: ${diagnostic.fix}`);
+        return;
+    }
+    
+    ui.render();
+    ui.setStatus(`Applied fix: ${diagnostic.fix}`);
+}
+
+/**
+ * Switching between discounted and undiscounted recomputes a distribution on show
+ */
+function handleDistributionModeChange() {
+    if (document.getElementById('distribution-inspector').style.display !== 'none') {
+        handleReturnDistribution();
+    }
+}
+
+/**
+ * Run a solve, batch simulation, return distribution or chain analysis off the main
+ * thread, showing its progress in the status panel. Starting a task cancels the one still running.
+ * @param {string} type - 'solve' | 'simulate' | 'distribution' | 'chain' (see tasks.js)
+ * @param {Object} options - Options for the api function
+ * @param {string} label - Status message while running
+ * @param {Function} onDone - Called with (result, elapsed ms as a string)
+ * @param {Function} onError - Called with the error (not on cancel)
+ */
+function startTask(type, options, label, onDone, onError) {
+    cancelTask();
+    
+    ui.setStatus(label);
+    
+    const startTime = performance.now();
+    const task = runTask(type, model.getGraph(), options, progress => {
+        if (currentTask === task) {
+            ui.showProgress(...describeProgress(progress));
+        }
+    });
+    currentTask = task;
+    solvingWith = type === 'solve' ? options.solver : null;
+    ui.showProgress(label);
+    ui.setProgressCancellable(task.cancellable);
+    
+    task.promise.then(result => {
+        if (currentTask !== task) return;
+        currentTask = null;
+        ui.hideProgress();
+        onDone(result, (performance.now() - startTime).toFixed(2));
+    }, error => {
+        if (currentTask !== task) return;
+        currentTask = null;
+        ui.hideProgress();
+        onError(error);
+    });
+}
+
+/**
+ * Stop the running task, if any; its result is discarded
+ * @returns {boolean} - Whether a task was running
+ */
+function cancelTask() {
+    if (!currentTask) return false;
+    
+    currentTask.cancel();
+    currentTask = null;
+    ui.hideProgress();
+    return true;
+}
+
+function handleCancelTask() {
+    if (cancelTask()) {
+        ui.setStatus('Cancelled');
+    }
+}
+
+// === STEP-THROUGH VALUE ITERATION ===
+
+function handleStepValueIteration() {
+    if (!startStepper()) return;
+    
+    pauseStepper();
+    stepValueIteration();
+}
+
+/**
+ * Toggle running one sweep per delay until the residual drops below ε
+ */
+function handlePlayValueIteration() {
+    if (stepper && stepper.timer) {
+        pauseStepper();
+        return;
+    }
+    if (!startStepper()) return;
+    
+    const delay = Math.max(50, parseInt(document.getElementById('vi-step-delay').value) || 500);
+    stepper.timer = setInterval(() => {
+        if (stepValueIteration()) {
+            pauseStepper();
+        }
+    }, delay);
+    stepValueIteration();
+}
+
+function handleResetValueIteration() {
+    const wasStepping = stepper !== null;
+    resetStepper();
+    
+    if (wasStepping) {
+        ui.clearSolution();
+        currentSolution = null;
+        ui.setStatus('Value iteration reset to V = 0');
+    }
+}
+
+/**
+ * Validate the graph and create the stepper (V = 0) if none is running
+ * @returns {boolean} - Whether stepping can proceed
+ */
+function startStepper() {
+    if (stepper) return true;
+    
+    if (!checkGraph('step')) return false;
+    
+    cancelTask();
+    stepper = { values: {}, policy: {}, residuals: [], policyChanges: [], timer: null };
+    
+    // Stepping is about watching V(s) evolve
+    const display = ui.getDisplayOptions();
+    if (display.colorMode !== 'value' && display.colorMode !== 'action') {
+        ui.setDisplayOptions({ colorMode: 'value' });
+    }
+    return true;
+}
+
+/**
+ * Apply one Bellman sweep and show the intermediate values and greedy policy
+ * @returns {boolean} - Whether the residual dropped below ε
+ */
+function stepValueIteration() {
+    const { gamma, epsilon } = model.getSettings();
+    const sweep = mdp.bellmanSweep(stepper.values, { gamma, policy: stepper.policy });
+    
+    stepper.values = sweep.values;
+    stepper.policy = sweep.policy;
+    stepper.residuals.push(sweep.residual);
+    stepper.policyChanges.push(sweep.policyChanges);
+    
+    const converged = sweep.residual < epsilon;
+    currentSolution = {
+        values: sweep.values,
+        policy: sweep.policy,
+        iterations: stepper.residuals.length,
+        converged: converged,
+        residuals: stepper.residuals.slice(),
+        policyChanges: stepper.policyChanges.slice()
+    };
+    solutionSource = `Value iteration, ${stepper.residuals.length} sweeps`;
+    ui.setSolution(currentSolution);
+    refreshVisitation();
+    
+    let text = `Sweep ${stepper.residuals.length}: residual ${sweep.residual.toExponential(2)}, ` +
+        `${sweep.policyChanges} policy change${sweep.policyChanges === 1 ? '' : 's'}`;
+    if (converged) {
+        text += ' - converged (residual < ε)';
+    }
+    ui.setStepperStatus(text, stepper.timer !== null);
+    ui.setStatus(text);
+    
+    return converged;
+}
+
+function pauseStepper() {
+    if (!stepper || !stepper.timer) return;
+    
+    clearInterval(stepper.timer);
+    stepper.timer = null;
+    ui.setStepperStatus(null, false);
+}
+
+/**
+ * Stop stepping and forget the intermediate values (the shown solution is kept)
+ */
+function resetStepper() {
+    if (!stepper) return;
+    
+    pauseStepper();
+    stepper = null;
+    ui.setStepperStatus(STEPPER_HINT, false);
+}
+
+/**
+ * Progress text and completed fraction (null when the total is unknown)
+ */
+function describeProgress(progress) {
+    if (progress.completed !== undefined) {
+        return [`Run ${progress.completed} of ${progress.total}`, progress.completed / progress.total];
+    }
+    if (progress.total !== undefined) {
+        return [`Epoch ${progress.iteration} of ${progress.total}`, progress.iteration / progress.total];
+    }
+    
+    let text = `Iteration ${progress.iteration}, residual ${progress.residual.toExponential(2)}`;
+    if (progress.policyChanges !== undefined) {
+        text += `, ${progress.policyChanges} policy changes`;
+    }
+    return [text, null];
+}
+
 function handleExport() {
     try {
-        storage.exportJSON();
+        const project = storage.getCurrentProject();
+        storage.exportJSON(project ? project.name : null);
         ui.setStatus('Exported graph as JSON');
     } catch (error) {
         console.error('Export failed:', error);
@@ -202,20 +794,18 @@ function handleImport() {
         try {
             const graph = await storage.importJSON(file);
             
-            // Confirm before replacing
-            const confirm = window.confirm(
+            if (storage.getCurrentProject()) {
+                // Imported graphs become projects of their own
+                const project = await storage.createProject(file.name.replace(/\.json$/i, ''), graph);
+                showLoadedGraph(graph);
+                ui.setStatus(`Imported graph as project "${project.name}"`);
+            } else if (window.confirm(
                 'Import this graph? This will replace the current graph.\n\n' +
                 `States: ${graph.states.length}\n` +
                 `Actions: ${graph.actions.length}`
-            );
-            
-            if (confirm) {
+            )) {
                 model.loadGraph(graph);
-                ui.clearSelection();
-                ui.clearSolution();
-                ui.clearSimulation();
-                currentSolution = null;
-                ui.render();
+                showLoadedGraph(graph);
                 storage.save();
                 ui.setStatus('Imported graph successfully');
             }
@@ -241,36 +831,397 @@ function handleReset() {
     
     if (confirm) {
         model.init();
-        ui.clearSelection();
-        ui.clearSolution();
-        ui.clearSimulation();
-        currentSolution = null;
+        resetView();
         ui.render();
-        storage.clear();
+        storage.save();
         ui.setStatus('Graph reset');
     }
 }
 
+/**
+ * Forget everything shown for the previous graph once another has been loaded
+ */
+function resetView() {
+    cancelTask();
+    resetStepper();
+    history.clear();
+    syncSettingsInputs();
+    ui.clearSelection();
+    ui.clearSolution();
+    ui.clearSimulation();
+    ui.clearBatchSimulation();
+    ui.clearReturnDistribution();
+    ui.clearChainAnalysis();
+    ui.clearStructure();
+    ui.clearLearning();
+    currentSolution = null;
+    currentLearning = null;
+    lastSimulation = null;
+}
+
+/**
+ * Show a graph just loaded into the model from a file or a project
+ * @param {Object} graph - The graph as loaded (to tell whether it has a viewport)
+ */
+function showLoadedGraph(graph) {
+    resetView();
+    
+    // Models from other tools may carry no usable coordinates
+    if (layout.hasMissingPositions() || layout.hasDegeneratePositions()) {
+        layout.applyLayout(layout.computeLayout('layered'));
+    }
+    
+    // Graphs saved before viewports existed open fitted to the canvas
+    if (!graph.viewport) {
+        ui.zoomToFit();
+    }
+    ui.render();
+    refreshProjects();
+}
+
+// === PROJECTS ===
+
+/**
+ * Refill the Projects panel and the open project's stored results
+ */
+async function refreshProjects() {
+    const project = storage.getCurrentProject();
+    if (!project) {
+        ui.renderProjects(null, null);
+        return;
+    }
+    
+    try {
+        const query = document.getElementById('project-search').value;
+        const [list, results] = await Promise.all([
+            projects.listProjects(query),
+            projects.listResults(project.id)
+        ]);
+        ui.renderProjects(list, storage.getCurrentProject());
+        const graph = model.getGraph();
+        ui.renderStoredResults(results, record => projects.isCurrent(record, graph));
+    } catch (error) {
+        console.error('Failed to list projects:', error);
+    }
+}
+
+/**
+ * Run a project operation, reporting failures in the status panel
+ */
+async function projectOperation(description, operation) {
+    try {
+        await operation();
+    } catch (error) {
+        console.error(`Failed to ${description}:`, error);
+        ui.setStatus(`Failed to ${description}: ${error.message}`);
+        alert(`Failed to ${description}:\n${error.message}`);
+    }
+    refreshProjects();
+}
+
+function handleNewProject() {
+    const name = window.prompt('Name of the new project:', 'Untitled');
+    if (name === null) return;
+    
+    projectOperation('create the project', async () => {
+        const project = await storage.createProject(name, { states: [], actions: [] });
+        showLoadedGraph(model.getGraph());
+        ui.setStatus(`Created project "${project.name}"`);
+    });
+}
+
+/**
+ * Open, rename, duplicate or delete a project (from the project list)
+ */
+function handleProjectCommand(event) {
+    const { command, projectId } = event.detail;
+    const current = storage.getCurrentProject();
+    
+    switch (command) {
+        case 'open':
+            if (current && current.id === projectId) return;
+            projectOperation('open the project', async () => {
+                const project = await storage.openProject(projectId);
+                showLoadedGraph(model.getGraph());
+                ui.setStatus(`Opened project "${project.name}"`);
+            });
+            break;
+        case 'rename':
+            projectOperation('rename the project', async () => {
+                const project = (await projects.listProjects()).find(other => other.id === projectId);
+                const name = project && window.prompt('New name:', project.name);
+                if (!name) return;
+                const renamed = await storage.renameProject(projectId, name);
+                ui.setStatus(`Renamed project to "${renamed.name}"`);
+            });
+            break;
+        case 'duplicate':
+            projectOperation('duplicate the project', async () => {
+                const copy = await storage.duplicateProject(projectId);
+                ui.setStatus(`Duplicated as "${copy.name}"`);
+            });
+            break;
+        case 'delete':
+            projectOperation('delete the project', async () => {
+                const project = await projects.getProject(projectId);
+                if (!project || !window.confirm(
+                    `Delete project "${project.name}" and its stored results? This cannot be undone.`
+                )) return;
+                
+                if (await storage.deleteProject(projectId)) {
+                    showLoadedGraph(model.getGraph());
+                }
+                ui.setStatus(`Deleted project "${project.name}"`);
+            });
+            break;
+    }
+}
+
+/**
+ * Store the current solution with the open project
+ */
+function handleStoreSolution() {
+    if (!currentSolution) {
+        ui.setStatus('Nothing to store: solve the MDP first');
+        return;
+    }
+    
+    const graph = model.getGraph();
+    storeResult({
+        kind: 'solution',
+        label: `${solutionSource || 'Solution'} (γ = ${graph.gamma})`,
+        data: currentSolution,
+        customPolicy: Boolean(currentSolution.customPolicy)
+    }, graph);
+}
+
+/**
+ * Store the last simulation or batch simulation with the open project
+ */
+function handleStoreSimulation() {
+    if (!lastSimulation) {
+        ui.setStatus('Nothing to store: run a simulation first');
+        return;
+    }
+    storeResult(lastSimulation, model.getGraph());
+}
+
+function storeResult(result, graph) {
+    const project = storage.getCurrentProject();
+    if (!project) {
+        ui.setStatus('Storing results needs projects (IndexedDB)');
+        return;
+    }
+    
+    projectOperation('store the result', async () => {
+        await projects.addResult(project.id, result, graph);
+        ui.setStatus(`Stored "${result.label}" with project "${project.name}"`);
+    });
+}
+
+/**
+ * Show or delete a stored result (from the stored results list)
+ */
+function handleResultCommand(event) {
+    const { command, resultId } = event.detail;
+    const project = storage.getCurrentProject();
+    if (!project) return;
+    
+    if (command === 'delete') {
+        projectOperation('delete the result', () => projects.deleteResult(resultId));
+        return;
+    }
+    
+    projectOperation('show the result', async () => {
+        const record = (await projects.listResults(project.id)).find(result => result.id === resultId);
+        if (!record || !projects.isCurrent(record, model.getGraph())) {
+            ui.setStatus('That result was computed on an earlier version of the graph');
+            return;
+        }
+        
+        if (record.kind === 'solution') {
+            cancelTask();
+            resetStepper();
+            currentSolution = record.data;
+            solutionSource = record.label;
+            ui.setSolution(currentSolution);
+            refreshVisitation();
+        } else {
+            if (record.kind === 'simulation') {
+                ui.showSimulation(record.data);
+            } else {
+                ui.showBatchSimulation(record.data.result, record.data.solverValue);
+            }
+            const { kind, label, data, customPolicy } = record;
+            lastSimulation = { kind, label, data, customPolicy };
+        }
+        ui.setStatus(`Showing stored result "${record.label}"`);
+    });
+}
+
+/**
+ * Arrange the whole graph, or only the selected states, with the chosen layout
+ */
+function handleLayout(selectionOnly) {
+    const algorithm = document.getElementById('layout-algorithm').value;
+    const stateIds = selectionOnly ? ui.getSelectedStateIds() : null;
+    
+    if (selectionOnly && stateIds.length < 2) {
+        ui.setStatus('Shift-click to select at least two states to arrange');
+        return;
+    }
+    if (model.getAllStates().length === 0) {
+        ui.setStatus('Nothing to arrange - the graph is empty');
+        return;
+    }
+    
+    try {
+        const positions = layout.computeLayout(algorithm, stateIds ? { stateIds } : {});
+        ui.animateLayout(positions, 500, () => {
+            if (!selectionOnly) ui.zoomToFit();
+        });
+        ui.setStatus(`Arranged ${Object.keys(positions).length} states`);
+    } catch (error) {
+        console.error('Layout failed:', error);
+        ui.setStatus('Error: ' + error.message);
+    }
+}
+
+function handleDisplayChange() {
+    ui.setDisplayOptions({
+        colorMode: document.getElementById('color-mode').value,
+        colorScale: document.getElementById('color-scale').value,
+        showValues: document.getElementById('show-values').checked,
+        showActions: document.getElementById('show-actions').checked,
+        showComponents: document.getElementById('show-components').checked
+    });
+    refreshVisitation();
+}
+
+/**
+ * Estimate visitation frequencies of the current policy when states are
+ * colored by visitation (Sim Steps and Batch Runs set the rollouts)
+ */
+function refreshVisitation() {
+    if (ui.getDisplayOptions().colorMode !== 'visitation') return;
+    
+    const startStateId = model.getSettings().startStateId;
+    if (!currentSolution || !startStateId) {
+        ui.setVisitation(null);
+        ui.setStatus('Solve the MDP and select a start state to color by visitation');
+        return;
+    }
+    
+    const maxSteps = parseInt(document.getElementById('sim-steps').value) || 20;
+    const numRuns = parseInt(document.getElementById('batch-runs').value) || 1000;
+    const visitation = simulate.stateVisitationFrequency(
+        currentSolution.policies || currentSolution.policy,
+        startStateId,
+        numRuns,
+        maxSteps,
+        getRng()
+    );
+    ui.setVisitation(visitation.frequencies);
+}
+
+function handleZoomFit() {
+    if (!ui.zoomToFit()) {
+        ui.setStatus('Nothing to fit - the graph is empty');
+    }
+}
+
+function handleZoomSelection() {
+    if (!ui.zoomToSelection()) {
+        ui.setStatus('Select a state or action to zoom to');
+    }
+}
+
 function handleSettingsChange() {
     const gamma = parseFloat(document.getElementById('gamma').value);
     const epsilon = parseFloat(document.getElementById('epsilon').value);
+    const horizon = parseInt(document.getElementById('horizon').value);
+    const riskLevel = parseFloat(document.getElementById('risk-level').value);
+    const riskAversion = parseFloat(document.getElementById('risk-aversion').value);
     
-    model.updateSettings({ gamma, epsilon });
+    history.perform('Change settings', { settings: true }, () => {
+        model.updateSettings({ gamma, epsilon });
+        if (horizon > 0) {
+            model.updateSettings({ horizon });
+        }
+        if (riskLevel > 0 && riskLevel <= 1) {
+            model.updateSettings({ riskLevel });
+        }
+        if (riskAversion > 0) {
+            model.updateSettings({ riskAversion });
+        }
+    }, { key: 'settings' });
+}
+
+function handleSolverChange() {
+    const solver = document.getElementById('solver').value;
+    document.getElementById('horizon-group').style.display =
+        solver === 'finite-horizon' ? 'block' : 'none';
+    document.getElementById('risk-level-group').style.display =
+        solver === 'cvar' ? 'block' : 'none';
+    document.getElementById('risk-aversion-group').style.display =
+        solver === 'entropic' ? 'block' : 'none';
+}
+
+/**
+ * Copy the model settings into the settings panel inputs
+ */
+function syncSettingsInputs() {
+    const settings = model.getSettings();
+    const inputs = {
+        gamma: settings.gamma,
+        epsilon: settings.epsilon,
+        horizon: settings.horizon,
+        'risk-level': settings.riskLevel,
+        'risk-aversion': settings.riskAversion,
+        seed: settings.seed !== null ? settings.seed : ''
+    };
+    for (const id in inputs) {
+        // Leave the field being typed in alone
+        const input = document.getElementById(id);
+        if (input !== document.activeElement) input.value = inputs[id];
+    }
+}
+
+/**
+ * The seed only changes which samples are drawn, so solutions stay valid
+ */
+function handleSeedChange() {
+    const value = document.getElementById('seed').value.trim();
+    const seed = parseInt(value);
+    model.updateSettings({ seed: value === '' || isNaN(seed) ? null : seed });
+}
+
+/**
+ * Random number generator for a simulation run: a fresh seeded stream when the
+ * graph has a seed (so the same graph + seed replays the same trajectories)
+ */
+function getRng() {
+    const seed = model.getSettings().seed;
+    return seed !== null ? createRng(seed) : Math.random;
+}
+
+function handleAddConstraint() {
+    const constrained = model.getConstraints().map(c => c.dimension);
+    const dimension = model.getCostDimensions().find(d => !constrained.includes(d));
     
-    // Clear solution if settings changed
-    if (currentSolution) {
-        ui.clearSolution();
-        currentSolution = null;
-        ui.setStatus('Settings changed - please re-solve');
+    if (!dimension) {
+        ui.setStatus('Add a named cost to an action first (Other Costs)');
+        return;
     }
     
-    storage.autosave();
+    history.perform('Add constraint', { constraints: true }, () => model.setConstraint(dimension, 0));
+    ui.renderConstraintsList();
 }
 
 function handleStartStateChange() {
     const startStateId = document.getElementById('start-state').value || null;
-    model.updateSettings({ startStateId });
-    storage.autosave();
+    history.perform('Change start state', {}, () => model.updateSettings({ startStateId }));
+    refreshVisitation();
 }
 
 // === DEMO/EXAMPLE GRAPH ===
@@ -280,6 +1231,7 @@ function handleStartStateChange() {
  */
 function loadDemoGraph() {
     model.init();
+    history.clear();
     
     // Create states
     const start = model.addState(200, 200, 'start');
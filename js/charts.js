@@ -0,0 +1,374 @@
+// charts.js - Small dependency-free SVG charts for the inspector panels
+
+import { formatNumber } from './utils.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const DEFAULT_COLORS = ['#2196F3', '#4CAF50', '#FF9800', '#9C27B0', '#f44336'];
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 44 };
+
+/**
+ * Draw a line chart into a container, replacing its contents
+ * @param {HTMLElement} container
+ * @param {Array} series - [{ label, values: number[], color }]; x is the array index
+ * @param {Object} options - { width, height, xLabel, logScale (y axis, positive values only) }
+ */
+export function lineChart(container, series, options = {}) {
+    const width = options.width || 260;
+    const height = options.height || 140;
+    const logScale = options.logScale || false;
+
+    container.innerHTML = '';
+
+    const transform = logScale
+        ? value => Math.log10(value)
+        : value => value;
+
+    // Data extent over every plottable point
+    let maxLength = 0;
+    let yMin = Infinity;
+    let yMax = -Infinity;
+    series.forEach(line => {
+        maxLength = Math.max(maxLength, line.values.length);
+        line.values.forEach(value => {
+            if (!isPlottable(value, logScale)) return;
+            yMin = Math.min(yMin, transform(value));
+            yMax = Math.max(yMax, transform(value));
+        });
+    });
+
+    if (maxLength === 0 || yMin === Infinity) {
+        container.textContent = 'No data';
+        return;
+    }
+    if (yMax - yMin < 1e-12) {
+        yMin -= 1;
+        yMax += 1;
+    }
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const xScale = index => MARGIN.left + (maxLength > 1 ? index / (maxLength - 1) : 0) * plotWidth;
+    const yScale = value => MARGIN.top + (1 - (transform(value) - yMin) / (yMax - yMin)) * plotHeight;
+
+    const chart = createSVGElement('svg', {
+        class: 'chart',
+        width: width,
+        height: height,
+        viewBox: `0 0 ${width} ${height}`
+    });
+
+    // Axes
+    appendAxes(chart, plotWidth, plotHeight);
+
+    // Y extent labels
+    const untransform = logScale ? value => Math.pow(10, value) : value => value;
+    appendText(chart, MARGIN.left - 4, MARGIN.top + 8, formatTick(untransform(yMax), logScale), 'end');
+    appendText(chart, MARGIN.left - 4, MARGIN.top + plotHeight, formatTick(untransform(yMin), logScale), 'end');
+
+    // X extent labels
+    appendText(chart, MARGIN.left, height - 8, '1', 'start');
+    appendText(chart, MARGIN.left + plotWidth, height - 8, String(maxLength), 'end');
+    if (options.xLabel) {
+        appendText(chart, MARGIN.left + plotWidth / 2, height - 8, options.xLabel, 'middle');
+    }
+
+    // Lines (gaps where values are missing or not plottable)
+    series.forEach((line, lineIndex) => {
+        const color = line.color || DEFAULT_COLORS[lineIndex % DEFAULT_COLORS.length];
+        let d = '';
+        let penDown = false;
+
+        line.values.forEach((value, index) => {
+            if (!isPlottable(value, logScale)) {
+                penDown = false;
+                return;
+            }
+            d += `${penDown ? 'L' : 'M'} ${xScale(index).toFixed(1)} ${yScale(value).toFixed(1)} `;
+            penDown = true;
+        });
+
+        chart.appendChild(createSVGElement('path', {
+            class: 'chart-line',
+            d: d.trim(),
+            stroke: color
+        }));
+    });
+
+    container.appendChild(chart);
+
+    // Legend
+    if (series.length > 1 || series[0].label) {
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        series.forEach((line, lineIndex) => {
+            const item = document.createElement('span');
+            item.className = 'chart-legend-item';
+            item.style.color = line.color || DEFAULT_COLORS[lineIndex % DEFAULT_COLORS.length];
+            item.textContent = `— ${line.label || ''}`;
+            legend.appendChild(item);
+        });
+        container.appendChild(legend);
+    }
+}
+
+/**
+ * Draw a histogram of a sample into a container, replacing its contents
+ * @param {HTMLElement} container
+ * @param {number[]} values - Sample to bin
+ * @param {Object} options - { width, height, bins, integer (one bin per integer value),
+ *   xLabel, color, markers: [{ value, label, color }] (vertical reference lines) }
+ */
+export function histogram(container, values, options = {}) {
+    const width = options.width || 260;
+    const height = options.height || 140;
+    const color = options.color || DEFAULT_COLORS[0];
+    const markers = options.markers || [];
+
+    container.innerHTML = '';
+
+    const finite = values.filter(value => isFinite(value));
+    if (finite.length === 0) {
+        container.textContent = 'No data';
+        return;
+    }
+
+    // Bin range covers the data and any reference markers
+    let xMin = Math.min(...finite);
+    let xMax = Math.max(...finite);
+    markers.forEach(marker => {
+        if (!isFinite(marker.value)) return;
+        xMin = Math.min(xMin, marker.value);
+        xMax = Math.max(xMax, marker.value);
+    });
+
+    let binCount;
+    if (options.integer) {
+        xMin = Math.floor(xMin) - 0.5;
+        xMax = Math.ceil(xMax) + 0.5;
+        binCount = Math.round(xMax - xMin);
+    } else {
+        if (xMax - xMin < 1e-12) {
+            xMin -= 0.5;
+            xMax += 0.5;
+        }
+        binCount = options.bins || 20;
+    }
+    const binWidth = (xMax - xMin) / binCount;
+
+    const counts = new Array(binCount).fill(0);
+    finite.forEach(value => {
+        const bin = Math.min(binCount - 1, Math.floor((value - xMin) / binWidth));
+        counts[bin]++;
+    });
+    const maxCount = Math.max(...counts);
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const xScale = value => MARGIN.left + (value - xMin) / (xMax - xMin) * plotWidth;
+    const yScale = count => MARGIN.top + (1 - count / maxCount) * plotHeight;
+
+    const chart = createSVGElement('svg', {
+        class: 'chart',
+        width: width,
+        height: height,
+        viewBox: `0 0 ${width} ${height}`
+    });
+
+    // Bars
+    counts.forEach((count, bin) => {
+        if (count === 0) return;
+        const x0 = xScale(xMin + bin * binWidth);
+        const x1 = xScale(xMin + (bin + 1) * binWidth);
+        const bar = createSVGElement('rect', {
+            class: 'chart-bar',
+            x: x0.toFixed(1),
+            y: yScale(count).toFixed(1),
+            width: Math.max(1, x1 - x0 - 1).toFixed(1),
+            height: (MARGIN.top + plotHeight - yScale(count)).toFixed(1),
+            fill: color
+        });
+        const title = createSVGElement('title', {});
+        title.textContent = `${formatNumber(xMin + bin * binWidth)} – ${formatNumber(xMin + (bin + 1) * binWidth)}: ${count}`;
+        bar.appendChild(title);
+        chart.appendChild(bar);
+    });
+
+    // Axes
+    appendAxes(chart, plotWidth, plotHeight);
+
+    appendText(chart, MARGIN.left - 4, MARGIN.top + 8, String(maxCount), 'end');
+    appendText(chart, MARGIN.left - 4, MARGIN.top + plotHeight, '0', 'end');
+
+    const edgeDecimals = options.integer ? 0 : 2;
+    appendText(chart, MARGIN.left, height - 8, formatNumber(options.integer ? xMin + 0.5 : xMin, edgeDecimals), 'start');
+    appendText(chart, MARGIN.left + plotWidth, height - 8, formatNumber(options.integer ? xMax - 0.5 : xMax, edgeDecimals), 'end');
+    if (options.xLabel) {
+        appendText(chart, MARGIN.left + plotWidth / 2, height - 8, options.xLabel, 'middle');
+    }
+
+    // Reference lines (e.g. the solver's V(start) over a return histogram)
+    appendMarkers(chart, markers, xScale, plotHeight);
+
+    container.appendChild(chart);
+    appendMarkerLegend(container, markers);
+}
+
+/**
+ * Draw a categorical distribution (probability per support point) into a container,
+ * replacing its contents
+ * @param {HTMLElement} container
+ * @param {number[]} support - Evenly spaced, increasing values
+ * @param {number[]} probabilities - Probability of each support value
+ * @param {Object} options - { width, height, xLabel, color,
+ *   markers: [{ value, label, color }] (vertical reference lines) }
+ */
+export function distributionChart(container, support, probabilities, options = {}) {
+    const width = options.width || 260;
+    const height = options.height || 140;
+    const color = options.color || DEFAULT_COLORS[0];
+    const markers = options.markers || [];
+
+    container.innerHTML = '';
+
+    if (support.length === 0) {
+        container.textContent = 'No data';
+        return;
+    }
+
+    // Each value gets a bar one support spacing wide, centred on it
+    const spacing = support.length > 1 ? support[1] - support[0] : 1;
+    let xMin = support[0] - spacing / 2;
+    let xMax = support[support.length - 1] + spacing / 2;
+    markers.forEach(marker => {
+        if (!isFinite(marker.value)) return;
+        xMin = Math.min(xMin, marker.value);
+        xMax = Math.max(xMax, marker.value);
+    });
+    const maxProbability = Math.max(...probabilities);
+
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const xScale = value => MARGIN.left + (value - xMin) / (xMax - xMin) * plotWidth;
+    const yScale = probability => MARGIN.top + (1 - probability / maxProbability) * plotHeight;
+
+    const chart = createSVGElement('svg', {
+        class: 'chart',
+        width: width,
+        height: height,
+        viewBox: `0 0 ${width} ${height}`
+    });
+
+    // Bars
+    support.forEach((value, index) => {
+        const probability = probabilities[index];
+        if (!(probability > 1e-9)) return;
+        const x0 = xScale(value - spacing / 2);
+        const x1 = xScale(value + spacing / 2);
+        const bar = createSVGElement('rect', {
+            class: 'chart-bar',
+            x: x0.toFixed(1),
+            y: yScale(probability).toFixed(1),
+            width: Math.max(1, x1 - x0).toFixed(1),
+            height: (MARGIN.top + plotHeight - yScale(probability)).toFixed(1),
+            fill: color
+        });
+        const title = createSVGElement('title', {});
+        title.textContent = `${formatNumber(value)}: ${formatNumber(probability, 4)}`;
+        bar.appendChild(title);
+        chart.appendChild(bar);
+    });
+
+    // Axes
+    appendAxes(chart, plotWidth, plotHeight);
+
+    appendText(chart, MARGIN.left - 4, MARGIN.top + 8, formatNumber(maxProbability, 3), 'end');
+    appendText(chart, MARGIN.left - 4, MARGIN.top + plotHeight, '0', 'end');
+
+    appendText(chart, MARGIN.left, height - 8, formatNumber(xMin, 2), 'start');
+    appendText(chart, MARGIN.left + plotWidth, height - 8, formatNumber(xMax, 2), 'end');
+    if (options.xLabel) {
+        appendText(chart, MARGIN.left + plotWidth / 2, height - 8, options.xLabel, 'middle');
+    }
+
+    appendMarkers(chart, markers, xScale, plotHeight);
+
+    container.appendChild(chart);
+    appendMarkerLegend(container, markers);
+}
+
+// === HELPERS ===
+
+function isPlottable(value, logScale) {
+    return value !== null && value !== undefined && isFinite(value) && (!logScale || value > 0);
+}
+
+function formatTick(value, logScale) {
+    if (logScale && (value < 0.01 || value >= 1e4)) {
+        return value.toExponential(0);
+    }
+    return formatNumber(value, 2);
+}
+
+function appendAxes(chart, plotWidth, plotHeight) {
+    chart.appendChild(createSVGElement('line', {
+        class: 'chart-axis',
+        x1: MARGIN.left, y1: MARGIN.top,
+        x2: MARGIN.left, y2: MARGIN.top + plotHeight
+    }));
+    chart.appendChild(createSVGElement('line', {
+        class: 'chart-axis',
+        x1: MARGIN.left, y1: MARGIN.top + plotHeight,
+        x2: MARGIN.left + plotWidth, y2: MARGIN.top + plotHeight
+    }));
+}
+
+function markerColor(marker, index) {
+    return marker.color || DEFAULT_COLORS[(index + 1) % DEFAULT_COLORS.length];
+}
+
+function appendMarkers(chart, markers, xScale, plotHeight) {
+    markers.forEach((marker, index) => {
+        if (!isFinite(marker.value)) return;
+        const x = xScale(marker.value).toFixed(1);
+        chart.appendChild(createSVGElement('line', {
+            class: 'chart-marker',
+            x1: x, y1: MARGIN.top,
+            x2: x, y2: MARGIN.top + plotHeight,
+            stroke: markerColor(marker, index)
+        }));
+    });
+}
+
+function appendMarkerLegend(container, markers) {
+    if (markers.length === 0) return;
+
+    const legend = document.createElement('div');
+    legend.className = 'chart-legend';
+    markers.forEach((marker, index) => {
+        const item = document.createElement('span');
+        item.className = 'chart-legend-item';
+        item.style.color = markerColor(marker, index);
+        item.textContent = `| ${marker.label || ''}`;
+        legend.appendChild(item);
+    });
+    container.appendChild(legend);
+}
+
+function appendText(chart, x, y, text, anchor) {
+    const element = createSVGElement('text', {
+        class: 'chart-label',
+        x: x,
+        y: y,
+        'text-anchor': anchor
+    });
+    element.textContent = text;
+    chart.appendChild(element);
+}
+
+function createSVGElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const name in attributes) {
+        element.setAttribute(name, attributes[name]);
+    }
+    return element;
+}
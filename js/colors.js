@@ -0,0 +1,85 @@
+// colors.js - Color scales for shading states (no DOM)
+
+// Diverging scales: [negative end, neutral midpoint, positive end]
+export const DIVERGING_SCALES = {
+    'red-blue': ['#d6604d', '#f7f7f7', '#4393c3'],
+    'purple-green': ['#9970ab', '#f7f7f7', '#5aae61'],
+    'orange-purple': ['#e08214', '#f7f7f7', '#8073ac']
+};
+
+// Light categorical palette (dark label text stays readable on every entry)
+const CATEGORICAL = [
+    '#8dd3c7', '#ffffb3', '#bebada', '#fb8072', '#80b1d3',
+    '#fdb462', '#b3de69', '#fccde5', '#d9d9d9', '#bc80bd'
+];
+
+// Dark categorical palette for lines drawn over the white canvas
+const CATEGORICAL_DARK = [
+    '#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e',
+    '#e6ab02', '#a6761d', '#666666'
+];
+
+/**
+ * Domain of a diverging scale for some data: symmetric about 0, and only the
+ * halves the data uses (all-positive data maps onto neutral..positive)
+ * @param {number[]} values
+ * @returns {Object} - { min, max } with min ≤ 0 ≤ max
+ */
+export function divergingDomain(values) {
+    const finite = values.filter(value => isFinite(value));
+    const extent = Math.max(0, ...finite.map(Math.abs));
+    const hasNegative = finite.some(value => value < 0);
+    const hasPositive = finite.some(value => value > 0);
+
+    return {
+        min: hasNegative ? -extent : 0,
+        max: hasPositive ? extent : 0
+    };
+}
+
+/**
+ * Color of a value on a diverging scale: 0 is neutral, ±extent the ends
+ * @param {number} value
+ * @param {Object} domain - From divergingDomain()
+ * @param {string} scaleName - Key of DIVERGING_SCALES
+ * @returns {string} - '#rrggbb'
+ */
+export function divergingColor(value, domain, scaleName) {
+    const [negative, neutral, positive] = DIVERGING_SCALES[scaleName] || DIVERGING_SCALES['red-blue'];
+    const extent = Math.max(-domain.min, domain.max);
+
+    if (!isFinite(value) || extent === 0 || value === 0) {
+        return neutral;
+    }
+
+    const t = Math.min(1, Math.abs(value) / extent);
+    return interpolate(neutral, value < 0 ? negative : positive, t);
+}
+
+/**
+ * Color for the index-th category (cycles after the palette runs out)
+ */
+export function categoricalColor(index) {
+    return CATEGORICAL[index % CATEGORICAL.length];
+}
+
+/**
+ * Line color for the index-th category (cycles after the palette runs out)
+ */
+export function categoricalLineColor(index) {
+    return CATEGORICAL_DARK[index % CATEGORICAL_DARK.length];
+}
+
+// === HELPERS ===
+
+function interpolate(from, to, t) {
+    const a = parseHex(from);
+    const b = parseHex(to);
+    return '#' + a.map((channel, i) =>
+        Math.round(channel + (b[i] - channel) * t).toString(16).padStart(2, '0')
+    ).join('');
+}
+
+function parseHex(color) {
+    return [1, 3, 5].map(offset => parseInt(color.slice(offset, offset + 2), 16));
+}
@@ -0,0 +1,94 @@
+// csv.js - CSV formatting for solutions and simulations (no DOM)
+//
+// Shared by the browser downloads in storage.js and the command-line tool.
+
+import { describePolicyEntry, getStepPolicy } from './policy.js';
+import * as model from './model.js';
+
+/**
+ * Build CSV text from a header and rows
+ * Strings are quoted (with embedded quotes doubled); numbers are written as-is.
+ */
+export function toCSV(header, rows) {
+    const lines = [header.join(',')];
+    rows.forEach(row => {
+        lines.push(row.map(formatField).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Value and policy per state
+ * @param {Object} solution - Any solver result ({ values, policy } or per-step policies)
+ * @param {Object} options - { prefix: extra leading columns, e.g. { File: 'a.json' } }
+ */
+export function solutionToCSV(solution, options = {}) {
+    const prefix = options.prefix || {};
+    const policy = solution.policies ? getStepPolicy(solution.policies, 0) || {} : solution.policy;
+
+    const rows = model.getAllStates().map(state => {
+        const value = solution.values[state.id] !== undefined
+            ? solution.values[state.id].toFixed(4)
+            : 'N/A';
+        const policyDescription = describePolicyEntry(policy, state.id);
+
+        return [
+            ...Object.values(prefix),
+            state.label,
+            raw(value),
+            policyDescription !== '--' ? policyDescription : 'N/A'
+        ];
+    });
+
+    return toCSV([...Object.keys(prefix), 'State', 'Value', 'Policy'], rows);
+}
+
+/**
+ * One row per step of a single rollout
+ */
+export function trajectoryToCSV(simulationResult) {
+    const rows = simulationResult.trajectory.map((step, idx) => [
+        idx,
+        step.state,
+        step.action || 'N/A',
+        raw(step.reward !== undefined ? step.reward.toFixed(2) : 'N/A'),
+        raw(step.cumulative !== undefined ? step.cumulative.toFixed(2) : 'N/A')
+    ]);
+
+    return toCSV(['Step', 'State', 'Action', 'Reward', 'Cumulative'], rows);
+}
+
+/**
+ * One row per episode of a batch (multipleRollouts)
+ * @param {Object} options - { prefix: extra leading columns }
+ */
+export function batchToCSV(batchResult, options = {}) {
+    const prefix = options.prefix || {};
+
+    const rows = batchResult.results.map((result, idx) => [
+        ...Object.values(prefix),
+        idx + 1,
+        result.totalReward,
+        result.discountedReward,
+        result.steps,
+        result.truncated ? 'yes' : 'no'
+    ]);
+
+    return toCSV([...Object.keys(prefix), 'Run', 'Return', 'Discounted', 'Steps', 'Truncated'], rows);
+}
+
+// === HELPERS ===
+
+/**
+ * Pre-formatted field written without quotes (e.g. fixed-precision numbers, 'N/A')
+ */
+function raw(text) {
+    return { raw: text };
+}
+
+function formatField(value) {
+    if (value && typeof value === 'object' && 'raw' in value) return value.raw;
+    if (typeof value === 'number') return String(value);
+    if (value === null || value === undefined) return '';
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
@@ -0,0 +1,349 @@
+// distributional.js - Return distribution of a fixed policy (no DOM)
+//
+// Categorical distributional dynamic programming (as in C51): each state's
+// return distribution lives on a fixed grid of atoms z_1 < ... < z_N spanning
+// the smallest to the largest return possible from that state, and the
+// distributional Bellman operator
+//   η(s) = Σ P(branch) · law(reward + γ G(s'))
+// is applied until it stops changing, with each shifted atom split between its
+// two neighbouring grid points. The split keeps the mean, and the grids are
+// wide enough that nothing is cut off, so the distribution's mean equals the
+// policy's value; percentiles are accurate to one atom spacing.
+
+import { getActionProbabilities } from './policy.js';
+import { round } from './utils.js';
+import * as distributions from './distributions.js';
+import * as model from './model.js';
+
+const DEFAULT_ATOMS = 201;
+
+// Percentiles reported by summarize()
+export const PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+// Points used for uniform and normal rewards (see distributions.discretize)
+const REWARD_POINTS = 11;
+
+// Iterations allowed for the return bounds that place the grid
+const BOUNDS_MAX_ITERATIONS = 10000;
+
+// Decimals kept in probabilityAtLeast(): the projection leaves ~1e-13 on neighbouring atoms
+const PROBABILITY_DECIMALS = 10;
+
+/**
+ * Distribution of the return from every state under a policy
+ * @param {Object} policy - Stationary policy (state -> action id, or state -> { actionId: prob })
+ * @param {Object} options - { gamma (1 for the undiscounted return; needs a policy that
+ *   cannot revisit a state), epsilon (on the largest change in any state's distribution,
+ *   measured like the value residual: the area between successive CDFs), atoms, maxIterations,
+ *   onProgress({ iteration, residual }) called after each sweep }
+ * @returns {Object} - { supports: { stateId: number[] }, probabilities: { stateId: number[] },
+ *   gamma, iterations, converged }
+ */
+export function returnDistribution(policy, options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    const epsilon = options.epsilon !== undefined ? options.epsilon : graph.epsilon;
+    const atoms = options.atoms || DEFAULT_ATOMS;
+    const maxIterations = options.maxIterations || 1000;
+
+    if (Array.isArray(policy)) {
+        throw new Error('Return distributions need a stationary policy (not a finite-horizon one)');
+    }
+    if (!(gamma >= 0 && gamma <= 1)) {
+        throw new Error('γ must be between 0 and 1');
+    }
+
+    const validation = model.validateGraph();
+    if (!validation.valid) {
+        throw new Error('Graph has validation errors: ' + validation.errors.join(', '));
+    }
+
+    const branches = policyBranches(policy);
+    if (gamma === 1) {
+        const cycleState = findCycle(branches);
+        if (cycleState) {
+            throw new Error(`The undiscounted return is unbounded: the policy can return to "${cycleState.label}"`);
+        }
+    }
+
+    const supports = buildSupports(branches, gamma, atoms);
+
+    // Start from G = 0 everywhere (or the nearest end of the grid)
+    let probabilities = {};
+    graph.states.forEach(state => {
+        probabilities[state.id] = new Array(supports[state.id].length).fill(0);
+        project(probabilities[state.id], supports[state.id], 0, 1);
+    });
+
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations) {
+        iterations++;
+
+        const next = {};
+        let change = 0;
+
+        for (const state of graph.states) {
+            const support = supports[state.id];
+            const p = new Array(support.length).fill(0);
+
+            branches[state.id].forEach(branch => {
+                if (branch.stateId === null) {
+                    branch.rewards.forEach(reward => {
+                        project(p, support, reward.value, branch.prob * reward.prob);
+                    });
+                    return;
+                }
+
+                const nextSupport = supports[branch.stateId];
+                const nextProbabilities = probabilities[branch.stateId];
+                branch.rewards.forEach(reward => {
+                    nextProbabilities.forEach((mass, j) => {
+                        if (mass === 0) return;
+                        project(p, support, reward.value + gamma * nextSupport[j], branch.prob * reward.prob * mass);
+                    });
+                });
+            });
+
+            next[state.id] = p;
+            change = Math.max(change, wassersteinDistance(p, probabilities[state.id], support));
+        }
+
+        probabilities = next;
+
+        if (options.onProgress) {
+            options.onProgress({ iteration: iterations, residual: change });
+        }
+
+        if (change < epsilon) {
+            converged = true;
+            break;
+        }
+    }
+
+    return { supports, probabilities, gamma, iterations, converged };
+}
+
+/**
+ * Smallest atom z with P(G ≤ z) ≥ q
+ * @param {number} q - In [0, 1]
+ */
+export function quantile(support, probabilities, q) {
+    let cumulative = 0;
+    for (let j = 0; j < support.length; j++) {
+        cumulative += probabilities[j];
+        if (cumulative >= q - 1e-12) return support[j];
+    }
+    return support[support.length - 1];
+}
+
+/**
+ * P(G ≥ threshold); an atom within rounding error of the threshold counts as reaching it
+ */
+export function probabilityAtLeast(support, probabilities, threshold) {
+    const tolerance = 1e-9 * Math.max(1, Math.abs(threshold));
+    let total = 0;
+    support.forEach((z, j) => {
+        if (z >= threshold - tolerance) total += probabilities[j];
+    });
+    return Math.min(1, Math.max(0, round(total, PROBABILITY_DECIMALS)));
+}
+
+/**
+ * Mean, standard deviation, range (atoms with any probability) and PERCENTILES of a distribution
+ * @returns {Object} - { mean, std, min, max, percentiles: { 5: z, 10: z, ... } }
+ */
+export function summarize(support, probabilities) {
+    let mean = 0;
+    let min = null;
+    let max = null;
+    support.forEach((z, j) => {
+        mean += probabilities[j] * z;
+        if (probabilities[j] > 1e-12) {
+            if (min === null) min = z;
+            max = z;
+        }
+    });
+
+    const variance = support.reduce((total, z, j) => total + probabilities[j] * (z - mean) * (z - mean), 0);
+
+    const percentiles = {};
+    PERCENTILES.forEach(percent => {
+        percentiles[percent] = quantile(support, probabilities, percent / 100);
+    });
+
+    return { mean, std: Math.sqrt(Math.max(0, variance)), min, max, percentiles };
+}
+
+// === HELPERS ===
+
+/**
+ * Each state's successors under the policy, with the reward received on the way:
+ * { stateId: [{ prob, stateId, rewards: [{ value, prob }] }] }. Terminal states, and
+ * states the policy does not act in, end with their own reward (an absorbing branch
+ * to a zero-return sink, written stateId null).
+ */
+function policyBranches(policy) {
+    const branches = {};
+
+    for (const state of model.getAllStates()) {
+        const stateRewards = distributions.discretize(model.getReward(state), REWARD_POINTS);
+        const probabilities = state.terminal ? {} : getActionProbabilities(policy, state.id);
+        const list = [];
+
+        for (const actionId in probabilities) {
+            const action = model.getActionById(actionId);
+            if (!action || probabilities[actionId] <= 0) continue;
+
+            action.outcomes.forEach(outcome => {
+                if (outcome.prob <= 0) return;
+                const outcomeRewards = distributions.discretize(model.getReward(outcome), REWARD_POINTS);
+                list.push({
+                    prob: probabilities[actionId] * outcome.prob,
+                    stateId: outcome.toStateId,
+                    rewards: combine(stateRewards, outcomeRewards, -action.cost)
+                });
+            });
+        }
+
+        branches[state.id] = list.length > 0
+            ? list
+            : [{ prob: 1, stateId: null, rewards: stateRewards }];
+    }
+
+    return branches;
+}
+
+/**
+ * Distribution of a + b + shift for independent discrete a and b
+ */
+function combine(a, b, shift) {
+    const result = [];
+    a.forEach(x => {
+        b.forEach(y => {
+            result.push({ value: x.value + y.value + shift, prob: x.prob * y.prob });
+        });
+    });
+    return result;
+}
+
+/**
+ * Each state's grid, spanning its smallest and largest possible return (found by
+ * fixed-policy value iteration on the worst and best reward of every branch).
+ * Shifting and scaling a successor's grid then always lands inside the state's own.
+ */
+function buildSupports(branches, gamma, atoms) {
+    const states = model.getAllStates();
+    let low = {};
+    let high = {};
+    states.forEach(state => {
+        low[state.id] = 0;
+        high[state.id] = 0;
+    });
+
+    const bound = (values, pick) => stateId => {
+        const candidates = branches[stateId].map(branch =>
+            pick(...branch.rewards.map(reward => reward.value)) +
+            (branch.stateId === null ? 0 : gamma * values[branch.stateId])
+        );
+        return pick(...candidates);
+    };
+
+    for (let i = 0; i < BOUNDS_MAX_ITERATIONS; i++) {
+        const nextLow = {};
+        const nextHigh = {};
+        let change = 0;
+
+        states.forEach(state => {
+            nextLow[state.id] = bound(low, Math.min)(state.id);
+            nextHigh[state.id] = bound(high, Math.max)(state.id);
+            change = Math.max(change,
+                Math.abs(nextLow[state.id] - low[state.id]),
+                Math.abs(nextHigh[state.id] - high[state.id]));
+        });
+
+        low = nextLow;
+        high = nextHigh;
+        if (change < 1e-9) break;
+    }
+
+    const supports = {};
+    states.forEach(state => {
+        const zMin = low[state.id];
+        const zMax = high[state.id];
+        supports[state.id] = zMax - zMin < 1e-12
+            ? [zMin]
+            : Array.from({ length: atoms }, (unused, j) => zMin + (zMax - zMin) * j / (atoms - 1));
+    });
+    return supports;
+}
+
+/**
+ * Add mass at x to a categorical distribution, split linearly between the
+ * neighbouring atoms (values off the grid go to the nearest end)
+ */
+function project(probabilities, support, x, mass) {
+    const last = support.length - 1;
+    if (last === 0) {
+        probabilities[0] += mass;
+        return;
+    }
+
+    const position = Math.min(last, Math.max(0, (x - support[0]) / (support[1] - support[0])));
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    if (lower === upper) {
+        probabilities[lower] += mass;
+    } else {
+        probabilities[lower] += mass * (upper - position);
+        probabilities[upper] += mass * (position - lower);
+    }
+}
+
+/**
+ * Area between the cumulative distributions of p and q on the same grid (the
+ * 1-Wasserstein distance, an upper bound on the difference of their means)
+ */
+function wassersteinDistance(p, q, support) {
+    let a = 0;
+    let b = 0;
+    let distance = 0;
+    for (let j = 0; j < p.length - 1; j++) {
+        a += p[j];
+        b += q[j];
+        distance += Math.abs(a - b) * (support[j + 1] - support[j]);
+    }
+    return distance;
+}
+
+/**
+ * A state on a cycle the policy can follow with positive probability, or null
+ */
+function findCycle(branches) {
+    const visiting = new Set();
+    const done = new Set();
+
+    const visit = stateId => {
+        if (done.has(stateId)) return null;
+        if (visiting.has(stateId)) return stateId;
+        visiting.add(stateId);
+
+        for (const branch of branches[stateId]) {
+            if (branch.stateId === null) continue;
+            const found = visit(branch.stateId);
+            if (found) return found;
+        }
+
+        visiting.delete(stateId);
+        done.add(stateId);
+        return null;
+    };
+
+    for (const state of model.getAllStates()) {
+        const found = visit(state.id);
+        if (found) return model.getStateById(found);
+    }
+    return null;
+}
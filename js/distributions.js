@@ -0,0 +1,267 @@
+// distributions.js - Reward distributions (no DOM)
+//
+// A reward is either a number or one of:
+//   { type: 'constant', value }
+//   { type: 'uniform', min, max }
+//   { type: 'normal', mean, std }
+//   { type: 'discrete', values: [{ value, prob }] }
+// Solvers only need the mean; rollouts draw samples.
+
+export const DISTRIBUTION_TYPES = ['constant', 'uniform', 'normal', 'discrete'];
+
+const PROB_TOLERANCE = 1e-4;
+
+/**
+ * Whether a reward is a distribution object (rather than a plain number)
+ */
+export function isDistribution(reward) {
+    return reward !== null && typeof reward === 'object';
+}
+
+/**
+ * Whether a reward always takes the same value
+ */
+export function isConstant(reward) {
+    if (!isDistribution(reward)) return true;
+
+    switch (reward.type) {
+        case 'constant':
+            return true;
+        case 'uniform':
+            return reward.min === reward.max;
+        case 'normal':
+            return reward.std === 0;
+        case 'discrete':
+            return new Set(reward.values.filter(entry => entry.prob > 0).map(entry => entry.value)).size <= 1;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Expected value
+ */
+export function mean(reward) {
+    if (!isDistribution(reward)) return reward;
+
+    switch (reward.type) {
+        case 'constant':
+            return reward.value;
+        case 'uniform':
+            return (reward.min + reward.max) / 2;
+        case 'normal':
+            return reward.mean;
+        case 'discrete':
+            return reward.values.reduce((total, entry) => total + entry.prob * entry.value, 0);
+        default:
+            throw new Error(`Unknown distribution type: ${reward.type}`);
+    }
+}
+
+/**
+ * Variance
+ */
+export function variance(reward) {
+    if (!isDistribution(reward)) return 0;
+
+    switch (reward.type) {
+        case 'constant':
+            return 0;
+        case 'uniform':
+            return Math.pow(reward.max - reward.min, 2) / 12;
+        case 'normal':
+            return reward.std * reward.std;
+        case 'discrete': {
+            const mu = mean(reward);
+            return reward.values.reduce((total, entry) => total + entry.prob * Math.pow(entry.value - mu, 2), 0);
+        }
+        default:
+            throw new Error(`Unknown distribution type: ${reward.type}`);
+    }
+}
+
+/**
+ * Certainty equivalent under exponential utility: -1/β log E[exp(-β X)].
+ * β > 0 is risk-averse (the result lies below the mean), β = 0 gives the mean.
+ */
+export function certaintyEquivalent(reward, beta) {
+    if (!isDistribution(reward) || beta === 0) return mean(reward);
+
+    switch (reward.type) {
+        case 'constant':
+            return reward.value;
+        case 'uniform': {
+            const width = reward.max - reward.min;
+            if (width === 0) return reward.min;
+            // E[exp(-βX)] = exp(-β min) (1 - exp(-β width)) / (β width)
+            return reward.min - Math.log(-Math.expm1(-beta * width) / (beta * width)) / beta;
+        }
+        case 'normal':
+            return reward.mean - beta * reward.std * reward.std / 2;
+        case 'discrete': {
+            // Log-sum-exp, shifted by the largest exponent
+            const entries = reward.values.filter(entry => entry.prob > 0);
+            const shift = Math.max(...entries.map(entry => -beta * entry.value));
+            const total = entries.reduce((sum, entry) =>
+                sum + entry.prob * Math.exp(-beta * entry.value - shift), 0);
+            return -(shift + Math.log(total)) / beta + 0; // not -0 for a certain 0
+        }
+        default:
+            throw new Error(`Unknown distribution type: ${reward.type}`);
+    }
+}
+
+/**
+ * Finite approximation as [{ value, prob }]: discrete distributions as they are,
+ * uniform and normal ones as `points` values with the same mean
+ * (equal-width bins for the uniform, a ±3σ grid weighted by the density for the normal)
+ */
+export function discretize(reward, points = 11) {
+    if (isConstant(reward)) return [{ value: mean(reward), prob: 1 }];
+
+    switch (reward.type) {
+        case 'uniform': {
+            const width = (reward.max - reward.min) / points;
+            return Array.from({ length: points }, (unused, i) => ({
+                value: reward.min + (i + 0.5) * width,
+                prob: 1 / points
+            }));
+        }
+        case 'normal': {
+            const xs = Array.from({ length: points }, (unused, i) => -3 + 6 * i / (points - 1));
+            const weights = xs.map(x => Math.exp(-x * x / 2));
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            return xs.map((x, i) => ({ value: reward.mean + reward.std * x, prob: weights[i] / total }));
+        }
+        case 'discrete':
+            return reward.values.filter(entry => entry.prob > 0).map(entry => ({ ...entry }));
+        default:
+            throw new Error(`Unknown distribution type: ${reward.type}`);
+    }
+}
+
+/**
+ * Draw one sample
+ * @param {number|Object} reward
+ * @param {Function} rng - Uniform [0, 1) generator
+ */
+export function sample(reward, rng = Math.random) {
+    if (!isDistribution(reward)) return reward;
+
+    switch (reward.type) {
+        case 'constant':
+            return reward.value;
+        case 'uniform':
+            return reward.min + rng() * (reward.max - reward.min);
+        case 'normal': {
+            // Box-Muller; 1 - u keeps the logarithm finite
+            const u = 1 - rng();
+            const v = rng();
+            return reward.mean + reward.std * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+        case 'discrete': {
+            const random = rng();
+            let cumulative = 0;
+            for (const entry of reward.values) {
+                cumulative += entry.prob;
+                if (random <= cumulative) return entry.value;
+            }
+            return reward.values[reward.values.length - 1].value;
+        }
+        default:
+            throw new Error(`Unknown distribution type: ${reward.type}`);
+    }
+}
+
+/**
+ * Check a reward
+ * @returns {string|null} - What is wrong, or null if the reward is valid
+ */
+export function validate(reward) {
+    if (!isDistribution(reward)) {
+        return Number.isFinite(reward) ? null : 'reward is not a number';
+    }
+
+    const finite = (...values) => values.every(value => Number.isFinite(value));
+
+    switch (reward.type) {
+        case 'constant':
+            return finite(reward.value) ? null : 'constant value is not a number';
+        case 'uniform':
+            if (!finite(reward.min, reward.max)) return 'uniform bounds must be numbers';
+            return reward.min <= reward.max ? null : 'uniform min exceeds max';
+        case 'normal':
+            if (!finite(reward.mean, reward.std)) return 'normal mean and std must be numbers';
+            return reward.std >= 0 ? null : 'normal std is negative';
+        case 'discrete': {
+            if (!Array.isArray(reward.values) || reward.values.length === 0) {
+                return 'discrete distribution has no values';
+            }
+            if (!reward.values.every(entry => entry && finite(entry.value, entry.prob) && entry.prob >= 0)) {
+                return 'discrete entries need a value and a non-negative probability';
+            }
+            const total = reward.values.reduce((sum, entry) => sum + entry.prob, 0);
+            return Math.abs(total - 1) <= PROB_TOLERANCE
+                ? null
+                : `discrete probabilities sum to ${Math.round(total * 1e4) / 1e4} (should be 1.0)`;
+        }
+        default:
+            return `unknown distribution type "${reward.type}"`;
+    }
+}
+
+/**
+ * Compact text form: "5", "U(0, 10)", "N(5, 2)" or "{0: 0.9, 100: 0.1}"
+ */
+export function format(reward) {
+    if (!isDistribution(reward)) return String(reward);
+
+    switch (reward.type) {
+        case 'constant':
+            return String(reward.value);
+        case 'uniform':
+            return `U(${reward.min}, ${reward.max})`;
+        case 'normal':
+            return `N(${reward.mean}, ${reward.std})`;
+        case 'discrete':
+            return `{${reward.values.map(entry => `${entry.value}: ${entry.prob}`).join(', ')}}`;
+        default:
+            return '?';
+    }
+}
+
+/**
+ * Parse the text form written by format()
+ * @returns {number|Object} - A number for constants, otherwise a distribution
+ * @throws {Error} - If the text is not a valid reward
+ */
+export function parse(text) {
+    const trimmed = String(text).trim();
+    const number = '(-?(?:\\d+\\.?\\d*|\\.\\d+)(?:e[-+]?\\d+)?)';
+    let match;
+    let reward;
+
+    if (trimmed === '') {
+        reward = 0;
+    } else if ((match = trimmed.match(new RegExp(`^${number}$`, 'i')))) {
+        reward = parseFloat(match[1]);
+    } else if ((match = trimmed.match(new RegExp(`^U\\(\\s*${number}\\s*,\\s*${number}\\s*\\)$`, 'i')))) {
+        reward = { type: 'uniform', min: parseFloat(match[1]), max: parseFloat(match[2]) };
+    } else if ((match = trimmed.match(new RegExp(`^N\\(\\s*${number}\\s*,\\s*${number}\\s*\\)$`, 'i')))) {
+        reward = { type: 'normal', mean: parseFloat(match[1]), std: parseFloat(match[2]) };
+    } else if ((match = trimmed.match(/^\{(.*)\}$/))) {
+        const entry = new RegExp(`^${number}\\s*:\\s*${number}$`, 'i');
+        const values = match[1].split(',').map(part => {
+            const parts = part.trim().match(entry);
+            if (!parts) throw new Error(`"${part.trim()}" is not "value: probability"`);
+            return { value: parseFloat(parts[1]), prob: parseFloat(parts[2]) };
+        });
+        reward = { type: 'discrete', values };
+    } else {
+        throw new Error('Expected a number, U(min, max), N(mean, std) or {value: prob, ...}');
+    }
+
+    const error = validate(reward);
+    if (error) throw new Error(error);
+    return reward;
+}
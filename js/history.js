@@ -0,0 +1,158 @@
+// history.js - Undo and redo of graph edits (no DOM)
+//
+// An edit records copies of just the states and actions it can change (see
+// model.captureRecords) from before and after it, so undoing and redoing cost
+// the size of the edit rather than the size of the graph. Edits with the same
+// key less than COALESCE_MS apart (keystrokes in one field) merge into one
+// entry, and a drag recorded with begin() and end() is a single entry.
+
+import * as model from './model.js';
+
+const MAX_ENTRIES = 200;
+const COALESCE_MS = 1000;
+
+const history = {
+    entries: [], // [{ label, key, scope, before, after, time }]
+    position: 0, // entries before it are done (undoable), the rest undone (redoable)
+    listeners: []
+};
+
+/**
+ * Make an edit that can be undone
+ * @param {string} label - Shown in the history list, e.g. 'Delete state "A"'
+ * @param {Object|Function} scope - What the edit may change (see model.captureRecords), or a
+ *   function of the edit's result for edits that create states or actions
+ * @param {Function} edit - Makes the change
+ * @param {Object} options - { key: merge with the previous entry if it has the same key and is recent }
+ * @returns {*} - The edit's result
+ */
+export function perform(label, scope, edit, options = {}) {
+    const pending = begin(label, scope, options);
+    const result = edit();
+    end(pending, result);
+    return result;
+}
+
+/**
+ * Start an edit that takes several steps (a drag, an animated layout)
+ * @returns {Object} - Pass to end() when it is finished
+ */
+export function begin(label, scope, options = {}) {
+    const initial = typeof scope === 'function' ? scope(undefined) : scope;
+    return { label, scope, key: options.key || null, before: model.captureRecords(initial || {}) };
+}
+
+/**
+ * Finish an edit from begin(); records nothing if the graph did not change
+ * @param {*} result - Passed to a scope function
+ * @returns {boolean} - Whether an entry was recorded
+ */
+export function end(pending, result) {
+    const scope = typeof pending.scope === 'function' ? pending.scope(result) : pending.scope;
+    const after = model.captureRecords(scope || {});
+    const { before } = pending;
+
+    // Records the edit created did not exist before it
+    ['states', 'actions', 'policy'].forEach(kind => {
+        for (const id in after[kind]) {
+            if (!(id in before[kind])) before[kind][id] = null;
+        }
+    });
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return false;
+
+    const now = Date.now();
+    const last = history.entries[history.position - 1];
+    const atEnd = history.position === history.entries.length;
+    history.entries.length = history.position;
+
+    if (atEnd && last && pending.key && last.key === pending.key && now - last.time < COALESCE_MS) {
+        last.label = pending.label;
+        last.after = after;
+        last.time = now;
+    } else {
+        history.entries.push({ label: pending.label, key: pending.key, scope, before, after, time: now });
+        if (history.entries.length > MAX_ENTRIES) {
+            history.entries.splice(0, history.entries.length - MAX_ENTRIES);
+        }
+    }
+    history.position = history.entries.length;
+
+    notify();
+    return true;
+}
+
+/**
+ * Undo the last done edit
+ * @returns {Object|null} - The entry ({ label, scope }), or null if there was none
+ */
+export function undo() {
+    if (history.position === 0) return null;
+
+    const entry = history.entries[--history.position];
+    model.restoreRecords(entry.before);
+    notify();
+    return entry;
+}
+
+/**
+ * Redo the last undone edit
+ * @returns {Object|null} - The entry, or null if there was none
+ */
+export function redo() {
+    if (history.position === history.entries.length) return null;
+
+    const entry = history.entries[history.position++];
+    model.restoreRecords(entry.after);
+    notify();
+    return entry;
+}
+
+/**
+ * Undo or redo until `position` edits are done
+ * @returns {Object[]} - The entries undone or redone
+ */
+export function goTo(position) {
+    const target = Math.max(0, Math.min(history.entries.length, position));
+    const moved = [];
+
+    while (history.position > target) moved.push(undo());
+    while (history.position < target) moved.push(redo());
+
+    return moved;
+}
+
+export function canUndo() {
+    return history.position > 0;
+}
+
+export function canRedo() {
+    return history.position < history.entries.length;
+}
+
+/**
+ * @returns {Object} - { labels: string[] (oldest first), position: number of them done }
+ */
+export function getEntries() {
+    return { labels: history.entries.map(entry => entry.label), position: history.position };
+}
+
+/**
+ * Forget every edit, e.g. after loading another graph
+ */
+export function clear() {
+    history.entries = [];
+    history.position = 0;
+    notify();
+}
+
+/**
+ * Call listener() whenever the history changes
+ */
+export function onChange(listener) {
+    history.listeners.push(listener);
+}
+
+function notify() {
+    history.listeners.forEach(listener => listener());
+}
@@ -0,0 +1,388 @@
+// layout.js - Automatic graph layout (force-directed, layered, circular)
+//
+// Layouts compute target positions only; callers decide whether to apply them
+// immediately or animate towards them.
+
+import * as model from './model.js';
+
+const LAYER_SPACING = 180;   // horizontal distance between layers
+const NODE_SPACING = 110;    // vertical distance between states in a layer
+const CIRCLE_SPACING = 110;  // arc length between neighbours on the circle
+const MIN_RADIUS = 120;
+const ORIGIN = { x: 150, y: 150 }; // top-left of layouts of the whole graph
+
+/**
+ * Compute a layout for the whole graph or a subset of states
+ * A subset keeps its center where it was, so arranging a selection doesn't
+ * throw it across the canvas; the whole graph starts at a fixed origin.
+ * @param {string} algorithm - 'force' | 'layered' | 'circular'
+ * @param {Object} options - { stateIds (default all), startStateId, iterations }
+ * @returns {Object} - { stateId: { x, y } }
+ */
+export function computeLayout(algorithm, options = {}) {
+    const allStates = model.getAllStates();
+    const stateIds = options.stateIds || allStates.map(state => state.id);
+    const subset = stateIds.length < allStates.length;
+    const startStateId = options.startStateId !== undefined
+        ? options.startStateId
+        : model.getSettings().startStateId;
+
+    if (stateIds.length === 0) return {};
+
+    const graph = buildAdjacency(stateIds);
+    let positions;
+
+    switch (algorithm) {
+        case 'layered':
+            positions = layeredLayout(graph, startStateId);
+            break;
+        case 'circular':
+            positions = circularLayout(graph, startStateId);
+            break;
+        case 'force':
+            positions = forceLayout(graph, options.iterations);
+            break;
+        default:
+            throw new Error(`Unknown layout: ${algorithm}`);
+    }
+
+    if (subset) {
+        const before = boundingBox(stateIds.map(id => model.getStateById(id)));
+        const after = boundingBox(Object.values(positions));
+        translate(positions,
+            (before.minX + before.maxX) / 2 - (after.minX + after.maxX) / 2,
+            (before.minY + before.maxY) / 2 - (after.minY + after.maxY) / 2);
+    } else {
+        const after = boundingBox(Object.values(positions));
+        translate(positions, ORIGIN.x - after.minX, ORIGIN.y - after.minY);
+    }
+
+    return positions;
+}
+
+/**
+ * Apply computed positions to the model immediately
+ */
+export function applyLayout(positions) {
+    for (const stateId in positions) {
+        model.updateState(stateId, positions[stateId]);
+    }
+}
+
+/**
+ * Check whether any state lacks usable coordinates (e.g. models imported from other tools)
+ */
+export function hasMissingPositions() {
+    return model.getAllStates().some(state =>
+        typeof state.x !== 'number' || typeof state.y !== 'number' ||
+        !isFinite(state.x) || !isFinite(state.y)
+    );
+}
+
+/**
+ * Check whether states are stacked on top of each other (all at one point)
+ */
+export function hasDegeneratePositions() {
+    return allCoincide(model.getAllStates());
+}
+
+// === LAYERED (SUGIYAMA) ===
+
+/**
+ * Left-to-right layers by BFS distance from the start state
+ * States unreachable from the start are layered from their own roots after the
+ * reachable part. Within layers, barycenter sweeps reduce edge crossings.
+ */
+function layeredLayout(graph, startStateId) {
+    const { ids, successors, predecessors } = graph;
+    const inGraph = new Set(ids);
+    const layerOf = {};
+
+    // Reachable part: distance from the start state
+    const reachable = startStateId && inGraph.has(startStateId)
+        ? [...model.getReachableStates(startStateId)].filter(id => inGraph.has(id))
+        : [];
+    if (reachable.length > 0) {
+        bfsLayers([startStateId], successors, layerOf, 0);
+    }
+
+    // Remaining states: start from sources (no incoming edges), then anything left
+    let offset = reachable.length > 0 ? Math.max(...Object.values(layerOf)) + 1 : 0;
+    const remaining = () => ids.filter(id => layerOf[id] === undefined);
+    const sources = remaining().filter(id => predecessors[id].every(p => layerOf[p] !== undefined));
+
+    if (sources.length > 0) {
+        bfsLayers(sources, successors, layerOf, offset);
+        offset = Math.max(...Object.values(layerOf)) + 1;
+    }
+    while (remaining().length > 0) {
+        bfsLayers([remaining()[0]], successors, layerOf, offset);
+        offset = Math.max(...Object.values(layerOf)) + 1;
+    }
+
+    // Group into layers, initially in graph order
+    const layers = [];
+    ids.forEach(id => {
+        const layer = layerOf[id];
+        if (!layers[layer]) layers[layer] = [];
+        layers[layer].push(id);
+    });
+    const compact = layers.filter(Boolean);
+
+    orderLayers(compact, successors, predecessors);
+
+    // Coordinates: layers left to right, each centered vertically
+    const tallest = Math.max(...compact.map(layer => layer.length));
+    const positions = {};
+    compact.forEach((layer, layerIndex) => {
+        const top = (tallest - layer.length) * NODE_SPACING / 2;
+        layer.forEach((id, index) => {
+            positions[id] = {
+                x: layerIndex * LAYER_SPACING,
+                y: top + index * NODE_SPACING
+            };
+        });
+    });
+
+    return positions;
+}
+
+/**
+ * Assign BFS layers from the given roots (only to states not yet layered)
+ */
+function bfsLayers(roots, successors, layerOf, offset) {
+    const queue = [];
+    roots.forEach(id => {
+        if (layerOf[id] === undefined) {
+            layerOf[id] = offset;
+            queue.push(id);
+        }
+    });
+
+    while (queue.length > 0) {
+        const id = queue.shift();
+        successors[id].forEach(next => {
+            if (layerOf[next] === undefined) {
+                layerOf[next] = layerOf[id] + 1;
+                queue.push(next);
+            }
+        });
+    }
+}
+
+/**
+ * Barycenter heuristic: alternately sort each layer by the mean position of
+ * its neighbours in the previous (downward sweep) or next (upward sweep) layer
+ */
+function orderLayers(layers, successors, predecessors, sweeps = 8) {
+    const position = {};
+    const indexLayer = layer => layer.forEach((id, index) => { position[id] = index; });
+    layers.forEach(indexLayer);
+
+    const sortByBarycenter = (layer, neighbours) => {
+        const barycenter = {};
+        layer.forEach(id => {
+            const placed = neighbours[id].filter(n => position[n] !== undefined && n !== id);
+            barycenter[id] = placed.length > 0
+                ? placed.reduce((acc, n) => acc + position[n], 0) / placed.length
+                : position[id];
+        });
+        // Stable: ties keep their current order
+        layer.sort((a, b) => barycenter[a] - barycenter[b] || position[a] - position[b]);
+        indexLayer(layer);
+    };
+
+    for (let sweep = 0; sweep < sweeps; sweep++) {
+        if (sweep % 2 === 0) {
+            for (let i = 1; i < layers.length; i++) sortByBarycenter(layers[i], predecessors);
+        } else {
+            for (let i = layers.length - 2; i >= 0; i--) sortByBarycenter(layers[i], successors);
+        }
+    }
+}
+
+// === CIRCULAR ===
+
+/**
+ * States evenly spaced on a circle, in BFS order from the start state so
+ * neighbours tend to sit next to each other
+ */
+function circularLayout(graph, startStateId) {
+    const { ids, successors } = graph;
+    const inGraph = new Set(ids);
+    const order = [];
+    const seen = new Set();
+
+    const visit = root => {
+        const queue = [root];
+        seen.add(root);
+        while (queue.length > 0) {
+            const id = queue.shift();
+            order.push(id);
+            successors[id].forEach(next => {
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+    };
+
+    if (startStateId && inGraph.has(startStateId)) visit(startStateId);
+    ids.forEach(id => {
+        if (!seen.has(id)) visit(id);
+    });
+
+    const radius = Math.max(MIN_RADIUS, order.length * CIRCLE_SPACING / (2 * Math.PI));
+    const positions = {};
+    order.forEach((id, index) => {
+        const angle = 2 * Math.PI * index / order.length - Math.PI / 2;
+        positions[id] = {
+            x: radius + radius * Math.cos(angle),
+            y: radius + radius * Math.sin(angle)
+        };
+    });
+
+    return positions;
+}
+
+// === FORCE-DIRECTED ===
+
+/**
+ * Fruchterman-Reingold spring embedding
+ * Starts from the current positions (or a circle if they are unusable) so
+ * re-running refines rather than reshuffles; fully deterministic.
+ */
+function forceLayout(graph, iterations = 300) {
+    const { ids, successors } = graph;
+    const n = ids.length;
+    const k = NODE_SPACING; // ideal edge length
+
+    // Initial positions
+    const current = ids.map(id => model.getStateById(id));
+    const usable = current.every(state => isFinite(state.x) && isFinite(state.y)) &&
+        !allCoincide(current);
+    const start = usable
+        ? Object.fromEntries(current.map(state => [state.id, { x: state.x, y: state.y }]))
+        : circularLayout(graph, null);
+    const pos = ids.map(id => ({ ...start[id] }));
+    const index = Object.fromEntries(ids.map((id, i) => [id, i]));
+
+    // Undirected edge list without self-loops or duplicates
+    const edges = [];
+    const seenEdges = new Set();
+    ids.forEach(id => {
+        successors[id].forEach(next => {
+            if (next === id) return;
+            const key = index[id] < index[next] ? `${id}|${next}` : `${next}|${id}`;
+            if (seenEdges.has(key)) return;
+            seenEdges.add(key);
+            edges.push([index[id], index[next]]);
+        });
+    });
+
+    let temperature = k * Math.sqrt(n);
+    const cooling = temperature / (iterations + 1);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const disp = pos.map(() => ({ x: 0, y: 0 }));
+
+        // Repulsion between every pair
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                let dx = pos[i].x - pos[j].x;
+                let dy = pos[i].y - pos[j].y;
+                let dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist < 0.01) {
+                    // Coincident states: nudge apart along a fixed direction
+                    dx = 0.01 * (i - j);
+                    dy = 0.01;
+                    dist = Math.sqrt(dx * dx + dy * dy);
+                }
+                const force = k * k / dist;
+                disp[i].x += dx / dist * force;
+                disp[i].y += dy / dist * force;
+                disp[j].x -= dx / dist * force;
+                disp[j].y -= dy / dist * force;
+            }
+        }
+
+        // Attraction along edges
+        edges.forEach(([i, j]) => {
+            const dx = pos[i].x - pos[j].x;
+            const dy = pos[i].y - pos[j].y;
+            const dist = Math.max(0.01, Math.sqrt(dx * dx + dy * dy));
+            const force = dist * dist / k;
+            disp[i].x -= dx / dist * force;
+            disp[i].y -= dy / dist * force;
+            disp[j].x += dx / dist * force;
+            disp[j].y += dy / dist * force;
+        });
+
+        // Move, limited by the temperature
+        for (let i = 0; i < n; i++) {
+            const length = Math.sqrt(disp[i].x * disp[i].x + disp[i].y * disp[i].y);
+            if (length === 0) continue;
+            const step = Math.min(length, temperature);
+            pos[i].x += disp[i].x / length * step;
+            pos[i].y += disp[i].y / length * step;
+        }
+
+        temperature = Math.max(temperature - cooling, 0.5);
+    }
+
+    return Object.fromEntries(ids.map((id, i) => [id, pos[i]]));
+}
+
+// === HELPERS ===
+
+/**
+ * Directed successor/predecessor lists restricted to the given states
+ */
+function buildAdjacency(stateIds) {
+    const inGraph = new Set(stateIds);
+    const successors = {};
+    const predecessors = {};
+    stateIds.forEach(id => {
+        successors[id] = [];
+        predecessors[id] = [];
+    });
+
+    stateIds.forEach(id => {
+        model.getActionsFromState(id).forEach(action => {
+            action.outcomes.forEach(outcome => {
+                const to = outcome.toStateId;
+                if (!inGraph.has(to) || successors[id].includes(to)) return;
+                successors[id].push(to);
+                predecessors[to].push(id);
+            });
+        });
+    });
+
+    return { ids: [...stateIds], successors, predecessors };
+}
+
+function allCoincide(points) {
+    if (points.length < 2) return false;
+    return points.every(p => p.x === points[0].x && p.y === points[0].y);
+}
+
+function boundingBox(points) {
+    const valid = points.filter(p => p && isFinite(p.x) && isFinite(p.y));
+    if (valid.length === 0) {
+        return { minX: ORIGIN.x, maxX: ORIGIN.x, minY: ORIGIN.y, maxY: ORIGIN.y };
+    }
+    return {
+        minX: Math.min(...valid.map(p => p.x)),
+        maxX: Math.max(...valid.map(p => p.x)),
+        minY: Math.min(...valid.map(p => p.y)),
+        maxY: Math.max(...valid.map(p => p.y))
+    };
+}
+
+function translate(positions, dx, dy) {
+    for (const id in positions) {
+        positions[id].x += dx;
+        positions[id].y += dy;
+    }
+}
@@ -0,0 +1,218 @@
+// learn.js - Tabular reinforcement learning (Q-learning, SARSA)
+//
+// Agents interact with the graph only through simulate.step(): they observe
+// sampled transitions and rewards, never the outcome probabilities.
+
+import { argmaxAll } from './utils.js';
+import { step } from './simulate.js';
+import { getQValues } from './mdp.js';
+import * as model from './model.js';
+
+/**
+ * Train a tabular agent by interacting with the simulator
+ * @param {Object} options - {
+ *   algorithm: 'q-learning' | 'sarsa',
+ *   episodes, maxSteps, gamma,
+ *   alpha, alphaDecay            (α_k = α / (1 + alphaDecay·k) for episode k),
+ *   epsilonStart, epsilonEnd,
+ *   epsilonDecay: 'linear' | 'exponential',
+ *   startStateId, exploringStarts (start each episode in a random decision state),
+ *   referenceValues              (V* used to report |Q - Q*| per episode),
+ *   rng }
+ * @returns {Object} - { Q, values, policy, episodes: [{ episode, return, steps, epsilon, alpha, qError }] }
+ */
+export function train(options = {}) {
+    const settings = model.getSettings();
+    const algorithm = options.algorithm || 'q-learning';
+    const episodes = options.episodes || 500;
+    const maxSteps = options.maxSteps || 100;
+    const gamma = options.gamma !== undefined ? options.gamma : settings.gamma;
+    const alpha = options.alpha !== undefined ? options.alpha : 0.1;
+    const alphaDecay = options.alphaDecay || 0;
+    const epsilonStart = options.epsilonStart !== undefined ? options.epsilonStart : 1.0;
+    const epsilonEnd = options.epsilonEnd !== undefined ? options.epsilonEnd : 0.05;
+    const epsilonDecay = options.epsilonDecay || 'linear';
+    const startStateId = options.startStateId || settings.startStateId;
+    const exploringStarts = options.exploringStarts !== undefined ? options.exploringStarts : true;
+    const rng = options.rng || Math.random;
+
+    if (algorithm !== 'q-learning' && algorithm !== 'sarsa') {
+        throw new Error(`Unknown learning algorithm: ${algorithm}`);
+    }
+
+    // Decision states: the learner may act here
+    const decisionStates = model.getAllStates().filter(state =>
+        !state.terminal && model.getActionsFromState(state.id).length > 0
+    );
+
+    if (decisionStates.length === 0) {
+        throw new Error('Graph has no states with actions to learn from');
+    }
+    if (!exploringStarts && !model.getStateById(startStateId)) {
+        throw new Error('Please select a start state (or enable exploring starts)');
+    }
+
+    // Q(s, a) table, initialized to 0
+    const Q = {};
+    decisionStates.forEach(state => {
+        Q[state.id] = {};
+        model.getActionsFromState(state.id).forEach(action => {
+            Q[state.id][action.id] = 0;
+        });
+    });
+
+    const referenceQ = options.referenceValues
+        ? buildReferenceQ(decisionStates, options.referenceValues, gamma)
+        : null;
+
+    const history = [];
+
+    for (let episode = 0; episode < episodes; episode++) {
+        const epsilon = epsilonAt(episode, episodes, epsilonStart, epsilonEnd, epsilonDecay);
+        const stepSize = alpha / (1 + alphaDecay * episode);
+
+        let stateId = exploringStarts
+            ? decisionStates[Math.floor(rng() * decisionStates.length)].id
+            : startStateId;
+
+        let episodeReturn = 0;
+        let steps = 0;
+
+        if (!Q[stateId]) {
+            // Start state has no actions: the episode ends immediately
+            episodeReturn = model.getStateById(stateId).reward;
+        } else {
+            let actionId = chooseAction(Q[stateId], epsilon, rng);
+            let done = false;
+
+            while (steps < maxSteps) {
+                const transition = step(stateId, actionId, rng);
+                if (!transition) break;
+
+                steps++;
+                episodeReturn += transition.reward;
+
+                let target;
+                let nextActionId = null;
+
+                if (transition.done) {
+                    // Terminal value is the final state's reward
+                    target = transition.reward + gamma * transition.terminalReward;
+                    episodeReturn += transition.terminalReward;
+                } else if (algorithm === 'sarsa') {
+                    nextActionId = chooseAction(Q[transition.nextStateId], epsilon, rng);
+                    target = transition.reward + gamma * Q[transition.nextStateId][nextActionId];
+                } else {
+                    target = transition.reward + gamma * maxValue(Q[transition.nextStateId]);
+                }
+
+                Q[stateId][actionId] += stepSize * (target - Q[stateId][actionId]);
+
+                stateId = transition.nextStateId;
+                if (transition.done) {
+                    done = true;
+                    break;
+                }
+
+                actionId = nextActionId || chooseAction(Q[stateId], epsilon, rng);
+            }
+
+            // Truncated episodes still collect the reward of the state they stop in
+            if (!done && steps > 0) {
+                episodeReturn += model.getStateById(stateId).reward;
+            }
+        }
+
+        history.push({
+            episode: episode + 1,
+            return: episodeReturn,
+            steps: steps,
+            epsilon: epsilon,
+            alpha: stepSize,
+            qError: referenceQ ? maxAbsError(Q, referenceQ) : null
+        });
+    }
+
+    // Greedy policy and state values from the learned table
+    const values = {};
+    const policy = {};
+    model.getAllStates().forEach(state => {
+        if (Q[state.id]) {
+            const actionIds = Object.keys(Q[state.id]);
+            const best = argmaxAll(actionIds.map(actionId => Q[state.id][actionId]))[0];
+            policy[state.id] = actionIds[best];
+            values[state.id] = Q[state.id][actionIds[best]];
+        } else {
+            values[state.id] = state.reward;
+        }
+    });
+
+    return {
+        algorithm,
+        Q,
+        referenceQ,
+        values,
+        policy,
+        episodes: history
+    };
+}
+
+/**
+ * Exploration rate for an episode
+ * Linear decays evenly to epsilonEnd at the last episode; exponential reaches
+ * within 1% of epsilonEnd by then.
+ */
+function epsilonAt(episode, episodes, start, end, decay) {
+    const progress = episodes > 1 ? episode / (episodes - 1) : 1;
+
+    if (decay === 'exponential') {
+        return end + (start - end) * Math.exp(-Math.log(100) * progress);
+    }
+
+    return start + (end - start) * progress;
+}
+
+/**
+ * ε-greedy action selection, breaking ties at random
+ */
+function chooseAction(actionValues, epsilon, rng) {
+    const actionIds = Object.keys(actionValues);
+
+    if (rng() < epsilon) {
+        return actionIds[Math.floor(rng() * actionIds.length)];
+    }
+
+    const best = argmaxAll(actionIds.map(actionId => actionValues[actionId]));
+    return actionIds[best[Math.floor(rng() * best.length)]];
+}
+
+/**
+ * max_a Q(s, a)
+ */
+function maxValue(actionValues) {
+    return Math.max(...Object.values(actionValues));
+}
+
+/**
+ * Ground-truth Q*(s, a) from solver values
+ */
+function buildReferenceQ(decisionStates, values, gamma) {
+    const referenceQ = {};
+    decisionStates.forEach(state => {
+        referenceQ[state.id] = getQValues(state.id, values, gamma);
+    });
+    return referenceQ;
+}
+
+/**
+ * max_{s,a} |Q(s, a) - Q*(s, a)|
+ */
+function maxAbsError(Q, referenceQ) {
+    let error = 0;
+    for (const stateId in Q) {
+        for (const actionId in Q[stateId]) {
+            error = Math.max(error, Math.abs(Q[stateId][actionId] - referenceQ[stateId][actionId]));
+        }
+    }
+    return error;
+}
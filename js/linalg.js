@@ -0,0 +1,68 @@
+// linalg.js - Dense linear algebra helpers for small systems
+
+const PIVOT_TOLERANCE = 1e-12;
+
+/**
+ * Solve A x = b by Gaussian elimination with partial pivoting
+ * @param {number[][]} A - Square coefficient matrix (not modified)
+ * @param {number[]} b - Right-hand side (not modified)
+ * @returns {number[]|null} - Solution vector, or null if A is singular
+ */
+export function solveLinearSystem(A, b) {
+    const n = b.length;
+
+    // Augmented copy [A | b]
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    // Forward elimination
+    for (let col = 0; col < n; col++) {
+        // Pick the largest pivot in this column for stability
+        let pivotRow = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivotRow][col])) {
+                pivotRow = row;
+            }
+        }
+
+        if (Math.abs(M[pivotRow][col]) < PIVOT_TOLERANCE) {
+            return null;
+        }
+
+        if (pivotRow !== col) {
+            [M[col], M[pivotRow]] = [M[pivotRow], M[col]];
+        }
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            if (factor === 0) continue;
+
+            for (let k = col; k <= n; k++) {
+                M[row][k] -= factor * M[col][k];
+            }
+        }
+    }
+
+    // Back substitution
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let total = M[row][n];
+        for (let k = row + 1; k < n; k++) {
+            total -= M[row][k] * x[k];
+        }
+        x[row] = total / M[row][row];
+    }
+
+    return x;
+}
+
+/**
+ * Create an n x n identity matrix
+ */
+export function identity(n) {
+    const I = [];
+    for (let i = 0; i < n; i++) {
+        I.push(new Array(n).fill(0));
+        I[i][i] = 1;
+    }
+    return I;
+}
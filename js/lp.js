@@ -0,0 +1,193 @@
+// lp.js - Self-contained linear programming (two-phase simplex)
+
+const TOLERANCE = 1e-9;
+
+/**
+ * Maximize c·x subject to A x = b, x ≥ 0
+ * Two-phase tableau simplex with Bland's rule (no cycling).
+ * @param {Object} problem - { c: number[], A: number[][], b: number[] }
+ * @param {Object} options - { maxPivots }
+ * @returns {Object} - { status, x, objective, duals, pivots }
+ *   status is 'optimal', 'infeasible', 'unbounded' or 'iteration_limit';
+ *   duals are the equality-constraint multipliers y with y·A ≥ c at the optimum
+ */
+export function simplex(problem, options = {}) {
+    const { c, A, b } = problem;
+    const m = b.length;
+    const n = c.length;
+    const maxPivots = options.maxPivots || 50 * (m + n);
+
+    // Tableau rows [A | I | b] with b ≥ 0; artificial variables start basic
+    const signs = b.map(value => (value < 0 ? -1 : 1));
+    const T = A.map((row, i) => {
+        const tableauRow = row.map(value => value * signs[i]);
+        for (let k = 0; k < m; k++) {
+            tableauRow.push(k === i ? 1 : 0);
+        }
+        tableauRow.push(b[i] * signs[i]);
+        return tableauRow;
+    });
+    const basis = [];
+    for (let i = 0; i < m; i++) {
+        basis.push(n + i);
+    }
+
+    const tableau = { T, basis, m, width: n + m, pivots: 0 };
+
+    // Phase 1: maximize -Σ artificials to find a feasible basis
+    const phase1Costs = new Array(n + m).fill(0);
+    for (let k = n; k < n + m; k++) {
+        phase1Costs[k] = -1;
+    }
+
+    const phase1 = optimize(tableau, phase1Costs, n + m, maxPivots);
+    if (phase1 === 'iteration_limit') {
+        return { status: phase1, x: null, objective: null, duals: null, pivots: tableau.pivots };
+    }
+
+    if (objectiveValue(tableau, phase1Costs) < -1e-7) {
+        return { status: 'infeasible', x: null, objective: null, duals: null, pivots: tableau.pivots };
+    }
+
+    // Drive zero-level artificials out of the basis where possible
+    for (let i = 0; i < m; i++) {
+        if (basis[i] < n) continue;
+
+        for (let j = 0; j < n; j++) {
+            if (Math.abs(T[i][j]) > TOLERANCE) {
+                pivot(tableau, i, j);
+                break;
+            }
+        }
+    }
+
+    // Phase 2: original objective, artificials may not re-enter
+    const phase2Costs = [...c, ...new Array(m).fill(0)];
+    const phase2 = optimize(tableau, phase2Costs, n, maxPivots);
+    if (phase2 !== 'optimal') {
+        return { status: phase2, x: null, objective: null, duals: null, pivots: tableau.pivots };
+    }
+
+    const x = new Array(n).fill(0);
+    basis.forEach((col, i) => {
+        if (col < n) x[col] = T[i][n + m];
+    });
+
+    // Reduced costs of the artificial columns are the simplex multipliers
+    const reduced = reducedCosts(tableau, phase2Costs);
+    const duals = [];
+    for (let i = 0; i < m; i++) {
+        duals.push(reduced[n + i] * signs[i]);
+    }
+
+    return {
+        status: 'optimal',
+        x,
+        objective: objectiveValue(tableau, phase2Costs),
+        duals,
+        pivots: tableau.pivots
+    };
+}
+
+/**
+ * Pivot until no eligible column improves the objective
+ * @param {number} eligible - Only columns below this index may enter
+ */
+function optimize(tableau, costs, eligible, maxPivots) {
+    const { T, basis, m, width } = tableau;
+
+    while (tableau.pivots < maxPivots) {
+        const reduced = reducedCosts(tableau, costs);
+
+        // Bland's rule: lowest-index improving column
+        let entering = -1;
+        for (let j = 0; j < eligible; j++) {
+            if (reduced[j] < -TOLERANCE) {
+                entering = j;
+                break;
+            }
+        }
+
+        if (entering === -1) return 'optimal';
+
+        // Ratio test, ties broken by lowest basic index
+        let leaving = -1;
+        let bestRatio = Infinity;
+        for (let i = 0; i < m; i++) {
+            if (T[i][entering] <= TOLERANCE) continue;
+
+            const ratio = T[i][width] / T[i][entering];
+            if (ratio < bestRatio - TOLERANCE ||
+                (Math.abs(ratio - bestRatio) <= TOLERANCE && basis[i] < basis[leaving])) {
+                bestRatio = ratio;
+                leaving = i;
+            }
+        }
+
+        if (leaving === -1) return 'unbounded';
+
+        pivot(tableau, leaving, entering);
+    }
+
+    return 'iteration_limit';
+}
+
+/**
+ * Make column `col` basic in row `row`
+ */
+function pivot(tableau, row, col) {
+    const { T, basis, m, width } = tableau;
+    const pivotRow = T[row];
+    const pivotValue = pivotRow[col];
+
+    for (let k = 0; k <= width; k++) {
+        pivotRow[k] /= pivotValue;
+    }
+
+    for (let i = 0; i < m; i++) {
+        if (i === row) continue;
+
+        const factor = T[i][col];
+        if (factor === 0) continue;
+
+        for (let k = 0; k <= width; k++) {
+            T[i][k] -= factor * pivotRow[k];
+        }
+    }
+
+    basis[row] = col;
+    tableau.pivots++;
+}
+
+/**
+ * Reduced costs z_j - c_j for every column (all ≥ 0 at a maximum)
+ */
+function reducedCosts(tableau, costs) {
+    const { T, basis, m, width } = tableau;
+    const reduced = costs.map(cost => -cost);
+
+    for (let i = 0; i < m; i++) {
+        const basicCost = costs[basis[i]];
+        if (basicCost === 0) continue;
+
+        for (let j = 0; j < width; j++) {
+            reduced[j] += basicCost * T[i][j];
+        }
+    }
+
+    return reduced;
+}
+
+/**
+ * Objective value of the current basic solution
+ */
+function objectiveValue(tableau, costs) {
+    const { T, basis, m, width } = tableau;
+    let total = 0;
+
+    for (let i = 0; i < m; i++) {
+        total += costs[basis[i]] * T[i][width];
+    }
+
+    return total;
+}
@@ -0,0 +1,297 @@
+// markov.js - Markov chain induced by a fixed policy (no DOM)
+//
+// Under a policy the MDP becomes a Markov chain, P(s, s') = Σ_a π(a|s) P(s'|s, a).
+// Terminal states, and states the policy does not act in, stay where they are.
+// The chain's closed communicating classes (recurrent classes; an absorbing state
+// is one on its own) are where it ends up; every other state is transient.
+
+import { getActionProbabilities } from './policy.js';
+import { solveLinearSystem, identity } from './linalg.js';
+import { stronglyConnectedComponents } from './utils.js';
+import * as model from './model.js';
+
+// Hitting probabilities this close to 1 count as certain
+const CERTAINTY_TOLERANCE = 1e-9;
+
+/**
+ * Transition matrix of the chain a policy induces
+ * @param {Object} policy - Stationary policy (state -> action id, or state -> { actionId: prob })
+ * @returns {Object} - { stateIds: string[], index: { stateId: i }, matrix: number[][] (rows sum to 1) }
+ */
+export function inducedChain(policy) {
+    if (Array.isArray(policy)) {
+        throw new Error('Chain analysis needs a stationary policy (not a finite-horizon one)');
+    }
+
+    const states = model.getAllStates();
+    const stateIds = states.map(state => state.id);
+    const index = {};
+    stateIds.forEach((stateId, i) => {
+        index[stateId] = i;
+    });
+
+    const matrix = states.map((state, i) => {
+        const row = new Array(states.length).fill(0);
+        const probabilities = state.terminal ? {} : getActionProbabilities(policy, state.id);
+        let total = 0;
+
+        for (const actionId in probabilities) {
+            const action = model.getActionById(actionId);
+            if (!action || probabilities[actionId] <= 0) continue;
+
+            action.outcomes.forEach(outcome => {
+                const j = index[outcome.toStateId];
+                if (j === undefined) return;
+                row[j] += probabilities[actionId] * outcome.prob;
+                total += probabilities[actionId] * outcome.prob;
+            });
+        }
+
+        if (total === 0) {
+            row[i] = 1;
+        }
+        return row;
+    });
+
+    return { stateIds, index, matrix };
+}
+
+/**
+ * Communicating classes of a chain
+ * @param {Object} chain - From inducedChain()
+ * @returns {Object[]} - [{ stateIds, closed, period }] in state order; closed classes are
+ *   the recurrent ones, and `period` (the gcd of their cycle lengths) is set only for them
+ */
+export function communicatingClasses(chain) {
+    const byIndex = (a, b) => chain.index[a] - chain.index[b];
+    const components = stronglyConnectedComponents(chain.stateIds, stateId => successorsOf(chain, stateId))
+        .map(stateIds => stateIds.sort(byIndex))
+        .sort((a, b) => byIndex(a[0], b[0]));
+
+    return components.map(stateIds => {
+        const members = new Set(stateIds);
+        const closed = stateIds.every(stateId =>
+            successorsOf(chain, stateId).every(next => members.has(next))
+        );
+        return {
+            stateIds,
+            closed,
+            period: closed ? period(chain, stateIds) : null
+        };
+    });
+}
+
+/**
+ * Where the chain a policy induces ends up, and how long it takes
+ * @param {Object} policy - Stationary policy
+ * @returns {Object} - {
+ *   recurrentClasses: [{ stateIds, period, stationary: { stateId: prob } }],
+ *   transientStateIds: string[],
+ *   absorption: { stateId: number[] }   (probability of ending in each recurrent class),
+ *   expectedSteps: { stateId: number }  (until a recurrent class is entered; 0 inside one),
+ *   firstPassage: { fromId: { toId: number } }  (mean steps to first reach toId, Infinity
+ *     unless it is reached with certainty; fromId === toId gives the mean return time)
+ * }
+ */
+export function analyzeChain(policy) {
+    const chain = inducedChain(policy);
+    const classes = communicatingClasses(chain);
+    const recurrent = classes.filter(entry => entry.closed);
+    const transient = chain.stateIds.filter(stateId =>
+        classes.some(entry => !entry.closed && entry.stateIds.includes(stateId))
+    );
+
+    return {
+        recurrentClasses: recurrent.map(entry => ({
+            stateIds: entry.stateIds,
+            period: entry.period,
+            stationary: stationaryDistribution(chain, entry.stateIds)
+        })),
+        transientStateIds: transient,
+        ...absorptionAnalysis(chain, recurrent, transient),
+        firstPassage: meanFirstPassageTimes(chain)
+    };
+}
+
+/**
+ * Stationary distribution of a closed class: π P = π, Σ π = 1
+ * @returns {Object} - { stateId: prob }
+ */
+export function stationaryDistribution(chain, stateIds) {
+    const n = stateIds.length;
+    const rows = stateIds.map(stateId => chain.index[stateId]);
+
+    // Transposed balance equations, with the last one swapped for the normalization
+    const A = identity(n).map((row, j) => row.map((value, i) => value - chain.matrix[rows[i]][rows[j]]));
+    const b = new Array(n).fill(0);
+    A[n - 1] = new Array(n).fill(1);
+    b[n - 1] = 1;
+
+    const x = solveLinearSystem(A, b);
+    const result = {};
+    stateIds.forEach((stateId, i) => {
+        result[stateId] = x ? Math.max(0, x[i]) : 1 / n;
+    });
+    return result;
+}
+
+/**
+ * Mean first-passage times between every pair of states
+ * @returns {Object} - { fromId: { toId: steps } }, Infinity where toId is not certain to be reached
+ */
+export function meanFirstPassageTimes(chain) {
+    const result = {};
+    chain.stateIds.forEach(stateId => {
+        result[stateId] = {};
+    });
+
+    chain.stateIds.forEach(target => {
+        const steps = stepsToReach(chain, target);
+        chain.stateIds.forEach(stateId => {
+            result[stateId][target] = steps[stateId];
+        });
+    });
+
+    return result;
+}
+
+// === HELPERS ===
+
+function successorsOf(chain, stateId) {
+    const row = chain.matrix[chain.index[stateId]];
+    const successors = [];
+    row.forEach((prob, j) => {
+        if (prob > 0) successors.push(chain.stateIds[j]);
+    });
+    return successors;
+}
+
+/**
+ * gcd of the cycle lengths in a closed class, from breadth-first levels:
+ * every edge u -> v contributes level(u) + 1 - level(v)
+ */
+function period(chain, stateIds) {
+    const level = { [stateIds[0]]: 0 };
+    const queue = [stateIds[0]];
+    let result = 0;
+
+    while (queue.length > 0) {
+        const stateId = queue.shift();
+        successorsOf(chain, stateId).forEach(next => {
+            if (level[next] === undefined) {
+                level[next] = level[stateId] + 1;
+                queue.push(next);
+            } else {
+                result = gcd(result, Math.abs(level[stateId] + 1 - level[next]));
+            }
+        });
+    }
+
+    return result;
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Absorption probabilities B = (I - Q)^-1 R and expected steps t = (I - Q)^-1 1,
+ * with Q the transient-to-transient block and R the transient-to-class one
+ */
+function absorptionAnalysis(chain, recurrent, transient) {
+    const absorption = {};
+    const expectedSteps = {};
+
+    recurrent.forEach((entry, c) => {
+        entry.stateIds.forEach(stateId => {
+            absorption[stateId] = recurrent.map((other, k) => (k === c ? 1 : 0));
+            expectedSteps[stateId] = 0;
+        });
+    });
+
+    if (transient.length === 0) {
+        return { absorption, expectedSteps };
+    }
+
+    const rows = transient.map(stateId => chain.index[stateId]);
+    const fundamental = identity(transient.length).map((row, i) =>
+        row.map((value, j) => value - chain.matrix[rows[i]][rows[j]])
+    );
+
+    const steps = solveLinearSystem(fundamental, new Array(transient.length).fill(1));
+    const byClass = recurrent.map(entry => {
+        const columns = entry.stateIds.map(stateId => chain.index[stateId]);
+        const R = rows.map(i => columns.reduce((total, j) => total + chain.matrix[i][j], 0));
+        return solveLinearSystem(fundamental, R);
+    });
+
+    transient.forEach((stateId, i) => {
+        absorption[stateId] = byClass.map(column => Math.min(1, Math.max(0, column[i])));
+        expectedSteps[stateId] = steps[i];
+    });
+
+    return { absorption, expectedSteps };
+}
+
+/**
+ * Mean steps from every state until target is first reached (the mean return
+ * time for the target itself); Infinity where reaching it is not certain
+ */
+function stepsToReach(chain, target) {
+    const t = chain.index[target];
+    const n = chain.stateIds.length;
+
+    // States with a path to the target (other than the target itself)
+    const canReach = new Array(n).fill(false);
+    const queue = [t];
+    while (queue.length > 0) {
+        const j = queue.shift();
+        for (let i = 0; i < n; i++) {
+            if (i !== t && !canReach[i] && chain.matrix[i][j] > 0) {
+                canReach[i] = true;
+                queue.push(i);
+            }
+        }
+    }
+
+    // Probability of ever reaching the target: h = P_St + P_SS h over those states
+    const reaching = [];
+    canReach.forEach((flag, i) => {
+        if (flag) reaching.push(i);
+    });
+    const hit = solveOn(chain, reaching, i => chain.matrix[i][t]);
+
+    // Mean steps over the states that reach it with certainty: m = 1 + P_AA m
+    const certain = reaching.filter((i, k) => hit[k] > 1 - CERTAINTY_TOLERANCE);
+    const steps = solveOn(chain, certain, () => 1);
+
+    const result = {};
+    chain.stateIds.forEach(stateId => {
+        result[stateId] = Infinity;
+    });
+    certain.forEach((i, k) => {
+        result[chain.stateIds[i]] = steps[k];
+    });
+
+    // Return time: one step out, then the mean time back
+    let returnTime = 1;
+    chain.matrix[t].forEach((prob, j) => {
+        if (prob > 0 && j !== t) returnTime += prob * result[chain.stateIds[j]];
+    });
+    result[target] = returnTime;
+
+    return result;
+}
+
+/**
+ * Solve x = c + P_SS x over the state indices S
+ */
+function solveOn(chain, indices, constant) {
+    if (indices.length === 0) return [];
+
+    const A = identity(indices.length).map((row, a) =>
+        row.map((value, b) => value - chain.matrix[indices[a]][indices[b]])
+    );
+    const x = solveLinearSystem(A, indices.map(constant));
+    return x || new Array(indices.length).fill(Infinity);
+}
@@ -1,12 +1,29 @@
-// mdp.js - MDP solving algorithms (Value Iteration, Policy Iteration)
+// mdp.js - MDP solving algorithms (Value Iteration, Policy Iteration, Finite Horizon, (Constrained) Linear Programming)
 
 import { sum, round } from './utils.js';
+import { solveLinearSystem, identity } from './linalg.js';
+import { simplex } from './lp.js';
+import { getActionProbabilities, mostLikelyAction } from './policy.js';
 import * as model from './model.js';
 
+// Largest graph evaluated by a direct linear solve before falling back to iteration
+const EXACT_EVAL_MAX_STATES = 300;
+
+// Policy iteration only switches actions on a strict improvement
+const IMPROVEMENT_TOLERANCE = 1e-9;
+
+// Occupancy below this is treated as zero when reading a policy off the LP
+const OCCUPANCY_TOLERANCE = 1e-9;
+
 /**
  * Value Iteration algorithm
- * @param {Object} options - { gamma, epsilon, maxIterations }
- * @returns {Object} - { values, policy, iterations, converged }
+ * @param {Object} options - { gamma, epsilon, maxIterations,
+ *   snapshots (record a copy of V after every sweep),
+ *   onProgress({ iteration, residual, policyChanges }) called after each sweep }
+ * @returns {Object} - { values, policy, iterations, converged, residuals, policyChanges,
+ *   snapshots } where residuals[k] is max_s |V_k+1(s) - V_k(s)| of sweep k+1, policyChanges[k]
+ *   counts states whose greedy action changed in that sweep (the first sweep counts every
+ *   decision state), and snapshots[k] is V after it (only with options.snapshots)
  */
 export function valueIteration(options = {}) {
     const graph = model.getGraph();
@@ -20,15 +37,13 @@ export function valueIteration(options = {}) {
         throw new Error('Graph has validation errors: ' + validation.errors.join(', '));
     }
     
-    // Initialize values
-    const V = {}; // V(s)
-    const VNew = {}; // V'(s)
-    const policy = {}; // π(s) -> action id
+    let V = {}; // V(s), initially 0
+    let policy = {}; // π(s) -> action id
     
-    graph.states.forEach(state => {
-        V[state.id] = 0;
-        VNew[state.id] = 0;
-    });
+    // Convergence trace
+    const residuals = [];
+    const policyChanges = [];
+    const snapshots = options.snapshots ? [] : null;
     
     let iterations = 0;
     let converged = false;
@@ -36,76 +51,193 @@ export function valueIteration(options = {}) {
     // Value iteration loop
     while (iterations < maxIterations) {
         iterations++;
-        let maxDelta = 0;
         
-        // For each state
+        const sweep = bellmanSweep(V, { gamma, policy });
+        V = sweep.values;
+        policy = sweep.policy;
+        const maxDelta = sweep.residual;
+        
+        residuals.push(maxDelta);
+        policyChanges.push(sweep.policyChanges);
+        if (snapshots) {
+            snapshots.push(V); // each sweep returns a fresh object
+        }
+        
+        if (options.onProgress) {
+            options.onProgress({ iteration: iterations, residual: maxDelta, policyChanges: sweep.policyChanges });
+        }
+        
+        // Check convergence
+        if (maxDelta < epsilon) {
+            converged = true;
+            break;
+        }
+    }
+    
+    const result = {
+        values: V,
+        policy: policy,
+        iterations: iterations,
+        converged: converged,
+        residuals: residuals,
+        policyChanges: policyChanges
+    };
+    if (snapshots) {
+        result.snapshots = snapshots;
+    }
+    return result;
+}
+
+/**
+ * One synchronous Bellman optimality sweep on the loaded graph:
+ * V'(s) = max_a Q(s, a) from V, with V'(s) = R(s) for terminal states and states
+ * without actions. Does not validate the graph.
+ * @param {Object} V - Current values { stateId: number }; missing states count as 0
+ * @param {Object} options - { gamma, policy (greedy policy of the previous sweep,
+ *   to count changes) }
+ * @returns {Object} - { values, policy, residual (max_s |V'(s) - V(s)|, terminal states
+ *   included), policyChanges (states whose greedy action differs from options.policy) }
+ */
+export function bellmanSweep(V, options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    const previousPolicy = options.policy || {};
+    
+    const values = {};
+    const policy = {};
+    let residual = 0;
+    let policyChanges = 0;
+    
+    for (const state of graph.states) {
+        const stateId = state.id;
+        const actions = state.terminal ? [] : model.getActionsFromState(stateId);
+        
+        if (actions.length === 0) {
+            // Terminal state (or no actions): V(s) = R(s)
+            values[stateId] = state.reward;
+        } else {
+            // Calculate Q(s, a) for each action and take max
+            let maxQ = -Infinity;
+            let bestAction = null;
+            
+            for (const action of actions) {
+                const Q = calculateQ(state, action, V, gamma);
+                
+                if (Q > maxQ) {
+                    maxQ = Q;
+                    bestAction = action.id;
+                }
+            }
+            
+            values[stateId] = maxQ;
+            policy[stateId] = bestAction;
+            if (previousPolicy[stateId] !== bestAction) {
+                policyChanges++;
+            }
+        }
+        
+        const delta = Math.abs(values[stateId] - (V[stateId] || 0));
+        if (delta > residual) {
+            residual = delta;
+        }
+    }
+    
+    return { values, policy, residual, policyChanges };
+}
+
+/**
+ * Finite-horizon backward induction
+ * Computes time-indexed values V_t(s) and a non-stationary policy π_t(s)
+ * for t = 0..T-1, with V_T(s) = R(s) once no decisions remain.
+ * @param {Object} options - { gamma, horizon,
+ *   onProgress({ iteration, total }) called after each epoch }
+ * @returns {Object} - { values, policy, valuesByStep, policies, horizon, iterations, converged }
+ */
+export function finiteHorizon(options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    const horizon = options.horizon !== undefined ? options.horizon : graph.horizon;
+    
+    if (!Number.isInteger(horizon) || horizon < 1) {
+        throw new Error('Horizon must be a positive integer');
+    }
+    
+    // Validate graph
+    const validation = model.validateGraph();
+    if (!validation.valid) {
+        throw new Error('Graph has validation errors: ' + validation.errors.join(', '));
+    }
+    
+    const valuesByStep = new Array(horizon + 1); // V_t(s)
+    const policies = new Array(horizon); // π_t(s) -> action id
+    
+    // Deadline: only the reward of the final state counts
+    const VFinal = {};
+    graph.states.forEach(state => {
+        VFinal[state.id] = state.reward;
+    });
+    valuesByStep[horizon] = VFinal;
+    
+    // Backward induction from the deadline to the first decision epoch
+    for (let t = horizon - 1; t >= 0; t--) {
+        const VNext = valuesByStep[t + 1];
+        const V = {};
+        const policy = {};
+        
         for (const state of graph.states) {
             const stateId = state.id;
             
-            // Terminal state: V(s) = R(s)
             if (state.terminal) {
-                VNew[stateId] = state.reward;
+                V[stateId] = state.reward;
                 continue;
             }
             
-            // Get actions from this state
             const actions = model.getActionsFromState(stateId);
-            
-            // No actions: treat as terminal
             if (actions.length === 0) {
-                VNew[stateId] = state.reward;
+                V[stateId] = state.reward;
                 continue;
             }
             
-            // Calculate Q(s, a) for each action and take max
             let maxQ = -Infinity;
             let bestAction = null;
             
             for (const action of actions) {
-                const Q = calculateQ(state, action, V, gamma);
-                
+                const Q = calculateQ(state, action, VNext, gamma);
                 if (Q > maxQ) {
                     maxQ = Q;
                     bestAction = action.id;
                 }
             }
             
-            VNew[stateId] = maxQ;
+            V[stateId] = maxQ;
             policy[stateId] = bestAction;
-            
-            // Track convergence
-            const delta = Math.abs(VNew[stateId] - V[stateId]);
-            if (delta > maxDelta) {
-                maxDelta = delta;
-            }
         }
         
-        // Update V
-        for (const stateId in V) {
-            V[stateId] = VNew[stateId];
-        }
+        valuesByStep[t] = V;
+        policies[t] = policy;
         
-        // Check convergence
-        if (maxDelta < epsilon) {
-            converged = true;
-            break;
+        if (options.onProgress) {
+            options.onProgress({ iteration: horizon - t, total: horizon });
         }
     }
     
     return {
-        values: V,
-        policy: policy,
-        iterations: iterations,
-        converged: converged
+        values: valuesByStep[0],
+        policy: policies[0],
+        valuesByStep: valuesByStep,
+        policies: policies,
+        horizon: horizon,
+        iterations: horizon,
+        converged: true
     };
 }
 
 /**
- * Calculate Q(s, a) = R(s) - cost(a) + gamma * Σ P(s'|s,a) * V(s')
+ * Calculate Q(s, a) = R(s) - cost(a) + Σ P(s'|s,a) * [r(s,a,s') + gamma * V(s')]
  */
 function calculateQ(state, action, V, gamma) {
-    // Immediate reward/cost
-    let Q = state.reward - action.cost;
+    // Immediate reward/cost, including the expected transition reward
+    let Q = immediateReward(state, action);
     
     // Expected future value
     let expectedValue = 0;
@@ -119,17 +251,37 @@ function calculateQ(state, action, V, gamma) {
     return Q;
 }
 
+/**
+ * Expected reward for taking an action: R(s) - cost(a) + Σ P(s'|s,a) * r(s,a,s')
+ * (outcomes without a reward contribute 0)
+ */
+function immediateReward(state, action) {
+    let reward = state.reward - action.cost;
+    for (const outcome of action.outcomes) {
+        reward += outcome.prob * (outcome.reward || 0);
+    }
+    return reward;
+}
+
 /**
  * Policy Iteration algorithm (optional, more complex)
- * @param {Object} options - { gamma, epsilon, maxIterations }
- * @returns {Object} - { values, policy, iterations, converged }
+ * @param {Object} options - { gamma, epsilon, maxIterations, evalMaxIterations, evaluation,
+ *   onProgress({ iteration, residual, policyChanges }) called after each improvement step }
+ * @returns {Object} - { values, policy, iterations, converged, evaluation, residual,
+ *   residuals, policyChanges } with the evaluation residual and the number of improved
+ *   states per iteration
  */
 export function policyIteration(options = {}) {
     const graph = model.getGraph();
     const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
     const epsilon = options.epsilon !== undefined ? options.epsilon : graph.epsilon;
     const maxIterations = options.maxIterations || 1000;
-    const evalMaxIterations = options.evalMaxIterations || 100;
+    const evalOptions = {
+        gamma: gamma,
+        epsilon: epsilon,
+        maxIterations: options.evalMaxIterations || 1000,
+        method: options.evaluation || 'auto'
+    };
     
     // Validate graph
     const validation = model.validateGraph();
@@ -147,16 +299,21 @@ export function policyIteration(options = {}) {
     });
     
     let iterations = 0;
-    let converged = false;
+    let evaluation = null;
+    
+    // Convergence trace
+    const residuals = [];
+    const policyChanges = [];
     
     while (iterations < maxIterations) {
         iterations++;
         
         // Policy Evaluation
-        const V = policyEvaluation(policy, gamma, epsilon, evalMaxIterations);
+        evaluation = policyEvaluation(policy, evalOptions);
+        const V = evaluation.values;
         
         // Policy Improvement
-        let policyStable = true;
+        let changes = 0;
         
         for (const state of graph.states) {
             if (state.terminal) continue;
@@ -169,50 +326,169 @@ export function policyIteration(options = {}) {
             // Find best action
             let maxQ = -Infinity;
             let bestAction = null;
+            let oldQ = -Infinity;
             
             for (const action of actions) {
                 const Q = calculateQ(state, action, V, gamma);
+                if (action.id === oldAction) {
+                    oldQ = Q;
+                }
                 if (Q > maxQ) {
                     maxQ = Q;
                     bestAction = action.id;
                 }
             }
             
-            policy[state.id] = bestAction;
-            
-            if (oldAction !== bestAction) {
-                policyStable = false;
+            // Only switch on strict improvement so ties cannot cycle forever
+            if (oldQ >= maxQ - IMPROVEMENT_TOLERANCE) {
+                continue;
             }
+            
+            policy[state.id] = bestAction;
+            changes++;
         }
         
-        if (policyStable) {
-            converged = true;
-            // Do final evaluation to get accurate values
-            const finalV = policyEvaluation(policy, gamma, epsilon, evalMaxIterations);
+        residuals.push(evaluation.residual);
+        policyChanges.push(changes);
+        
+        if (options.onProgress) {
+            options.onProgress({
+                iteration: iterations,
+                residual: evaluation.residual,
+                policyChanges: changes
+            });
+        }
+        
+        if (changes === 0) {
+            // V already belongs to the final policy
             return {
-                values: finalV,
+                values: V,
                 policy: policy,
                 iterations: iterations,
-                converged: true
+                converged: evaluation.converged,
+                evaluation: evaluation.method,
+                residual: evaluation.residual,
+                residuals: residuals,
+                policyChanges: policyChanges
             };
         }
     }
     
     // Final evaluation even if not converged
-    const V = policyEvaluation(policy, gamma, epsilon, evalMaxIterations);
+    evaluation = policyEvaluation(policy, evalOptions);
     
     return {
-        values: V,
+        values: evaluation.values,
         policy: policy,
         iterations: iterations,
-        converged: false
+        converged: false,
+        evaluation: evaluation.method,
+        residual: evaluation.residual,
+        residuals: residuals,
+        policyChanges: policyChanges
     };
 }
 
 /**
  * Policy Evaluation: compute V^π for a given policy π
+ * Solves (I - γP_π) V = r_π exactly for graphs up to `exactMaxStates` states
+ * and falls back to iterative sweeps for larger (or singular) systems.
+ * @param {Object} policy - Policy object (state -> action id, or state -> { actionId: prob })
+ * @param {Object} options - { gamma, epsilon, maxIterations, method, exactMaxStates }
+ *   method is 'auto' (default), 'exact' or 'iterative'
+ * @returns {Object} - { values, method, residual, iterations, converged }
+ */
+export function policyEvaluation(policy, options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    const epsilon = options.epsilon !== undefined ? options.epsilon : graph.epsilon;
+    const maxIterations = options.maxIterations || 1000;
+    const method = options.method || 'auto';
+    const exactMaxStates = options.exactMaxStates || EXACT_EVAL_MAX_STATES;
+    
+    const tryExact = method === 'exact' ||
+        (method === 'auto' && graph.states.length <= exactMaxStates);
+    
+    if (tryExact) {
+        const V = exactPolicyEvaluation(policy, gamma);
+        
+        if (V) {
+            return {
+                values: V,
+                method: 'exact',
+                residual: policyResidual(policy, V, gamma),
+                iterations: 1,
+                converged: true
+            };
+        }
+        
+        // Singular system (e.g. γ = 1 with a non-terminating cycle)
+        if (method === 'exact') {
+            throw new Error('Policy evaluation system is singular; the policy may never terminate');
+        }
+    }
+    
+    const result = iterativePolicyEvaluation(policy, gamma, epsilon, maxIterations);
+    
+    return {
+        values: result.values,
+        method: 'iterative',
+        residual: policyResidual(policy, result.values, gamma),
+        iterations: result.iterations,
+        converged: result.converged
+    };
+}
+
+/**
+ * Solve the linear system (I - γP_π) V = r_π with Gaussian elimination
+ * @returns {Object|null} - Values by state id, or null if the system is singular
+ */
+function exactPolicyEvaluation(policy, gamma) {
+    const graph = model.getGraph();
+    const n = graph.states.length;
+    
+    const index = {};
+    graph.states.forEach((state, i) => {
+        index[state.id] = i;
+    });
+    
+    const A = identity(n);
+    const b = new Array(n).fill(0);
+    
+    graph.states.forEach((state, i) => {
+        const choices = getPolicyActions(policy, state);
+        
+        // Terminal or no action: V(s) = R(s)
+        if (choices.length === 0) {
+            b[i] = state.reward;
+            return;
+        }
+        
+        for (const { action, prob } of choices) {
+            b[i] += prob * immediateReward(state, action);
+            for (const outcome of action.outcomes) {
+                const j = index[outcome.toStateId];
+                if (j === undefined) continue;
+                A[i][j] -= gamma * prob * outcome.prob;
+            }
+        }
+    });
+    
+    const x = solveLinearSystem(A, b);
+    if (!x || x.some(v => !isFinite(v))) return null;
+    
+    const V = {};
+    graph.states.forEach((state, i) => {
+        V[state.id] = x[i];
+    });
+    
+    return V;
+}
+
+/**
+ * Iterative policy evaluation by repeated Bellman expectation sweeps
  */
-function policyEvaluation(policy, gamma, epsilon, maxIterations) {
+function iterativePolicyEvaluation(policy, gamma, epsilon, maxIterations) {
     const graph = model.getGraph();
     const V = {};
     const VNew = {};
@@ -222,30 +498,17 @@ function policyEvaluation(policy, gamma, epsilon, maxIterations) {
         VNew[state.id] = 0;
     });
     
-    for (let i = 0; i < maxIterations; i++) {
+    let iterations = 0;
+    let converged = false;
+    
+    while (iterations < maxIterations) {
+        iterations++;
         let maxDelta = 0;
         
         for (const state of graph.states) {
             const stateId = state.id;
             
-            if (state.terminal) {
-                VNew[stateId] = state.reward;
-                continue;
-            }
-            
-            const actionId = policy[stateId];
-            if (!actionId) {
-                VNew[stateId] = state.reward;
-                continue;
-            }
-            
-            const action = model.getActionById(actionId);
-            if (!action) {
-                VNew[stateId] = state.reward;
-                continue;
-            }
-            
-            VNew[stateId] = calculateQ(state, action, V, gamma);
+            VNew[stateId] = policyBackup(policy, state, V, gamma);
             
             const delta = Math.abs(VNew[stateId] - V[stateId]);
             if (delta > maxDelta) {
@@ -258,11 +521,339 @@ function policyEvaluation(policy, gamma, epsilon, maxIterations) {
         }
         
         if (maxDelta < epsilon) {
+            converged = true;
             break;
         }
     }
     
-    return V;
+    return { values: V, iterations, converged };
+}
+
+/**
+ * Max Bellman expectation residual: max_s |V(s) - (T^π V)(s)|
+ */
+function policyResidual(policy, V, gamma) {
+    const graph = model.getGraph();
+    let residual = 0;
+    
+    for (const state of graph.states) {
+        const delta = Math.abs(V[state.id] - policyBackup(policy, state, V, gamma));
+        if (delta > residual) {
+            residual = delta;
+        }
+    }
+    
+    return residual;
+}
+
+/**
+ * One Bellman expectation backup (T^π V)(s)
+ */
+function policyBackup(policy, state, V, gamma) {
+    const choices = getPolicyActions(policy, state);
+    
+    // Terminal or no action: V(s) = R(s)
+    if (choices.length === 0) {
+        return state.reward;
+    }
+    
+    return sum(choices.map(({ action, prob }) => prob * calculateQ(state, action, V, gamma)));
+}
+
+/**
+ * Actions taken by the policy in a state as [{ action, prob }]
+ * An empty list means the state acts as terminal.
+ */
+function getPolicyActions(policy, state) {
+    if (state.terminal) return [];
+    
+    const probs = getActionProbabilities(policy, state.id);
+    const choices = [];
+    for (const actionId in probs) {
+        const action = model.getActionById(actionId);
+        if (action && probs[actionId] > 0) {
+            choices.push({ action, prob: probs[actionId] });
+        }
+    }
+    return choices;
+}
+
+/**
+ * Linear-programming solver
+ * Solves the dual LP over discounted state-action occupancy measures x(s,a):
+ *   max Σ x(s,a) r(s,a)  s.t.  Σ_a x(s',a) - γ Σ P(s'|s,a) x(s,a) = α(s'),  x ≥ 0
+ * Its multipliers are the primal solution V*(s) = min Σ α(s)V(s) s.t. V ≥ TV.
+ * @param {Object} options - { gamma, initialDistribution } (α defaults to uniform)
+ * @returns {Object} - { values, policy, iterations, converged, occupancy, stateOccupancy, objective }
+ */
+export function linearProgramming(options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    
+    // Validate graph
+    const validation = model.validateGraph();
+    if (!validation.valid) {
+        throw new Error('Graph has validation errors: ' + validation.errors.join(', '));
+    }
+    
+    const alpha = options.initialDistribution || uniformDistribution(graph.states);
+    const lp = buildOccupancyLP(graph, gamma, alpha);
+    const result = simplex(lp.problem);
+    
+    if (result.status !== 'optimal') {
+        throw new Error(describeLPFailure(result.status));
+    }
+    
+    // Primal values are the multipliers of the flow constraints
+    const values = {};
+    graph.states.forEach((state, i) => {
+        values[state.id] = result.duals[i];
+    });
+    
+    const { occupancy, stateOccupancy } = collectOccupancy(lp.columns, result.x, graph.states);
+    
+    // Optimal action: the one carrying occupancy; greedy on V* where α gives no mass
+    const policy = {};
+    for (const state of graph.states) {
+        if (state.terminal) continue;
+        
+        const actions = model.getActionsFromState(state.id);
+        if (actions.length === 0) continue;
+        
+        let bestAction = null;
+        let bestMass = OCCUPANCY_TOLERANCE;
+        for (const action of actions) {
+            if (occupancy[state.id][action.id] > bestMass) {
+                bestMass = occupancy[state.id][action.id];
+                bestAction = action.id;
+            }
+        }
+        
+        policy[state.id] = bestAction || getOptimalAction(state.id, values, gamma);
+    }
+    
+    return {
+        values: values,
+        policy: policy,
+        iterations: result.pivots,
+        converged: true,
+        occupancy: occupancy,
+        stateOccupancy: stateOccupancy,
+        objective: result.objective
+    };
+}
+
+/**
+ * Constrained MDP solver
+ * Maximizes expected discounted reward from the start state subject to
+ * expected discounted budgets on secondary action costs:
+ *   Σ x(s,a) cost_k(a) ≤ budget_k  added to the occupancy-measure LP.
+ * The optimal policy may randomize: π(a|s) = x(s,a) / Σ_a' x(s,a'). States it
+ * never reaches act as policy iteration would, so without constraints the
+ * result matches the unconstrained solvers.
+ * @param {Object} options - { gamma, startStateId, constraints }
+ * @returns {Object} - { values, policy (state -> { actionId: prob }), iterations, converged,
+ *   occupancy, stateOccupancy, objective, constraints: [{ dimension, budget, expected, slack }] }
+ */
+export function constrainedLP(options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    const startStateId = options.startStateId || graph.startStateId;
+    const constraints = options.constraints || graph.constraints;
+    
+    // Validate graph
+    const validation = model.validateGraph();
+    if (!validation.valid) {
+        throw new Error('Graph has validation errors: ' + validation.errors.join(', '));
+    }
+    
+    if (!startStateId || !model.getStateById(startStateId)) {
+        throw new Error('Constrained solving needs a start state: budgets are expectations from it');
+    }
+    
+    const lp = buildOccupancyLP(graph, gamma, { [startStateId]: 1 });
+    const { c, A, b } = lp.problem;
+    const flowColumns = lp.columns.length;
+    
+    // One budget row per constraint, closed with its own slack column
+    const slackColumns = constraints.map(() => 0);
+    A.forEach(row => row.push(...slackColumns));
+    
+    constraints.forEach((constraint, k) => {
+        const row = lp.columns.map(column => {
+            if (!column.actionId) return 0;
+            return model.getActionCost(model.getActionById(column.actionId), constraint.dimension);
+        });
+        row.push(...slackColumns.map((zero, k2) => (k2 === k ? 1 : 0)));
+        
+        A.push(row);
+        b.push(constraint.budget);
+    });
+    c.push(...slackColumns);
+    
+    const result = simplex(lp.problem);
+    
+    if (result.status === 'infeasible') {
+        throw new Error('No policy meets the budget constraints');
+    }
+    if (result.status !== 'optimal') {
+        throw new Error(describeLPFailure(result.status));
+    }
+    
+    const { occupancy, stateOccupancy } = collectOccupancy(
+        lp.columns, result.x.slice(0, flowColumns), graph.states
+    );
+    
+    // Randomized policy from occupancy. States the policy never visits don't
+    // count towards any budget, so they take the unconstrained optimal action.
+    const policy = {};
+    let unconstrained = null;
+    for (const state of graph.states) {
+        if (state.terminal) continue;
+        
+        const actions = model.getActionsFromState(state.id);
+        if (actions.length === 0) continue;
+        
+        const total = sum(actions.map(action => occupancy[state.id][action.id]));
+        
+        if (total <= OCCUPANCY_TOLERANCE) {
+            unconstrained = unconstrained || policyIteration({ gamma });
+            policy[state.id] = { [unconstrained.policy[state.id]]: 1 };
+            continue;
+        }
+        
+        const distribution = {};
+        for (const action of actions) {
+            distribution[action.id] = occupancy[state.id][action.id] / total;
+        }
+        
+        policy[state.id] = distribution;
+    }
+    
+    const evaluation = policyEvaluation(policy, { gamma });
+    
+    const constraintReport = constraints.map(constraint => {
+        let expected = 0;
+        for (const state of graph.states) {
+            for (const actionId in occupancy[state.id]) {
+                const action = model.getActionById(actionId);
+                expected += occupancy[state.id][actionId] * model.getActionCost(action, constraint.dimension);
+            }
+        }
+        
+        return {
+            dimension: constraint.dimension,
+            budget: constraint.budget,
+            expected: expected,
+            slack: constraint.budget - expected
+        };
+    });
+    
+    return {
+        values: evaluation.values,
+        policy: policy,
+        iterations: result.pivots,
+        converged: true,
+        occupancy: occupancy,
+        stateOccupancy: stateOccupancy,
+        objective: result.objective,
+        constraints: constraintReport
+    };
+}
+
+/**
+ * Build the occupancy-measure LP: one column per (state, action) pair plus a
+ * "stop" column for each terminal or action-less state, one row per state.
+ * @returns {Object} - { problem: { c, A, b }, columns: [{ stateId, actionId }] }
+ */
+function buildOccupancyLP(graph, gamma, alpha) {
+    const n = graph.states.length;
+    const index = {};
+    graph.states.forEach((state, i) => {
+        index[state.id] = i;
+    });
+    
+    const columns = [];
+    const c = [];
+    const A = graph.states.map(() => []);
+    
+    function addColumn(stateId, actionId, reward, outcomes) {
+        const coefficients = new Array(n).fill(0);
+        coefficients[index[stateId]] += 1;
+        for (const outcome of outcomes) {
+            const j = index[outcome.toStateId];
+            if (j === undefined) continue;
+            coefficients[j] -= gamma * outcome.prob;
+        }
+        
+        columns.push({ stateId, actionId });
+        c.push(reward);
+        coefficients.forEach((value, i) => A[i].push(value));
+    }
+    
+    for (const state of graph.states) {
+        const actions = state.terminal ? [] : model.getActionsFromState(state.id);
+        
+        if (actions.length === 0) {
+            addColumn(state.id, null, state.reward, []);
+            continue;
+        }
+        
+        for (const action of actions) {
+            addColumn(state.id, action.id, immediateReward(state, action), action.outcomes);
+        }
+    }
+    
+    const b = graph.states.map(state => alpha[state.id] || 0);
+    
+    return { problem: { c, A, b }, columns };
+}
+
+/**
+ * Group LP column values into per-state, per-action occupancy measures
+ */
+function collectOccupancy(columns, x, states) {
+    const occupancy = {};
+    const stateOccupancy = {};
+    
+    states.forEach(state => {
+        occupancy[state.id] = {};
+        stateOccupancy[state.id] = 0;
+    });
+    
+    columns.forEach((column, k) => {
+        stateOccupancy[column.stateId] += x[k];
+        if (column.actionId) {
+            occupancy[column.stateId][column.actionId] = x[k];
+        }
+    });
+    
+    return { occupancy, stateOccupancy };
+}
+
+/**
+ * Uniform initial distribution over all states
+ */
+function uniformDistribution(states) {
+    const alpha = {};
+    states.forEach(state => {
+        alpha[state.id] = 1 / states.length;
+    });
+    return alpha;
+}
+
+/**
+ * Human-readable reason for a non-optimal simplex result
+ */
+function describeLPFailure(status) {
+    switch (status) {
+        case 'unbounded':
+            return 'LP is unbounded: with γ = 1 some policy collects reward forever';
+        case 'infeasible':
+            return 'LP is infeasible: with γ = 1 some policy never reaches a terminal state';
+        default:
+            return 'LP solver hit its pivot limit';
+    }
 }
 
 /**
@@ -324,7 +915,7 @@ export function evaluatePolicy(policy, startStateId, gamma, horizon = 100) {
         
         if (currentState.terminal) break;
         
-        const actionId = policy[currentStateId];
+        const actionId = mostLikelyAction(policy, currentStateId);
         if (!actionId) break;
         
         const action = model.getActionById(actionId);
@@ -346,6 +937,7 @@ export function evaluatePolicy(policy, startStateId, gamma, horizon = 100) {
             }
         }
         
+        totalValue += discount * (mostLikely.reward || 0);
         currentStateId = mostLikely.toStateId;
         discount *= gamma;
     }
@@ -1,17 +1,29 @@
 // model.js - MDP graph data model
 
-import { uid, sum, round } from './utils.js';
+import { uid, sum, round, deepClone, groupBy, stronglyConnectedComponents } from './utils.js';
+import * as distributions from './distributions.js';
 
 // Global state
 const state = {
     version: 1,
     gamma: 0.95,
     epsilon: 0.001,
+    horizon: 10,
+    riskLevel: 0.1, // CVaR level α: the worst fraction of outcomes averaged
+    riskAversion: 1, // entropic risk coefficient β
+    seed: null, // simulation seed; null draws from Math.random
     states: [],
     actions: [],
+    constraints: [], // [{ dimension, budget }] on expected discounted action costs
+    customPolicy: {}, // hand-written behaviour policy: stateId -> { actionId: prob }
+    viewport: { x: 0, y: 0, scale: 1 }, // canvas pan (screen offset) and zoom
     startStateId: null
 };
 
+// Change listeners: { eventType or '*': [listener] }
+const listeners = {};
+let muted = 0; // withoutEvents() depth
+
 /**
  * Initialize or reset the model
  */
@@ -19,9 +31,17 @@ export function init() {
     state.version = 1;
     state.gamma = 0.95;
     state.epsilon = 0.001;
+    state.horizon = 10;
+    state.riskLevel = 0.1;
+    state.riskAversion = 1;
+    state.seed = null;
     state.states = [];
     state.actions = [];
+    state.constraints = [];
+    state.customPolicy = {};
+    state.viewport = { x: 0, y: 0, scale: 1 };
     state.startStateId = null;
+    emit('graphLoaded');
 }
 
 /**
@@ -32,8 +52,15 @@ export function getGraph() {
         version: state.version,
         gamma: state.gamma,
         epsilon: state.epsilon,
+        horizon: state.horizon,
+        riskLevel: state.riskLevel,
+        riskAversion: state.riskAversion,
+        seed: state.seed,
         states: [...state.states],
         actions: [...state.actions],
+        constraints: [...state.constraints],
+        customPolicy: { ...state.customPolicy },
+        viewport: { ...state.viewport },
         startStateId: state.startStateId
     };
 }
@@ -43,20 +70,37 @@ export function getGraph() {
  */
 export function loadGraph(data) {
     state.version = data.version || 1;
-    state.gamma = data.gamma || 0.95;
+    state.gamma = data.gamma !== undefined ? data.gamma : 0.95; // γ = 0 is allowed
     state.epsilon = data.epsilon || 0.001;
+    state.horizon = data.horizon || 10;
+    state.riskLevel = data.riskLevel !== undefined ? data.riskLevel : 0.1;
+    state.riskAversion = data.riskAversion !== undefined ? data.riskAversion : 1;
+    state.seed = data.seed !== undefined ? data.seed : null;
     state.states = data.states || [];
     state.actions = data.actions || [];
+    normalizeRewards();
+    state.constraints = data.constraints || [];
+    state.customPolicy = data.customPolicy || {};
+    state.viewport = data.viewport ? { ...data.viewport } : { x: 0, y: 0, scale: 1 };
     state.startStateId = data.startStateId || null;
+    emit('graphLoaded');
 }
 
+// Keys of getSettings()
+const SETTINGS = ['gamma', 'epsilon', 'horizon', 'riskLevel', 'riskAversion', 'seed', 'startStateId'];
+
 /**
  * Update settings
  */
 export function updateSettings(settings) {
-    if (settings.gamma !== undefined) state.gamma = settings.gamma;
-    if (settings.epsilon !== undefined) state.epsilon = settings.epsilon;
-    if (settings.startStateId !== undefined) state.startStateId = settings.startStateId;
+    const changes = SETTINGS.filter(key =>
+        settings[key] !== undefined && !Object.is(settings[key], state[key])
+    );
+    changes.forEach(key => {
+        state[key] = settings[key];
+    });
+    
+    if (changes.length > 0) emit('settingsChanged', { changes });
 }
 
 /**
@@ -66,10 +110,110 @@ export function getSettings() {
     return {
         gamma: state.gamma,
         epsilon: state.epsilon,
+        horizon: state.horizon,
+        riskLevel: state.riskLevel,
+        riskAversion: state.riskAversion,
+        seed: state.seed,
         startStateId: state.startStateId
     };
 }
 
+// === EVENTS ===
+
+/**
+ * Change events, emitted after the change with { type, ...details }:
+ *   graphLoaded                       init() or loadGraph()
+ *   settingsChanged { changes }       keys of getSettings() that changed
+ *   viewportChanged
+ *   stateAdded { stateId }
+ *   stateUpdated { stateId, changes } e.g. ['x', 'y'] or ['reward']
+ *   stateRemoved { stateId, removedActionIds }  (also the actions left without outcomes)
+ *   actionAdded { actionId, stateId }
+ *   actionUpdated { actionId, changes } e.g. ['label'], ['cost', 'costs'] or ['outcomes']
+ *   actionRemoved { actionId }
+ *   outcomeAdded, outcomeUpdated, outcomeRemoved { actionId, toStateId }
+ *   constraintsChanged
+ *   customPolicyChanged { stateId }   null when the whole policy was replaced
+ */
+export const EVENT_TYPES = [
+    'graphLoaded', 'settingsChanged', 'viewportChanged',
+    'stateAdded', 'stateUpdated', 'stateRemoved',
+    'actionAdded', 'actionUpdated', 'actionRemoved',
+    'outcomeAdded', 'outcomeUpdated', 'outcomeRemoved',
+    'constraintsChanged', 'customPolicyChanged'
+];
+
+/**
+ * Listen for changes to the model
+ * @param {string} type - One of EVENT_TYPES, or '*' for every change
+ * @param {Function} listener - Called with the event after each change
+ * @returns {Function} - Call to stop listening
+ */
+export function subscribe(type, listener) {
+    if (type !== '*' && !EVENT_TYPES.includes(type)) {
+        throw new Error(`Unknown model event: ${type}`);
+    }
+    
+    (listeners[type] = listeners[type] || []).push(listener);
+    return () => {
+        listeners[type] = listeners[type].filter(l => l !== listener);
+    };
+}
+
+/**
+ * Run fn without emitting events, for changes it undoes before returning
+ * (e.g. api.withGraph, which loads a graph temporarily)
+ * @returns {*} - Whatever fn returns
+ */
+export function withoutEvents(fn) {
+    muted++;
+    try {
+        return fn();
+    } finally {
+        muted--;
+    }
+}
+
+function emit(type, details = {}) {
+    if (muted > 0) return;
+    
+    const event = { type, ...details };
+    [...(listeners[type] || []), ...(listeners['*'] || [])].forEach(listener => {
+        // A failing listener must not stop the others (or the edit)
+        try {
+            listener(event);
+        } catch (error) {
+            console.error(`Model listener for ${type} failed:`, error);
+        }
+    });
+}
+
+/**
+ * The keys of props (among those allowed) that were given
+ */
+function definedKeys(props, allowed) {
+    return allowed.filter(key => props[key] !== undefined);
+}
+
+// === VIEWPORT ===
+
+/**
+ * Get the canvas viewport: world point p is drawn at p * scale + (x, y)
+ */
+export function getViewport() {
+    return { ...state.viewport };
+}
+
+/**
+ * Update the canvas viewport (partial updates allowed)
+ */
+export function setViewport(viewport) {
+    if (viewport.x !== undefined) state.viewport.x = viewport.x;
+    if (viewport.y !== undefined) state.viewport.y = viewport.y;
+    if (viewport.scale !== undefined) state.viewport.scale = viewport.scale;
+    emit('viewportChanged');
+}
+
 // === STATE OPERATIONS ===
 
 /**
@@ -85,6 +229,7 @@ export function addState(x, y, label = 'State') {
         reward: 0
     };
     state.states.push(newState);
+    emit('stateAdded', { stateId: newState.id });
     return newState;
 }
 
@@ -97,6 +242,7 @@ export function removeState(stateId) {
     if (idx === -1) return false;
     
     state.states.splice(idx, 1);
+    const actionIds = state.actions.map(a => a.id);
     
     // Remove all actions from this state
     state.actions = state.actions.filter(a => a.stateId !== stateId);
@@ -109,11 +255,14 @@ export function removeState(stateId) {
     // Remove actions with no outcomes
     state.actions = state.actions.filter(a => a.outcomes.length > 0);
     
+    pruneCustomPolicy();
+    
     // Clear start state if it was this state
     if (state.startStateId === stateId) {
         state.startStateId = null;
     }
     
+    emit('stateRemoved', { stateId, removedActionIds: actionIds.filter(id => !getActionById(id)) });
     return true;
 }
 
@@ -128,8 +277,9 @@ export function updateState(stateId, props) {
     if (props.x !== undefined) stateObj.x = props.x;
     if (props.y !== undefined) stateObj.y = props.y;
     if (props.terminal !== undefined) stateObj.terminal = props.terminal;
-    if (props.reward !== undefined) stateObj.reward = props.reward;
+    if (props.reward !== undefined) applyReward(stateObj, props.reward);
     
+    emit('stateUpdated', { stateId, changes: definedKeys(props, ['label', 'x', 'y', 'terminal', 'reward']) });
     return true;
 }
 
@@ -161,9 +311,11 @@ export function addAction(stateId, label = 'Action', cost = 0) {
         stateId: stateId,
         label: label,
         cost: cost,
+        costs: {}, // secondary cost dimensions, e.g. { time: 30, money: 5 }
         outcomes: []
     };
     state.actions.push(newAction);
+    emit('actionAdded', { actionId: newAction.id, stateId });
     return newAction;
 }
 
@@ -175,6 +327,8 @@ export function removeAction(actionId) {
     if (idx === -1) return false;
     
     state.actions.splice(idx, 1);
+    pruneCustomPolicy();
+    emit('actionRemoved', { actionId });
     return true;
 }
 
@@ -187,7 +341,9 @@ export function updateAction(actionId, props) {
     
     if (props.label !== undefined) action.label = props.label;
     if (props.cost !== undefined) action.cost = props.cost;
+    if (props.costs !== undefined) action.costs = { ...props.costs };
     
+    emit('actionUpdated', { actionId, changes: definedKeys(props, ['label', 'cost', 'costs']) });
     return true;
 }
 
@@ -212,12 +368,163 @@ export function getAllActions() {
     return [...state.actions];
 }
 
+/**
+ * Get an action's cost in a secondary dimension (0 if not set)
+ */
+export function getActionCost(action, dimension) {
+    const costs = action.costs || {};
+    return costs[dimension] !== undefined ? costs[dimension] : 0;
+}
+
+/**
+ * Get all secondary cost dimensions used by any action
+ */
+export function getCostDimensions() {
+    const dimensions = new Set();
+    state.actions.forEach(action => {
+        Object.keys(action.costs || {}).forEach(dimension => dimensions.add(dimension));
+    });
+    state.constraints.forEach(constraint => dimensions.add(constraint.dimension));
+    return [...dimensions];
+}
+
+// === CONSTRAINT OPERATIONS ===
+
+/**
+ * Get all budget constraints
+ */
+export function getConstraints() {
+    return [...state.constraints];
+}
+
+/**
+ * Add or update the budget on a cost dimension
+ */
+export function setConstraint(dimension, budget) {
+    const existing = state.constraints.find(c => c.dimension === dimension);
+    if (existing) {
+        existing.budget = budget;
+    } else {
+        state.constraints.push({ dimension, budget });
+    }
+    emit('constraintsChanged');
+    return true;
+}
+
+/**
+ * Remove the budget on a cost dimension
+ */
+export function removeConstraint(dimension) {
+    const idx = state.constraints.findIndex(c => c.dimension === dimension);
+    if (idx === -1) return false;
+    
+    state.constraints.splice(idx, 1);
+    emit('constraintsChanged');
+    return true;
+}
+
+// === CUSTOM POLICY ===
+
+/**
+ * Get the hand-written policy as stateId -> { actionId: prob }
+ * States without an explicit entry choose uniformly among their actions;
+ * explicit entries are normalized to sum to 1.
+ */
+export function getCustomPolicy() {
+    const policy = {};
+    
+    state.states.forEach(s => {
+        if (s.terminal) return;
+        
+        const actions = getActionsFromState(s.id);
+        if (actions.length === 0) return;
+        
+        policy[s.id] = getCustomPolicyEntry(s.id);
+    });
+    
+    return policy;
+}
+
+/**
+ * Get the custom policy's action distribution for one state (normalized)
+ */
+export function getCustomPolicyEntry(stateId) {
+    const actions = getActionsFromState(stateId);
+    const entry = state.customPolicy[stateId] || {};
+    const total = sum(actions.map(a => Math.max(0, entry[a.id] || 0)));
+    const distribution = {};
+    
+    actions.forEach(action => {
+        distribution[action.id] = state.customPolicy[stateId] && total > 0
+            ? Math.max(0, entry[action.id] || 0) / total
+            : 1 / actions.length;
+    });
+    
+    return distribution;
+}
+
+/**
+ * Check whether a state has an explicit (hand-edited) custom policy entry
+ */
+export function hasCustomPolicyEntry(stateId) {
+    return state.customPolicy[stateId] !== undefined;
+}
+
+/**
+ * Set the raw action weights for one state (null restores the uniform default)
+ */
+export function setCustomPolicyEntry(stateId, distribution) {
+    if (!getStateById(stateId)) return false;
+    
+    if (distribution === null) {
+        delete state.customPolicy[stateId];
+    } else {
+        state.customPolicy[stateId] = { ...distribution };
+    }
+    emit('customPolicyChanged', { stateId });
+    return true;
+}
+
+/**
+ * Replace the whole custom policy (e.g. copied from a solution)
+ */
+export function setCustomPolicy(policy) {
+    state.customPolicy = {};
+    for (const stateId in policy || {}) {
+        state.customPolicy[stateId] = { ...policy[stateId] };
+    }
+    pruneCustomPolicy();
+    emit('customPolicyChanged', { stateId: null });
+}
+
+/**
+ * Drop custom policy entries for states or actions that no longer exist
+ */
+function pruneCustomPolicy() {
+    for (const stateId in state.customPolicy) {
+        if (!getStateById(stateId)) {
+            delete state.customPolicy[stateId];
+            continue;
+        }
+        
+        const entry = state.customPolicy[stateId];
+        for (const actionId in entry) {
+            const action = getActionById(actionId);
+            if (!action || action.stateId !== stateId) {
+                delete entry[actionId];
+            }
+        }
+    }
+}
+
 // === OUTCOME OPERATIONS ===
 
 /**
  * Add an outcome to an action
+ * @param {number|Object} reward - Transition reward r(s, a, s'), received on top of
+ *   R(s) - cost(a); a number or a distribution
  */
-export function addOutcome(actionId, toStateId, prob = 1.0) {
+export function addOutcome(actionId, toStateId, prob = 1.0, reward = 0) {
     const action = getActionById(actionId);
     if (!action) return false;
     
@@ -228,7 +535,10 @@ export function addOutcome(actionId, toStateId, prob = 1.0) {
     const existing = action.outcomes.find(o => o.toStateId === toStateId);
     if (existing) return false;
     
-    action.outcomes.push({ toStateId, prob });
+    const outcome = { toStateId, prob, reward: 0 };
+    applyReward(outcome, reward);
+    action.outcomes.push(outcome);
+    emit('outcomeAdded', { actionId, toStateId });
     return true;
 }
 
@@ -243,13 +553,14 @@ export function removeOutcome(actionId, toStateId) {
     if (idx === -1) return false;
     
     action.outcomes.splice(idx, 1);
+    emit('outcomeRemoved', { actionId, toStateId });
     return true;
 }
 
 /**
- * Update an outcome's probability
+ * Update an outcome's probability and, if given, its transition reward
  */
-export function updateOutcome(actionId, toStateId, prob) {
+export function updateOutcome(actionId, toStateId, prob, reward) {
     const action = getActionById(actionId);
     if (!action) return false;
     
@@ -257,58 +568,464 @@ export function updateOutcome(actionId, toStateId, prob) {
     if (!outcome) return false;
     
     outcome.prob = prob;
+    if (reward !== undefined) {
+        applyReward(outcome, reward);
+    }
+    emit('outcomeUpdated', { actionId, toStateId });
     return true;
 }
 
+// === REWARDS ===
+
+/**
+ * Set a reward on a state or outcome: a number or a distribution (see
+ * distributions.js). `reward` always holds the mean, which is all the solvers
+ * use; a non-constant distribution is kept in `rewardDistribution` for rollouts
+ * to sample.
+ */
+function applyReward(target, reward) {
+    target.reward = distributions.mean(reward);
+    if (distributions.isConstant(reward)) {
+        delete target.rewardDistribution;
+    } else {
+        target.rewardDistribution = reward;
+    }
+}
+
+/**
+ * The reward as edited: the distribution if there is one, otherwise the number
+ */
+export function getReward(target) {
+    if (target.rewardDistribution) return target.rewardDistribution;
+    return target.reward !== undefined ? target.reward : 0;
+}
+
+/**
+ * Bring loaded rewards into the stored form: a distribution written directly
+ * as `reward` moves to `rewardDistribution`, and `reward` is reset to the
+ * distribution's mean in case the file was edited by hand
+ */
+function normalizeRewards() {
+    const normalize = target => {
+        const reward = target.rewardDistribution || target.reward;
+        if (reward === undefined) return;
+        if (distributions.validate(reward)) {
+            // Left as is; validateGraph() reports it
+            return;
+        }
+        applyReward(target, reward);
+    };
+    
+    state.states.forEach(normalize);
+    state.actions.forEach(action => (action.outcomes || []).forEach(normalize));
+}
+
+// === UNDO SUPPORT ===
+
+// Settings an edit can change (the seed is left alone: it only picks samples)
+const UNDOABLE_SETTINGS = ['gamma', 'epsilon', 'horizon', 'riskLevel', 'riskAversion'];
+
+/**
+ * Copies of the records an edit may change, to put back with restoreRecords()
+ * (see history.js). The start state and the custom policy entries of the scoped
+ * states, and of the states the scoped actions belong to, are always included.
+ * @param {Object} scope - { stateIds, actionIds (whether or not they exist yet), settings,
+ *   constraints, customPolicy (true for the whole policy) }
+ * @returns {Object} - { states: { id: { index, record } | null }, actions: (the same),
+ *   policy: { stateId: entry | null }, startStateId, settings?, constraints?, customPolicy? }
+ */
+export function captureRecords(scope) {
+    const capture = { states: {}, actions: {}, policy: {}, startStateId: state.startStateId };
+    const copyEntry = stateId => {
+        capture.policy[stateId] = state.customPolicy[stateId] ? { ...state.customPolicy[stateId] } : null;
+    };
+    
+    (scope.stateIds || []).forEach(stateId => {
+        capture.states[stateId] = findRecord(state.states, stateId);
+        copyEntry(stateId);
+    });
+    (scope.actionIds || []).forEach(actionId => {
+        capture.actions[actionId] = findRecord(state.actions, actionId);
+        if (capture.actions[actionId]) copyEntry(capture.actions[actionId].record.stateId);
+    });
+    
+    if (scope.settings) {
+        capture.settings = {};
+        UNDOABLE_SETTINGS.forEach(key => {
+            capture.settings[key] = state[key];
+        });
+    }
+    if (scope.constraints) capture.constraints = deepClone(state.constraints);
+    if (scope.customPolicy) capture.customPolicy = deepClone(state.customPolicy);
+    
+    return capture;
+}
+
+/**
+ * Put the captured records back as they were: records captured as null are
+ * removed, the others replaced (or re-inserted at their old positions)
+ */
+export function restoreRecords(capture) {
+    const previous = captureRecords({
+        stateIds: Object.keys(capture.states),
+        actionIds: Object.keys(capture.actions),
+        settings: Boolean(capture.settings),
+        constraints: Boolean(capture.constraints),
+        customPolicy: Boolean(capture.customPolicy)
+    });
+    
+    state.states = restoreList(state.states, capture.states);
+    state.actions = restoreList(state.actions, capture.actions);
+    
+    if (capture.customPolicy) state.customPolicy = deepClone(capture.customPolicy);
+    for (const stateId in capture.policy) {
+        if (capture.policy[stateId]) {
+            state.customPolicy[stateId] = { ...capture.policy[stateId] };
+        } else {
+            delete state.customPolicy[stateId];
+        }
+    }
+    
+    if (capture.settings) Object.assign(state, capture.settings);
+    if (capture.constraints) state.constraints = deepClone(capture.constraints);
+    state.startStateId = capture.startStateId;
+    
+    emitDifferences(previous, capture);
+}
+
+/**
+ * Everything removing these states and actions can change: the actions of the
+ * states, and actions with outcomes into them (which lose those outcomes)
+ * @returns {Object} - Scope for captureRecords()
+ */
+export function removalScope(stateIds = [], actionIds = []) {
+    const removed = new Set(stateIds);
+    const actions = state.actions.filter(action =>
+        actionIds.includes(action.id) ||
+        removed.has(action.stateId) ||
+        action.outcomes.some(outcome => removed.has(outcome.toStateId))
+    );
+    
+    return { stateIds: [...stateIds], actionIds: [...new Set([...actionIds, ...actions.map(action => action.id)])] };
+}
+
+/**
+ * Emit the events of going from one capture of the same records to another
+ */
+function emitDifferences(from, to) {
+    const changedKeys = (a, b) => [...new Set([...Object.keys(a), ...Object.keys(b)])]
+        .filter(key => key !== 'id' && JSON.stringify(a[key]) !== JSON.stringify(b[key]))
+        .map(key => (key === 'rewardDistribution' ? 'reward' : key))
+        .filter((key, i, keys) => keys.indexOf(key) === i);
+    
+    for (const stateId in to.states) {
+        const a = from.states[stateId];
+        const b = to.states[stateId];
+        if (!a && b) emit('stateAdded', { stateId });
+        if (a && !b) emit('stateRemoved', { stateId, removedActionIds: [] });
+        if (a && b) {
+            const changes = changedKeys(a.record, b.record);
+            if (changes.length > 0) emit('stateUpdated', { stateId, changes });
+        }
+    }
+    for (const actionId in to.actions) {
+        const a = from.actions[actionId];
+        const b = to.actions[actionId];
+        if (!a && b) emit('actionAdded', { actionId, stateId: b.record.stateId });
+        if (a && !b) emit('actionRemoved', { actionId });
+        if (a && b) {
+            const changes = changedKeys(a.record, b.record);
+            if (changes.length > 0) emit('actionUpdated', { actionId, changes });
+        }
+    }
+    
+    const settings = changedKeys({ ...from.settings, startStateId: from.startStateId },
+        { ...to.settings, startStateId: to.startStateId });
+    if (settings.length > 0) emit('settingsChanged', { changes: settings });
+    if (JSON.stringify(from.constraints) !== JSON.stringify(to.constraints)) emit('constraintsChanged');
+    const policyChanged = JSON.stringify(from.customPolicy) !== JSON.stringify(to.customPolicy) ||
+        Object.keys(to.policy).some(stateId =>
+            JSON.stringify(from.policy[stateId] || null) !== JSON.stringify(to.policy[stateId]));
+    if (policyChanged) emit('customPolicyChanged', { stateId: null });
+}
+
+function findRecord(list, id) {
+    const index = list.findIndex(record => record.id === id);
+    return index === -1 ? null : { index, record: deepClone(list[index]) };
+}
+
+function restoreList(list, records) {
+    const result = list.filter(record => !(record.id in records));
+    Object.values(records)
+        .filter(Boolean)
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ index, record }) => {
+            result.splice(Math.min(index, result.length), 0, deepClone(record));
+        });
+    return result;
+}
+
 // === VALIDATION ===
 
+const PROB_TOLERANCE = 0.0001;
+
+// γ used by the fix for undiscounted graphs that may never terminate
+const FIX_GAMMA = 0.99;
+
 /**
- * Validate the entire graph
+ * Check the graph against every validation rule
+ * @returns {Object[]} - Diagnostics: [{ code, severity ('error' or 'warning'), message,
+ *   stateIds, actionIds (the elements involved), fix (label of the remedy applyFix()
+ *   offers, or null) }]
  */
-export function validateGraph() {
-    const errors = [];
-    const warnings = [];
+export function diagnoseGraph() {
+    const diagnostics = [];
+    const report = (code, severity, message, { stateIds = [], actionIds = [], fix = null } = {}) => {
+        diagnostics.push({ code, severity, message, stateIds, actionIds, fix });
+    };
     
     // Check each action's outcomes
     state.actions.forEach(action => {
+        const ids = { stateIds: [action.stateId], actionIds: [action.id] };
+        
         if (action.outcomes.length === 0) {
-            warnings.push(`Action "${action.label}" has no outcomes`);
+            report('no-outcomes', 'warning', `Action "${action.label}" has no outcomes`,
+                { ...ids, fix: 'Delete action' });
         }
         
-        const probSum = sum(action.outcomes.map(o => o.prob));
-        if (Math.abs(probSum - 1.0) > 0.0001) {
-            errors.push(`Action "${action.label}" probabilities sum to ${round(probSum, 4)} (should be 1.0)`);
+        const invalid = action.outcomes.filter(o => !isValidProbability(o.prob));
+        if (invalid.length > 0) {
+            report('invalid-probability', 'error',
+                `Action "${action.label}" has ${invalid.length} negative or non-numeric probabilit${invalid.length === 1 ? 'y' : 'ies'}`,
+                { ...ids, fix: 'Set them to 0 and normalize' });
+        } else {
+            const probSum = sum(action.outcomes.map(o => o.prob));
+            if (Math.abs(probSum - 1.0) > PROB_TOLERANCE) {
+                report('probability-sum', 'error',
+                    `Action "${action.label}" probabilities sum to ${round(probSum, 4)} (should be 1.0)`,
+                    { ...ids, fix: action.outcomes.length > 0 ? 'Normalize probabilities' : null });
+            }
         }
         
         // Check if outcomes point to valid states
+        if (action.outcomes.some(o => !getStateById(o.toStateId))) {
+            report('invalid-target', 'error', `Action "${action.label}" has outcome pointing to invalid state`,
+                { ...ids, fix: 'Remove outcome' });
+        }
+        
+        const byTarget = groupBy(action.outcomes.filter(o => getStateById(o.toStateId)), o => o.toStateId);
+        Object.entries(byTarget).forEach(([toStateId, outcomes]) => {
+            if (outcomes.length < 2) return;
+            report('duplicate-outcome', 'warning',
+                `Action "${action.label}" has ${outcomes.length} outcomes leading to "${getStateById(toStateId).label}"`,
+                { stateIds: [action.stateId, toStateId], actionIds: [action.id], fix: canMerge(outcomes) ? 'Merge outcomes' : null });
+        });
+        
         action.outcomes.forEach(outcome => {
-            if (!getStateById(outcome.toStateId)) {
-                errors.push(`Action "${action.label}" has outcome pointing to invalid state`);
+            const rewardError = distributions.validate(getReward(outcome));
+            if (rewardError) {
+                report('invalid-reward', 'error',
+                    `Action "${action.label}" has an outcome with an invalid reward: ${rewardError}`, ids);
             }
         });
     });
     
-    // Check for terminal states with actions
+    // Check state rewards
     state.states.forEach(s => {
-        if (s.terminal) {
-            const actions = getActionsFromState(s.id);
-            if (actions.length > 0) {
-                warnings.push(`Terminal state "${s.label}" has ${actions.length} action(s)`);
-            }
+        const rewardError = distributions.validate(getReward(s));
+        if (rewardError) {
+            report('invalid-reward', 'error', `State "${s.label}" has an invalid reward: ${rewardError}`,
+                { stateIds: [s.id] });
         }
     });
     
-    // Check for non-terminal states with no actions
+    // Check for states nothing leads to or from
+    const orphans = new Set(state.states.length > 1 ? findOrphans() : []);
+    orphans.forEach(stateId => {
+        report('orphan-state', 'warning', `State "${getStateById(stateId).label}" has no transitions in or out`,
+            { stateIds: [stateId], fix: 'Delete state' });
+    });
+    
+    // Check for terminal states with actions, and non-terminal states with none
     state.states.forEach(s => {
-        if (!s.terminal) {
-            const actions = getActionsFromState(s.id);
-            if (actions.length === 0) {
-                warnings.push(`Non-terminal state "${s.label}" has no actions (will be treated as terminal)`);
-            }
+        const actions = getActionsFromState(s.id);
+        if (s.terminal && actions.length > 0) {
+            report('terminal-with-actions', 'warning', `Terminal state "${s.label}" has ${actions.length} action(s)`,
+                { stateIds: [s.id], actionIds: actions.map(a => a.id), fix: 'Delete its actions' });
+        }
+        if (!s.terminal && actions.length === 0 && !orphans.has(s.id)) {
+            report('no-actions', 'warning', `Non-terminal state "${s.label}" has no actions (will be treated as terminal)`,
+                { stateIds: [s.id], fix: 'Mark terminal' });
         }
     });
     
-    return { errors, warnings, valid: errors.length === 0 };
+    // Check for labels that cannot be told apart
+    Object.values(groupBy(state.states, s => s.label)).forEach(states => {
+        if (states.length < 2) return;
+        report('duplicate-label', 'warning', `${states.length} states are labelled "${states[0].label}"`,
+            { stateIds: states.map(s => s.id), fix: 'Rename duplicates' });
+    });
+    Object.values(groupBy(state.actions, a => `${a.stateId}\u0000${a.label}`)).forEach(actions => {
+        if (actions.length < 2) return;
+        const from = getStateById(actions[0].stateId);
+        report('duplicate-label', 'warning',
+            `State "${from ? from.label : '?'}" has ${actions.length} actions labelled "${actions[0].label}"`,
+            { stateIds: [actions[0].stateId], actionIds: actions.map(a => a.id), fix: 'Rename duplicates' });
+    });
+    
+    // Without discounting, values only converge if every policy ends in a terminal state
+    if (state.gamma >= 1) {
+        const loops = endComponents();
+        if (loops.length > 0) {
+            const stateIds = loops.flatMap(component => Object.keys(component));
+            report('undiscounted-nontermination', 'warning',
+                `γ = 1 but a policy can stay forever among ${stateIds.map(id => `"${getStateById(id).label}"`).join(', ')} without terminating`,
+                { stateIds, fix: `Set γ to ${FIX_GAMMA}` });
+        }
+    }
+    
+    return diagnostics;
+}
+
+/**
+ * Validate the entire graph
+ * @returns {Object} - { errors: string[], warnings: string[], valid, diagnostics (see diagnoseGraph) }
+ */
+export function validateGraph() {
+    const diagnostics = diagnoseGraph();
+    const messages = severity => diagnostics.filter(d => d.severity === severity).map(d => d.message);
+    const errors = messages('error');
+    
+    return { errors, warnings: messages('warning'), valid: errors.length === 0, diagnostics };
+}
+
+/**
+ * Apply the fix a diagnostic suggests
+ * @param {Object} diagnostic - From diagnoseGraph(), with a fix
+ * @returns {boolean} - Whether the graph changed
+ */
+export function applyFix(diagnostic) {
+    const [stateId] = diagnostic.stateIds;
+    const [actionId] = diagnostic.actionIds;
+    const action = getActionById(actionId);
+    
+    switch (diagnostic.code) {
+        case 'no-outcomes':
+            return removeAction(actionId);
+        case 'invalid-probability':
+            if (!action) return false;
+            action.outcomes.forEach(o => {
+                if (!isValidProbability(o.prob)) o.prob = 0;
+            });
+            return normalizeActionOutcomes(actionId);
+        case 'probability-sum':
+            return normalizeActionOutcomes(actionId);
+        case 'invalid-target':
+            if (!action) return false;
+            action.outcomes = action.outcomes.filter(o => getStateById(o.toStateId));
+            emit('actionUpdated', { actionId, changes: ['outcomes'] });
+            return true;
+        case 'duplicate-outcome':
+            return mergeOutcomes(action, diagnostic.stateIds[1]);
+        case 'orphan-state':
+            return removeState(stateId);
+        case 'terminal-with-actions':
+            diagnostic.actionIds.forEach(removeAction);
+            return true;
+        case 'no-actions':
+            return updateState(stateId, { terminal: true });
+        case 'duplicate-label': {
+            const renamed = diagnostic.actionIds.length > 0
+                ? renameDuplicates(diagnostic.actionIds.map(getActionById), getActionsFromState(stateId))
+                : renameDuplicates(diagnostic.stateIds.map(getStateById), state.states);
+            renamed.forEach(item => {
+                if (diagnostic.actionIds.length > 0) {
+                    emit('actionUpdated', { actionId: item.id, changes: ['label'] });
+                } else {
+                    emit('stateUpdated', { stateId: item.id, changes: ['label'] });
+                }
+            });
+            return renamed.length > 0;
+        }
+        case 'undiscounted-nontermination':
+            updateSettings({ gamma: FIX_GAMMA });
+            return true;
+        default:
+            return false;
+    }
+}
+
+function isValidProbability(prob) {
+    return Number.isFinite(prob) && prob >= 0;
+}
+
+/**
+ * States with no actions that no outcome leads to (other than the start state)
+ */
+function findOrphans() {
+    const targets = new Set(state.actions.flatMap(a => a.outcomes.map(o => o.toStateId)));
+    return state.states
+        .filter(s => s.id !== state.startStateId && !targets.has(s.id) && getActionsFromState(s.id).length === 0)
+        .map(s => s.id);
+}
+
+/**
+ * Outcomes to the same state can be merged when their rewards can be combined
+ * exactly: equal rewards, or constant ones (which become a discrete distribution)
+ */
+function canMerge(outcomes) {
+    return outcomes.every(o => isValidProbability(o.prob) && !distributions.validate(getReward(o))) &&
+        (outcomes.every(o => distributions.isConstant(getReward(o))) ||
+            new Set(outcomes.map(o => JSON.stringify(getReward(o)))).size === 1);
+}
+
+/**
+ * Merge an action's outcomes to one state into the first: probabilities add up,
+ * and different rewards become a discrete distribution weighted by probability
+ */
+function mergeOutcomes(action, toStateId) {
+    if (!action) return false;
+    const outcomes = action.outcomes.filter(o => o.toStateId === toStateId);
+    if (outcomes.length < 2 || !canMerge(outcomes)) return false;
+    
+    const [first] = outcomes;
+    const total = sum(outcomes.map(o => o.prob));
+    const rewards = outcomes.map(o => getReward(o));
+    
+    if (new Set(rewards.map(reward => JSON.stringify(reward))).size > 1) {
+        const values = groupBy(outcomes, o => o.reward);
+        applyReward(first, {
+            type: 'discrete',
+            values: Object.values(values).map(group => ({
+                value: group[0].reward,
+                prob: total > 0 ? sum(group.map(o => o.prob)) / total : 1 / outcomes.length
+            }))
+        });
+    }
+    first.prob = total;
+    action.outcomes = action.outcomes.filter(o => o.toStateId !== toStateId || o === first);
+    emit('actionUpdated', { actionId: action.id, changes: ['outcomes'] });
+    return true;
+}
+
+/**
+ * Give each item after the first its label with the lowest free number appended
+ * ("Start 2", "Start 3", ...), avoiding the labels of its siblings
+ * @returns {Object[]} - The renamed items
+ */
+function renameDuplicates(items, siblings) {
+    const present = items.filter(Boolean);
+    if (present.length < 2) return [];
+    
+    const taken = new Set(siblings.map(item => item.label));
+    const base = present[0].label;
+    let n = 2;
+    present.slice(1).forEach(item => {
+        while (taken.has(`${base} ${n}`)) n++;
+        item.label = `${base} ${n}`;
+        taken.add(item.label);
+    });
+    return present.slice(1);
 }
 
 /**
@@ -319,7 +1036,7 @@ export function validateActionOutcomes(actionId) {
     if (!action) return { valid: false, sum: 0 };
     
     const probSum = sum(action.outcomes.map(o => o.prob));
-    const valid = Math.abs(probSum - 1.0) < 0.0001;
+    const valid = Math.abs(probSum - 1.0) < PROB_TOLERANCE;
     
     return { valid, sum: probSum };
 }
@@ -343,6 +1060,7 @@ export function normalizeActionOutcomes(actionId) {
         });
     }
     
+    emit('actionUpdated', { actionId, changes: ['outcomes'] });
     return true;
 }
 
@@ -373,36 +1091,225 @@ export function getReachableStates(startStateId) {
 }
 
 /**
- * Check if graph has cycles
+ * Check if graph has cycles (a state that can lead back to itself)
  */
 export function hasCycles() {
-    const visited = new Set();
-    const recStack = new Set();
-    
-    function dfs(stateId) {
-        visited.add(stateId);
-        recStack.add(stateId);
-        
-        const actions = getActionsFromState(stateId);
-        for (const action of actions) {
-            for (const outcome of action.outcomes) {
-                if (!visited.has(outcome.toStateId)) {
-                    if (dfs(outcome.toStateId)) return true;
-                } else if (recStack.has(outcome.toStateId)) {
-                    return true;
-                }
-            }
+    return getCommunicatingClasses().some(entry => entry.cyclic);
+}
+
+// === STRUCTURE ===
+
+// Relative value iteration for the average reward of a reward cycle
+const GAIN_MAX_ITERATIONS = 10000;
+const GAIN_TOLERANCE = 1e-9;
+
+/**
+ * Communicating classes: the strongly connected components of the graph, where
+ * a state leads to every outcome (with positive probability) of its actions.
+ * Terminal states end the episode, so they lead nowhere.
+ * @returns {Object[]} - [{ stateIds, closed, cyclic }] in state order; `closed` when no
+ *   transition leaves the class, `cyclic` when its states can return to themselves
+ */
+export function getCommunicatingClasses() {
+    const index = stateIndex();
+    const byIndex = (a, b) => index[a] - index[b];
+
+    return stronglyConnectedComponents(state.states.map(s => s.id), successorIds)
+        .map(stateIds => stateIds.sort(byIndex))
+        .sort((a, b) => byIndex(a[0], b[0]))
+        .map(stateIds => {
+            const members = new Set(stateIds);
+            const successors = stateIds.flatMap(successorIds);
+            return {
+                stateIds,
+                closed: successors.every(id => members.has(id)),
+                cyclic: stateIds.length > 1 || successors.includes(stateIds[0])
+            };
+        });
+}
+
+/**
+ * Structural diagnostics over every action (not just one policy's)
+ * @returns {Object} - {
+ *   classes: getCommunicatingClasses(),
+ *   deadEnds: [stateId]     (non-terminal states with no path to a terminal state;
+ *                            empty when the graph has no terminal states),
+ *   unreachable: [stateId]  (no path from the start state; empty without one),
+ *   unbounded: [stateId]    (some policy collects unbounded undiscounted reward from here),
+ *   rewardCycles: [{ stateIds, gain }]  (sets of states a policy can stay in forever while
+ *                            earning `gain` > 0 mean reward per step; the cause of `unbounded`)
+ * }
+ */
+export function analyzeStructure() {
+    const terminalIds = state.states.filter(s => s.terminal).map(s => s.id);
+    const reachesTerminal = statesLeadingTo(terminalIds);
+    const deadEnds = terminalIds.length === 0
+        ? []
+        : state.states.filter(s => !s.terminal && !reachesTerminal.has(s.id)).map(s => s.id);
+
+    const startState = getStateById(state.startStateId);
+    const reachable = startState ? getReachableStates(startState.id) : null;
+    const unreachable = reachable
+        ? state.states.filter(s => !reachable.has(s.id)).map(s => s.id)
+        : [];
+
+    const rewardCycles = [];
+    endComponents().forEach(component => {
+        const gain = averageRewardBound(component);
+        if (gain > GAIN_TOLERANCE) {
+            rewardCycles.push({ stateIds: Object.keys(component), gain });
         }
-        
-        recStack.delete(stateId);
-        return false;
+    });
+    const reachesReward = statesLeadingTo(rewardCycles.flatMap(cycle => cycle.stateIds));
+
+    return {
+        classes: getCommunicatingClasses(),
+        deadEnds,
+        unreachable,
+        unbounded: state.states.filter(s => reachesReward.has(s.id)).map(s => s.id),
+        rewardCycles
+    };
+}
+
+/**
+ * States an episode can move to in one step (terminal states end it)
+ */
+function successorIds(stateId) {
+    const from = getStateById(stateId);
+    if (!from || from.terminal) return [];
+
+    const successors = new Set();
+    getActionsFromState(stateId).forEach(action => {
+        action.outcomes.forEach(outcome => {
+            if (outcome.prob > 0 && getStateById(outcome.toStateId)) {
+                successors.add(outcome.toStateId);
+            }
+        });
+    });
+    return [...successors];
+}
+
+function stateIndex() {
+    const index = {};
+    state.states.forEach((s, i) => {
+        index[s.id] = i;
+    });
+    return index;
+}
+
+/**
+ * The given states and every state with a path to one of them
+ */
+function statesLeadingTo(targetIds) {
+    const predecessors = {};
+    state.states.forEach(s => {
+        successorIds(s.id).forEach(next => {
+            (predecessors[next] = predecessors[next] || []).push(s.id);
+        });
+    });
+
+    const found = new Set(targetIds);
+    const queue = [...targetIds];
+    while (queue.length > 0) {
+        (predecessors[queue.shift()] || []).forEach(previous => {
+            if (!found.has(previous)) {
+                found.add(previous);
+                queue.push(previous);
+            }
+        });
     }
-    
-    for (const state of state.states) {
-        if (!visited.has(state.id)) {
-            if (dfs(state.id)) return true;
+    return found;
+}
+
+/**
+ * Maximal end components: largest sets of non-terminal states, each with the
+ * actions that never leave the set, in which every state can reach every other.
+ * Found by repeatedly dropping actions that leave their state's component.
+ * @returns {Object[]} - [{ stateId: [action] }]
+ */
+function endComponents() {
+    let allowed = {};
+    state.states.forEach(s => {
+        const actions = s.terminal ? [] : getActionsFromState(s.id).filter(action => action.outcomes.length > 0);
+        if (actions.length > 0) allowed[s.id] = actions;
+    });
+
+    for (;;) {
+        const successors = stateId => [...new Set((allowed[stateId] || []).flatMap(action =>
+            action.outcomes.filter(outcome => outcome.prob > 0).map(outcome => outcome.toStateId)
+        ))];
+        const componentOf = {};
+        stronglyConnectedComponents(Object.keys(allowed), successors).forEach((members, c) => {
+            members.forEach(stateId => {
+                componentOf[stateId] = c;
+            });
+        });
+
+        let changed = false;
+        const next = {};
+        for (const stateId in allowed) {
+            const kept = allowed[stateId].filter(action => action.outcomes.every(outcome =>
+                outcome.prob <= 0 || componentOf[outcome.toStateId] === componentOf[stateId]
+            ));
+            if (kept.length !== allowed[stateId].length) changed = true;
+            if (kept.length > 0) next[stateId] = kept;
+        }
+        allowed = next;
+
+        if (!changed) {
+            const components = {};
+            for (const stateId in allowed) {
+                const c = componentOf[stateId];
+                (components[c] = components[c] || {})[stateId] = allowed[stateId];
+            }
+            return Object.values(components);
         }
     }
-    
-    return false;
+}
+
+/**
+ * Best mean reward per step a policy can earn while staying inside an end
+ * component, by relative value iteration (made aperiodic by a self-loop of 1/2)
+ * @param {Object} component - { stateId: [action] }
+ * @returns {number} - The average reward; if it has not converged, a lower bound when
+ *   that is already positive, otherwise an upper bound
+ */
+function averageRewardBound(component) {
+    const stateIds = Object.keys(component);
+    const stepReward = (stateId, action) => {
+        const outcomeReward = sum(action.outcomes.map(outcome => outcome.prob * outcome.reward));
+        return getStateById(stateId).reward - action.cost + outcomeReward;
+    };
+
+    let h = {};
+    stateIds.forEach(stateId => {
+        h[stateId] = 0;
+    });
+
+    let lower = -Infinity;
+    let upper = Infinity;
+    for (let i = 0; i < GAIN_MAX_ITERATIONS; i++) {
+        const next = {};
+        stateIds.forEach(stateId => {
+            next[stateId] = Math.max(...component[stateId].map(action =>
+                0.5 * stepReward(stateId, action) + 0.5 * h[stateId] +
+                0.5 * sum(action.outcomes.map(outcome => outcome.prob * (h[outcome.toStateId] || 0)))
+            ));
+        });
+
+        const differences = stateIds.map(stateId => next[stateId] - h[stateId]);
+        lower = 2 * Math.min(...differences);
+        upper = 2 * Math.max(...differences);
+        if (upper <= GAIN_TOLERANCE) return upper;
+        if (upper - lower <= GAIN_TOLERANCE * Math.max(1, Math.abs(upper))) return (lower + upper) / 2;
+
+        // Keep the values from drifting
+        const shift = next[stateIds[0]];
+        stateIds.forEach(stateId => {
+            next[stateId] -= shift;
+        });
+        h = next;
+    }
+
+    return lower > GAIN_TOLERANCE ? lower : upper;
 }
@@ -0,0 +1,131 @@
+// policy.js - Deterministic, randomized and time-indexed policy helpers
+//
+// A policy maps stateId -> actionId (deterministic) or
+// stateId -> { actionId: prob } (randomized). Finite-horizon solutions use an
+// array of such maps, one per decision epoch.
+
+import { round } from './utils.js';
+import * as model from './model.js';
+
+/**
+ * Get the action distribution a policy prescribes in a state
+ * @returns {Object} - { actionId: prob } (empty if the policy has no entry)
+ */
+export function getActionProbabilities(policy, stateId) {
+    const entry = policy[stateId];
+    if (!entry) return {};
+
+    if (typeof entry === 'string') {
+        return { [entry]: 1 };
+    }
+
+    return entry;
+}
+
+/**
+ * Check whether any state's entry is a distribution rather than an action id
+ */
+export function isStochastic(policy) {
+    return Object.values(policy).some(entry => entry && typeof entry === 'object');
+}
+
+/**
+ * Draw an action for a state (deterministic entries never consume randomness)
+ * @returns {string|null} - Action id, or null if the policy has no entry
+ */
+export function sampleAction(policy, stateId, rng = Math.random) {
+    const entry = policy[stateId];
+    if (!entry) return null;
+    if (typeof entry === 'string') return entry;
+
+    const actionIds = Object.keys(entry).filter(actionId => entry[actionId] > 0);
+    if (actionIds.length === 0) return null;
+
+    const total = actionIds.reduce((acc, actionId) => acc + entry[actionId], 0);
+    let random = rng() * total;
+
+    for (const actionId of actionIds) {
+        random -= entry[actionId];
+        if (random < 0) return actionId;
+    }
+
+    return actionIds[actionIds.length - 1];
+}
+
+/**
+ * Most probable action for a state
+ */
+export function mostLikelyAction(policy, stateId) {
+    const probs = getActionProbabilities(policy, stateId);
+    let best = null;
+
+    for (const actionId in probs) {
+        if (best === null || probs[actionId] > probs[best]) {
+            best = actionId;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Policy in force at a step: per-step (finite-horizon) policies end at the horizon
+ * @returns {Object|null} - Stationary policy map, or null past the horizon
+ */
+export function getStepPolicy(policy, step) {
+    if (Array.isArray(policy)) {
+        return policy[step] || null;
+    }
+    return policy;
+}
+
+/**
+ * Convert a policy to the { actionId: prob } form for every state
+ */
+export function toStochastic(policy) {
+    const stochastic = {};
+    for (const stateId in policy) {
+        stochastic[stateId] = { ...getActionProbabilities(policy, stateId) };
+    }
+    return stochastic;
+}
+
+/**
+ * Scale a distribution to sum to 1 (uniform if it sums to 0)
+ */
+export function normalizeDistribution(distribution) {
+    const actionIds = Object.keys(distribution);
+    const total = actionIds.reduce((acc, actionId) => acc + Math.max(0, distribution[actionId]), 0);
+    const normalized = {};
+
+    actionIds.forEach(actionId => {
+        normalized[actionId] = total > 0
+            ? Math.max(0, distribution[actionId]) / total
+            : 1 / actionIds.length;
+    });
+
+    return normalized;
+}
+
+/**
+ * Describe a state's policy entry: "label" or "label 60%, label 40%"
+ */
+export function describePolicyEntry(policy, stateId) {
+    const entry = policy[stateId];
+    if (!entry) return '--';
+
+    if (typeof entry === 'string') {
+        const action = model.getActionById(entry);
+        return action ? action.label : '--';
+    }
+
+    const parts = Object.keys(entry)
+        .filter(actionId => entry[actionId] > 0)
+        .map(actionId => {
+            const action = model.getActionById(actionId);
+            const label = action ? action.label : '?';
+            return `${label} ${round(entry[actionId] * 100, 1)}%`;
+        });
+
+    return parts.length > 0 ? parts.join(', ') : '--';
+}
@@ -0,0 +1,351 @@
+// projects.js - Named projects stored in IndexedDB (no DOM)
+//
+// A project's metadata (name, timestamps, size and thumbnail) is kept apart
+// from its graph, so the project browser can list dozens of models without
+// reading them. Solutions and simulation runs stored with a project record a
+// fingerprint of the graph they came from, so ones the graph has since
+// outgrown can be flagged.
+
+import { uid } from './utils.js';
+
+const DB_NAME = 'mdp-simulator';
+const DB_VERSION = 1;
+
+const THUMBNAIL_WIDTH = 120;
+const THUMBNAIL_HEIGHT = 80;
+const THUMBNAIL_PADDING = 8;
+
+let database = null; // Promise of the open IDBDatabase
+
+/**
+ * Whether this browser has IndexedDB (it may still fail to open, e.g. in private mode)
+ */
+export function isAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+// === PROJECTS ===
+
+/**
+ * Every project's metadata, most recently modified first
+ * @param {string} query - Only projects whose name contains it (ignoring case)
+ * @returns {Promise<Object[]>} - [{ id, name, created, modified, stateCount, actionCount, thumbnail }]
+ */
+export async function listProjects(query = '') {
+    const projects = await transact(['projects'], 'readonly', store => store.getAll());
+    const needle = query.trim().toLowerCase();
+    return projects
+        .filter(project => project.name.toLowerCase().includes(needle))
+        .sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * A project's metadata and graph
+ * @returns {Promise<Object|null>} - { ...metadata, graph }, or null if there is no such project
+ */
+export async function getProject(projectId) {
+    const [project, entry] = await Promise.all([
+        transact(['projects'], 'readonly', store => store.get(projectId)),
+        transact(['graphs'], 'readonly', store => store.get(projectId))
+    ]);
+    return project ? { ...project, graph: entry ? entry.graph : null } : null;
+}
+
+/**
+ * Create a project; its name is numbered if another project has it ("Commute 2")
+ * @returns {Promise<Object>} - The new project's metadata
+ */
+export async function createProject(name, graph) {
+    const taken = (await listProjects()).map(project => project.name);
+    const now = Date.now();
+    const project = {
+        id: uid('project'),
+        name: freeName(name.trim() || 'Untitled', taken),
+        created: now,
+        ...describe(graph, now)
+    };
+
+    await transact(['projects', 'graphs'], 'readwrite', (projects, graphs) => {
+        projects.put(project);
+        graphs.put({ projectId: project.id, graph });
+    });
+    return project;
+}
+
+/**
+ * Store a project's graph, updating its modified time, size and thumbnail
+ * @returns {Promise<Object>} - The updated metadata
+ */
+export async function saveProject(projectId, graph) {
+    const details = describe(graph, Date.now());
+    let updated = null;
+
+    // Read and write in one transaction, so nothing can rename or delete the project in between
+    await transact(['projects', 'graphs'], 'readwrite', (projects, graphs) => {
+        projects.get(projectId).onsuccess = event => {
+            if (!event.target.result) return;
+            updated = { ...event.target.result, ...details };
+            projects.put(updated);
+            graphs.put({ projectId, graph });
+        };
+    });
+
+    if (!updated) {
+        throw new Error(`No project with id ${projectId}`);
+    }
+    return updated;
+}
+
+/**
+ * @returns {Promise<Object>} - The updated metadata
+ */
+export async function renameProject(projectId, name) {
+    const project = await requireProject(projectId);
+    const trimmed = name.trim();
+    if (!trimmed) {
+        throw new Error('Project name cannot be empty');
+    }
+
+    const taken = (await listProjects()).filter(other => other.id !== projectId).map(other => other.name);
+    const updated = { ...project, name: freeName(trimmed, taken) };
+    await transact(['projects'], 'readwrite', store => store.put(updated));
+    return updated;
+}
+
+/**
+ * Copy a project's graph into a new project ("Commute (copy)"); stored results stay with the original
+ * @returns {Promise<Object>} - The copy's metadata
+ */
+export async function duplicateProject(projectId) {
+    const project = await getProject(projectId);
+    if (!project) {
+        throw new Error(`No project with id ${projectId}`);
+    }
+    return createProject(`${project.name} (copy)`, project.graph);
+}
+
+/**
+ * Delete a project with its graph and stored results
+ */
+export function deleteProject(projectId) {
+    return transact(['projects', 'graphs', 'results'], 'readwrite', (projects, graphs, results) => {
+        projects.delete(projectId);
+        graphs.delete(projectId);
+        deleteMatching(results.index('projectId'), projectId);
+    });
+}
+
+// === STORED RESULTS ===
+
+/**
+ * Store a result with a project
+ * @param {Object} result - { kind: 'solution' | 'simulation' | 'batch', label, data,
+ *   customPolicy (whether it comes from the graph's custom policy) }
+ * @param {Object} graph - The graph it was computed on
+ * @returns {Promise<Object>} - The stored record ({ id, projectId, kind, label, data,
+ *   customPolicy, created, fingerprint })
+ */
+export async function addResult(projectId, result, graph) {
+    await requireProject(projectId);
+    const record = {
+        id: uid('result'),
+        projectId,
+        kind: result.kind,
+        label: result.label,
+        data: result.data,
+        customPolicy: Boolean(result.customPolicy),
+        created: Date.now()
+    };
+    record.fingerprint = fingerprint(graph, record);
+
+    await transact(['results'], 'readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * A project's stored results, newest first
+ * @returns {Promise<Object[]>}
+ */
+export async function listResults(projectId) {
+    const results = await transact(['results'], 'readonly', store =>
+        store.index('projectId').getAll(IDBKeyRange.only(projectId))
+    );
+    return results.sort((a, b) => b.created - a.created);
+}
+
+export function deleteResult(resultId) {
+    return transact(['results'], 'readwrite', store => store.delete(resultId));
+}
+
+/**
+ * Whether a stored result was computed on this graph (as far as the result depends on it)
+ */
+export function isCurrent(record, graph) {
+    return record.fingerprint === fingerprint(graph, record);
+}
+
+// === GRAPH SUMMARIES ===
+
+/**
+ * Short hash of the parts of a graph a result depends on: not positions, labels
+ * or the view. The seed only counts for simulations, whose trajectories it picks,
+ * and the custom policy only for results computed from it.
+ * @param {Object} result - { kind: 'solution' | 'simulation' | 'batch', customPolicy }
+ */
+export function fingerprint(graph, result = {}) {
+    const text = JSON.stringify([
+        graph.gamma, graph.epsilon, graph.horizon, graph.riskLevel, graph.riskAversion,
+        graph.startStateId || null,
+        result.kind === 'solution' ? null : (graph.seed !== undefined ? graph.seed : null),
+        graph.states.map(state => [state.id, state.terminal, state.reward, state.rewardDistribution]),
+        graph.actions.map(action => [action.id, action.stateId, action.cost, action.costs, action.outcomes]),
+        graph.constraints || [],
+        result.customPolicy ? graph.customPolicy || {} : null
+    ]);
+
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Small SVG picture of a graph: its transitions as lines and states as dots
+ * (terminal states hollow), fitted into THUMBNAIL_WIDTH × THUMBNAIL_HEIGHT
+ * @returns {string} - SVG markup
+ */
+export function thumbnail(graph) {
+    const placed = graph.states.filter(state => Number.isFinite(state.x) && Number.isFinite(state.y));
+    const parts = [];
+
+    if (placed.length > 0) {
+        const xs = placed.map(state => state.x);
+        const ys = placed.map(state => state.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        const scale = Math.min(
+            (THUMBNAIL_WIDTH - 2 * THUMBNAIL_PADDING) / (width || 1),
+            (THUMBNAIL_HEIGHT - 2 * THUMBNAIL_PADDING) / (height || 1)
+        );
+
+        // Centre the drawing
+        const offsetX = (THUMBNAIL_WIDTH - width * scale) / 2;
+        const offsetY = (THUMBNAIL_HEIGHT - height * scale) / 2;
+        const points = {};
+        placed.forEach(state => {
+            points[state.id] = {
+                x: round1(offsetX + (state.x - minX) * scale),
+                y: round1(offsetY + (state.y - minY) * scale)
+            };
+        });
+
+        graph.actions.forEach(action => {
+            const from = points[action.stateId];
+            (action.outcomes || []).forEach(outcome => {
+                const to = points[outcome.toStateId];
+                if (!from || !to || to === from) return;
+                parts.push(`<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="#bbb" stroke-width="1"/>`);
+            });
+        });
+        placed.forEach(state => {
+            const { x, y } = points[state.id];
+            parts.push(state.terminal
+                ? `<circle cx="${x}" cy="${y}" r="3" fill="#fff" stroke="#666" stroke-width="1"/>`
+                : `<circle cx="${x}" cy="${y}" r="3" fill="#666"/>`);
+        });
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${THUMBNAIL_WIDTH}" height="${THUMBNAIL_HEIGHT}" ` +
+        `viewBox="0 0 ${THUMBNAIL_WIDTH} ${THUMBNAIL_HEIGHT}">${parts.join('')}</svg>`;
+}
+
+// === HELPERS ===
+
+/**
+ * The metadata that changes with the graph
+ */
+function describe(graph, modified) {
+    return {
+        modified,
+        stateCount: graph.states.length,
+        actionCount: graph.actions.length,
+        thumbnail: thumbnail(graph)
+    };
+}
+
+async function requireProject(projectId) {
+    const project = await transact(['projects'], 'readonly', store => store.get(projectId));
+    if (!project) {
+        throw new Error(`No project with id ${projectId}`);
+    }
+    return project;
+}
+
+/**
+ * name, or name with the lowest free number appended ("Untitled 2", "Untitled 3", ...)
+ */
+function freeName(name, taken) {
+    const names = new Set(taken);
+    if (!names.has(name)) return name;
+
+    let n = 2;
+    while (names.has(`${name} ${n}`)) n++;
+    return `${name} ${n}`;
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+function open() {
+    if (!database) {
+        database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('projects', { keyPath: 'id' });
+                db.createObjectStore('graphs', { keyPath: 'projectId' });
+                db.createObjectStore('results', { keyPath: 'id' }).createIndex('projectId', 'projectId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again
+        database.catch(() => {
+            database = null;
+        });
+    }
+    return database;
+}
+
+/**
+ * Run fn(...objectStores) in one transaction. fn only makes requests; the promise
+ * settles when the transaction commits, with the result of the request fn returned.
+ */
+async function transact(storeNames, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const request = fn(...storeNames.map(name => transaction.objectStore(name)));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Delete every record an index lists under key
+ */
+function deleteMatching(index, key) {
+    index.openKeyCursor(IDBKeyRange.only(key)).onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        index.objectStore.delete(cursor.primaryKey);
+        cursor.continue();
+    };
+}
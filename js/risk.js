@@ -0,0 +1,426 @@
+// risk.js - Risk-sensitive solvers (CVaR, entropic risk)
+//
+// Both maximize a risk measure of the discounted return
+//   G = Σ_t γ^t [R(s_t) - cost(a_t) + r(s_t, a_t, s_t+1)]
+// instead of its mean, so policies give up some expected return to avoid bad
+// outcomes. Each solution also evaluates the risk-neutral policy (value
+// iteration) under the same measure, for comparison.
+
+import { sum } from './utils.js';
+import { valueIteration, policyEvaluation } from './mdp.js';
+import { getActionProbabilities } from './policy.js';
+import * as distributions from './distributions.js';
+import * as model from './model.js';
+
+// CVaR interpolation grid: geometrically spaced confidence levels from
+// CVAR_MIN_LEVEL to 1, plus α itself
+const CVAR_GRID_SIZE = 25;
+const CVAR_MIN_LEVEL = 1e-3;
+
+// === CVAR ===
+
+/**
+ * CVaR value iteration over the augmented state (s, y) (Chow et al., 2015)
+ * CVaR_α(G) is the mean of the worst α fraction of returns (α = 1 is the mean).
+ * The level y ∈ (0, 1] still to protect is part of the state:
+ *   C(s, y) = max_a min_ξ Σ P(s'|s,a) ξ(s') [R(s) - cost(a) + r(s,a,s') + γ C(s', y ξ(s'))]
+ * over weights 0 ≤ ξ ≤ 1/y with Σ P ξ = 1, which shift probability onto bad outcomes.
+ * y C(s, y) is interpolated linearly between grid levels; it is convex in y, so
+ * the inner minimum is found exactly by filling the cheapest segments first.
+ * Rewards enter at their mean: the tail comes from the transition probabilities.
+ * @param {Object} options - { gamma, epsilon, alpha, maxIterations,
+ *   onProgress({ iteration, residual, policyChanges }) called after each sweep }
+ * @returns {Object} - { values (CVaR_α of the return from each state), policy (the action
+ *   at level α), iterations, converged, residuals, policyChanges, expectedValues (of following
+ *   policy), comparison, risk: { measure: 'cvar', alpha }, levels, valuesByLevel and
+ *   policyByLevel ({ stateId: [C(s, y) or action id per level] }) }
+ *   The optimal policy is history-dependent (the level moves to y ξ(s') after each step);
+ *   `policy` re-targets α in every state.
+ */
+export function cvarValueIteration(options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    const epsilon = options.epsilon !== undefined ? options.epsilon : graph.epsilon;
+    const alpha = options.alpha !== undefined ? options.alpha : graph.riskLevel;
+    const maxIterations = options.maxIterations || 1000;
+
+    if (!(alpha > 0 && alpha <= 1)) {
+        throw new Error('CVaR level α must be in (0, 1]');
+    }
+    validateLoadedGraph();
+
+    const levels = cvarLevels(alpha);
+    const alphaIndex = levels.indexOf(alpha);
+    const initial = {};
+    graph.states.forEach(state => {
+        initial[state.id] = levels.map(() => 0);
+    });
+
+    let policyByLevel = {};
+    const result = iterate(initial, maxIterations, epsilon, options.onProgress, (C, policy) => {
+        const sweep = cvarSweep(C, levels, gamma, state => actionChoices(state, meanReward));
+        const alphaPolicy = levelPolicy(sweep.policy, alphaIndex);
+        policyByLevel = sweep.policy;
+        return {
+            values: sweep.values,
+            policy: alphaPolicy,
+            residual: sweep.residual,
+            policyChanges: countChanges(policy, alphaPolicy)
+        };
+    });
+
+    // The risk-neutral policy, scored by CVaR_α
+    const neutral = valueIteration({ gamma, epsilon, maxIterations });
+    const neutralRisk = iterate(initial, maxIterations, epsilon, null, C => ({
+        ...cvarSweep(C, levels, gamma, state => policyChoice(state, neutral.policy, meanReward)),
+        policy: {},
+        policyChanges: 0
+    }));
+
+    return {
+        ...summarize(
+            result,
+            levelValues(result.values, alphaIndex),
+            neutral,
+            levelValues(neutralRisk.values, alphaIndex),
+            gamma,
+            epsilon
+        ),
+        risk: { measure: 'cvar', alpha },
+        levels: levels,
+        valuesByLevel: result.values,
+        policyByLevel: policyByLevel
+    };
+}
+
+/**
+ * Confidence levels for the CVaR grid, ascending and ending at 1
+ */
+function cvarLevels(alpha) {
+    const levels = [];
+    for (let k = 0; k < CVAR_GRID_SIZE; k++) {
+        levels.push(Math.pow(CVAR_MIN_LEVEL, 1 - k / (CVAR_GRID_SIZE - 1)));
+    }
+    levels[CVAR_GRID_SIZE - 1] = 1;
+
+    if (!levels.includes(alpha)) {
+        levels.push(alpha);
+        levels.sort((a, b) => a - b);
+    }
+    return levels;
+}
+
+/**
+ * One CVaR Bellman sweep at every grid level
+ * @param {Function} choices - state -> [{ actionId, branches }] (empty: no decision)
+ * @returns {Object} - { values: { stateId: [C per level] }, policy: { stateId: [action id per level] }, residual }
+ */
+function cvarSweep(C, levels, gamma, choices) {
+    const values = {};
+    const policy = {};
+    let residual = 0;
+
+    for (const state of model.getAllStates()) {
+        const candidates = choices(state);
+
+        if (candidates.length === 0) {
+            values[state.id] = levels.map(() => meanReward(state));
+        } else {
+            let best = null;
+            let bestActions = null;
+
+            for (const candidate of candidates) {
+                const cvar = cvarBackup(candidate.branches, C, levels, gamma);
+                if (!best) {
+                    best = cvar;
+                    bestActions = levels.map(() => candidate.actionId);
+                    continue;
+                }
+                cvar.forEach((value, k) => {
+                    if (value > best[k]) {
+                        best[k] = value;
+                        bestActions[k] = candidate.actionId;
+                    }
+                });
+            }
+
+            values[state.id] = best;
+            policy[state.id] = bestActions;
+        }
+
+        values[state.id].forEach((value, k) => {
+            residual = Math.max(residual, Math.abs(value - C[state.id][k]));
+        });
+    }
+
+    return { values, policy, residual };
+}
+
+/**
+ * CVaR of one action's return at every grid level.
+ * With z = y ξ(s'), the inner problem is min Σ P h_b(z_b) / y subject to
+ * Σ P z_b = y, 0 ≤ z_b ≤ 1, where h_b(z) = z [reward_b + γ C(s'_b, z)] is convex
+ * and piecewise linear. Taking segments in order of slope solves it for every y.
+ * @param {Object[]} branches - [{ prob, reward, stateId }]
+ */
+function cvarBackup(branches, C, levels, gamma) {
+    const segments = [];
+
+    branches.forEach(branch => {
+        if (branch.prob <= 0) return;
+        const next = C[branch.stateId];
+        let z0 = 0;
+        let h0 = 0;
+
+        levels.forEach((z, k) => {
+            const h = z * (branch.reward + gamma * next[k]);
+            segments.push({ slope: (h - h0) / (z - z0), weight: branch.prob * (z - z0), order: k });
+            z0 = z;
+            h0 = h;
+        });
+    });
+
+    segments.sort((a, b) => a.slope - b.slope || a.order - b.order);
+
+    // Levels ascend, so one pass over the sorted segments serves them all
+    const result = [];
+    let i = 0;
+    let filled = 0;
+    let total = 0;
+
+    levels.forEach(y => {
+        while (i < segments.length && filled + segments[i].weight <= y) {
+            filled += segments[i].weight;
+            total += segments[i].weight * segments[i].slope;
+            i++;
+        }
+        const partial = i < segments.length ? (y - filled) * segments[i].slope : 0;
+        result.push((total + partial) / y);
+    });
+
+    return result;
+}
+
+function levelValues(valuesByLevel, index) {
+    const values = {};
+    for (const stateId in valuesByLevel) {
+        values[stateId] = valuesByLevel[stateId][index];
+    }
+    return values;
+}
+
+function levelPolicy(policyByLevel, index) {
+    const policy = {};
+    for (const stateId in policyByLevel) {
+        policy[stateId] = policyByLevel[stateId][index];
+    }
+    return policy;
+}
+
+// === ENTROPIC RISK ===
+
+/**
+ * Entropic risk value iteration (exponential utility)
+ * Replaces the expectation in the Bellman equation with the certainty equivalent
+ * -1/β log E[exp(-β X)], which penalizes spread more as β grows (β → 0 is the mean):
+ *   V(s) = max_a { -1/β log Σ P(s'|s,a) E[exp(-β (R(s) - cost(a) + r(s,a,s') + γ V(s')))] }
+ * The measure is applied recursively, one step at a time, and reward
+ * distributions enter through their own certainty equivalents.
+ * @param {Object} options - { gamma, epsilon, beta (> 0), maxIterations,
+ *   onProgress({ iteration, residual, policyChanges }) called after each sweep }
+ * @returns {Object} - { values (certainty equivalents), policy, iterations, converged,
+ *   residuals, policyChanges, expectedValues, comparison, risk: { measure: 'entropic', beta } }
+ */
+export function entropicValueIteration(options = {}) {
+    const graph = model.getGraph();
+    const gamma = options.gamma !== undefined ? options.gamma : graph.gamma;
+    const epsilon = options.epsilon !== undefined ? options.epsilon : graph.epsilon;
+    const beta = options.beta !== undefined ? options.beta : graph.riskAversion;
+    const maxIterations = options.maxIterations || 1000;
+
+    if (!(beta > 0) || !isFinite(beta)) {
+        throw new Error('Risk aversion β must be a positive number');
+    }
+    validateLoadedGraph();
+
+    const certain = target => distributions.certaintyEquivalent(model.getReward(target), beta);
+    const initial = {};
+    graph.states.forEach(state => {
+        initial[state.id] = 0;
+    });
+
+    const result = iterate(initial, maxIterations, epsilon, options.onProgress, (V, policy) => {
+        const sweep = entropicSweep(V, gamma, beta, certain, state => actionChoices(state, certain));
+        return { ...sweep, policyChanges: countChanges(policy, sweep.policy) };
+    });
+
+    // The risk-neutral policy, scored by the same certainty equivalent
+    const neutral = valueIteration({ gamma, epsilon, maxIterations });
+    const neutralRisk = iterate(initial, maxIterations, epsilon, null, V => ({
+        ...entropicSweep(V, gamma, beta, certain, state => policyChoice(state, neutral.policy, certain)),
+        policyChanges: 0
+    }));
+
+    return {
+        ...summarize(result, result.values, neutral, neutralRisk.values, gamma, epsilon),
+        risk: { measure: 'entropic', beta }
+    };
+}
+
+/**
+ * One entropic Bellman sweep
+ * @returns {Object} - { values, policy, residual }
+ */
+function entropicSweep(V, gamma, beta, certain, choices) {
+    const values = {};
+    const policy = {};
+    let residual = 0;
+
+    for (const state of model.getAllStates()) {
+        const candidates = choices(state);
+
+        if (candidates.length === 0) {
+            values[state.id] = certain(state);
+        } else {
+            let best = -Infinity;
+            for (const candidate of candidates) {
+                // Log-sum-exp, shifted by the largest exponent
+                const exponents = candidate.branches
+                    .filter(branch => branch.prob > 0)
+                    .map(branch => Math.log(branch.prob) - beta * (branch.reward + gamma * V[branch.stateId]));
+                const shift = Math.max(...exponents);
+                // + 0 turns the -0 of a certain zero return into 0
+                const value = -(shift + Math.log(sum(exponents.map(e => Math.exp(e - shift))))) / beta + 0;
+
+                if (value > best) {
+                    best = value;
+                    policy[state.id] = candidate.actionId;
+                }
+            }
+            values[state.id] = best;
+        }
+
+        residual = Math.max(residual, Math.abs(values[state.id] - V[state.id]));
+    }
+
+    return { values, policy, residual };
+}
+
+// === HELPERS ===
+
+/**
+ * Sweep until the residual drops below epsilon, recording the convergence trace
+ * @param {Function} sweep - (values, policy) -> { values, policy, residual, policyChanges }
+ */
+function iterate(initial, maxIterations, epsilon, onProgress, sweep) {
+    let values = initial;
+    let policy = {};
+    const residuals = [];
+    const policyChanges = [];
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < maxIterations) {
+        iterations++;
+
+        const result = sweep(values, policy);
+        values = result.values;
+        policy = result.policy;
+        residuals.push(result.residual);
+        policyChanges.push(result.policyChanges);
+
+        if (onProgress) {
+            onProgress({ iteration: iterations, residual: result.residual, policyChanges: result.policyChanges });
+        }
+
+        if (result.residual < epsilon) {
+            converged = true;
+            break;
+        }
+    }
+
+    return { values, policy, iterations, converged, residuals, policyChanges };
+}
+
+/**
+ * Solution fields shared by the risk solvers, with the comparison against the
+ * risk-neutral policy: { policy, values (its risk measure), expectedValues, changedStates }
+ */
+function summarize(result, values, neutral, neutralRiskValues, gamma, epsilon) {
+    const expected = policyEvaluation(result.policy, { gamma, epsilon });
+    const changedStates = Object.keys(result.policy).filter(stateId =>
+        result.policy[stateId] !== neutral.policy[stateId]
+    );
+
+    return {
+        values: values,
+        policy: result.policy,
+        iterations: result.iterations,
+        converged: result.converged,
+        residuals: result.residuals,
+        policyChanges: result.policyChanges,
+        expectedValues: expected.values,
+        comparison: {
+            policy: neutral.policy,
+            values: neutralRiskValues,
+            expectedValues: neutral.values,
+            changedStates: changedStates
+        }
+    };
+}
+
+/**
+ * Every action of a decision state as outcome branches (none for terminal states)
+ * @param {Function} reward - Reward of a state or outcome (mean or certainty equivalent)
+ */
+function actionChoices(state, reward) {
+    if (state.terminal) return [];
+    return model.getActionsFromState(state.id).map(action => ({
+        actionId: action.id,
+        branches: actionBranches(state, action, reward, 1)
+    }));
+}
+
+/**
+ * A fixed policy's (possibly randomized) action in a state, as one mixture of branches
+ */
+function policyChoice(state, policy, reward) {
+    if (state.terminal) return [];
+
+    const branches = [];
+    const probabilities = getActionProbabilities(policy, state.id);
+    for (const actionId in probabilities) {
+        const action = model.getActionById(actionId);
+        if (!action || probabilities[actionId] <= 0) continue;
+        branches.push(...actionBranches(state, action, reward, probabilities[actionId]));
+    }
+
+    return branches.length > 0 ? [{ actionId: null, branches }] : [];
+}
+
+/**
+ * Outcomes of an action with the reward received along each:
+ * R(s) - cost(a) + r(s, a, s'), scaled in probability by the action's weight
+ */
+function actionBranches(state, action, reward, weight) {
+    return action.outcomes.map(outcome => ({
+        prob: weight * outcome.prob,
+        reward: reward(state) - action.cost + reward(outcome),
+        stateId: outcome.toStateId
+    }));
+}
+
+function meanReward(target) {
+    return target.reward || 0;
+}
+
+function countChanges(previous, policy) {
+    return Object.keys(policy).filter(stateId => previous[stateId] !== policy[stateId]).length;
+}
+
+function validateLoadedGraph() {
+    const validation = model.validateGraph();
+    if (!validation.valid) {
+        throw new Error('Graph has validation errors: ' + validation.errors.join(', '));
+    }
+}
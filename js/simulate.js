@@ -1,19 +1,28 @@
 // simulate.js - Simulation and rollout for MDP policies
 
-import { weightedChoice } from './utils.js';
+import { weightedChoice, sampleStatistics } from './utils.js';
+import { sampleAction, getStepPolicy } from './policy.js';
+import { sample as sampleDistribution } from './distributions.js';
 import * as model from './model.js';
 
 /**
  * Rollout a policy from a start state
- * @param {Object} policy - Policy object (state -> action mapping)
+ * @param {Object|Array} policy - Policy object (state -> action id, or state ->
+ *   { actionId: prob } for randomized policies), or an array of per-step
+ *   policies from a finite-horizon solve (ends at the horizon)
  * @param {string} startStateId - Starting state ID
  * @param {number} maxSteps - Maximum number of steps
  * @param {Function} rng - Random number generator (default: Math.random)
- * @returns {Object} - { trajectory, totalReward, steps }
+ * @returns {Object} - { trajectory, totalReward, discountedReward, steps, truncated };
+ *   discountedReward uses the model's γ the same way the solvers do, and
+ *   truncated is true when maxSteps ran out before the episode ended
  */
 export function rollout(policy, startStateId, maxSteps = 20, rng = Math.random) {
     const trajectory = [];
+    const gamma = model.getSettings().gamma;
     let totalReward = 0;
+    let discountedReward = 0;
+    let discount = 1;
     let currentStateId = startStateId;
     let steps = 0;
     
@@ -23,21 +32,25 @@ export function rollout(policy, startStateId, maxSteps = 20, rng = Math.random)
         return {
             trajectory: [],
             totalReward: 0,
+            discountedReward: 0,
             steps: 0,
+            truncated: false,
             error: 'Start state not found'
         };
     }
     
     // Add initial state to trajectory
+    const startReward = drawReward(startState, rng);
     trajectory.push({
         stateId: currentStateId,
         state: startState.label,
         action: null,
-        reward: startState.reward,
-        cumulative: startState.reward
+        reward: startReward,
+        cumulative: startReward
     });
     
-    totalReward += startState.reward;
+    totalReward += startReward;
+    discountedReward += startReward;
     
     // Simulate steps
     while (steps < maxSteps) {
@@ -60,8 +73,13 @@ export function rollout(policy, startStateId, maxSteps = 20, rng = Math.random)
             break;
         }
         
-        // Get action from policy
-        const actionId = policy[currentStateId];
+        // Get action from policy (per-step policies end at the horizon)
+        const stepPolicy = getStepPolicy(policy, steps);
+        if (!stepPolicy) {
+            break;
+        }
+        
+        const actionId = sampleAction(stepPolicy, currentStateId, rng);
         if (!actionId) {
             // No action in policy, treat as terminal
             break;
@@ -91,14 +109,17 @@ export function rollout(policy, startStateId, maxSteps = 20, rng = Math.random)
                 error: 'No outcomes for action'
             });
             totalReward -= action.cost;
+            discountedReward -= discount * action.cost;
             break;
         }
         
         // Apply action cost
         totalReward -= action.cost;
+        discountedReward -= discount * action.cost;
         
         // Sample next state from outcomes
-        const nextStateId = sampleOutcome(action.outcomes, rng);
+        const outcome = sampleOutcome(action.outcomes, rng);
+        const nextStateId = outcome.toStateId;
         const nextState = model.getStateById(nextStateId);
         
         if (!nextState) {
@@ -113,15 +134,23 @@ export function rollout(policy, startStateId, maxSteps = 20, rng = Math.random)
             break;
         }
         
-        // Add next state reward
-        totalReward += nextState.reward;
+        // Transition reward arrives with the action, like its cost
+        const transitionReward = drawReward(outcome, rng);
+        totalReward += transitionReward;
+        discountedReward += discount * transitionReward;
+        
+        // Add next state reward, one step further discounted
+        const stateReward = drawReward(nextState, rng);
+        discount *= gamma;
+        totalReward += stateReward;
+        discountedReward += discount * stateReward;
         
         // Record step
         trajectory.push({
             stateId: nextStateId,
             state: nextState.label,
             action: action.label,
-            reward: nextState.reward - action.cost,
+            reward: stateReward - action.cost + transitionReward,
             cumulative: totalReward
         });
         
@@ -130,15 +159,58 @@ export function rollout(policy, startStateId, maxSteps = 20, rng = Math.random)
         steps++;
     }
     
+    // Running out of steps in a state that could still act truncates the episode
+    const lastState = model.getStateById(currentStateId);
+    const truncated = steps >= maxSteps && getStepPolicy(policy, steps) !== null &&
+        !!lastState && !lastState.terminal &&
+        model.getActionsFromState(currentStateId).length > 0;
+    
     return {
         trajectory,
         totalReward,
-        steps: trajectory.length - 1
+        discountedReward,
+        steps: trajectory.length - 1,
+        truncated
+    };
+}
+
+/**
+ * Take one action in the environment
+ * This is the only transition access reinforcement learners get: they see the
+ * sampled next state and reward, never the outcome probabilities.
+ * @param {string} stateId - Current state ID
+ * @param {string} actionId - Action to take
+ * @param {Function} rng - Random number generator
+ * @returns {Object|null} - { nextStateId, reward, done, terminalReward }; reward is
+ *   R(s) - cost(a) + r(s,a,s'), and terminalReward is R(s') when the episode ends in s'
+ */
+export function step(stateId, actionId, rng = Math.random) {
+    const currentState = model.getStateById(stateId);
+    const action = model.getActionById(actionId);
+    
+    if (!currentState || !action || action.outcomes.length === 0) {
+        return null;
+    }
+    
+    const outcome = sampleOutcome(action.outcomes, rng);
+    const nextStateId = outcome.toStateId;
+    const nextState = model.getStateById(nextStateId);
+    if (!nextState) return null;
+    
+    // States without actions end the episode like terminal states
+    const done = nextState.terminal || model.getActionsFromState(nextStateId).length === 0;
+    
+    return {
+        nextStateId,
+        reward: drawReward(currentState, rng) - action.cost + drawReward(outcome, rng),
+        done,
+        terminalReward: done ? drawReward(nextState, rng) : 0
     };
 }
 
 /**
  * Sample an outcome based on probabilities
+ * @returns {Object} - The outcome ({ toStateId, prob, reward })
  */
 function sampleOutcome(outcomes, rng = Math.random) {
     const random = rng();
@@ -147,28 +219,45 @@ function sampleOutcome(outcomes, rng = Math.random) {
     for (const outcome of outcomes) {
         cumulative += outcome.prob;
         if (random <= cumulative) {
-            return outcome.toStateId;
+            return outcome;
         }
     }
     
     // Fallback to last outcome
-    return outcomes[outcomes.length - 1].toStateId;
+    return outcomes[outcomes.length - 1];
+}
+
+/**
+ * Realized reward of a state or outcome: a sample when it has a reward
+ * distribution, otherwise its fixed reward
+ */
+function drawReward(target, rng) {
+    if (target.rewardDistribution) {
+        return sampleDistribution(target.rewardDistribution, rng);
+    }
+    return target.reward || 0;
 }
 
 /**
  * Run multiple simulations and compute statistics
- * @param {Object} policy - Policy object
+ * @param {Object|Array} policy - Policy object (deterministic, randomized or per-step)
  * @param {string} startStateId - Starting state ID
  * @param {number} numRuns - Number of simulation runs
  * @param {number} maxSteps - Maximum steps per run
+ * @param {Function} rng - Random number generator shared by all runs (seed it to reproduce a batch)
+ * @param {Function} onProgress - Optional, called with { completed, total } after each run
  * @returns {Object} - Statistics about the runs
  */
-export function multipleRollouts(policy, startStateId, numRuns = 100, maxSteps = 20) {
+export function multipleRollouts(policy, startStateId, numRuns = 100, maxSteps = 20, rng = Math.random, onProgress = null) {
     const results = [];
     
     for (let i = 0; i < numRuns; i++) {
-        const result = rollout(policy, startStateId, maxSteps);
+        const result = rollout(policy, startStateId, maxSteps, rng);
         results.push(result);
+        
+        if (onProgress) {
+            onProgress({ completed: i + 1, total: numRuns });
+        }
     }
     
     // Compute statistics
@@ -196,6 +285,11 @@ export function multipleRollouts(policy, startStateId, numRuns = 100, maxSteps =
         avgSteps,
         minSteps,
         maxSteps: maxSteps_actual,
+        // Sample statistics with 95% confidence intervals
+        undiscounted: sampleStatistics(rewards),
+        discounted: sampleStatistics(results.map(r => r.discountedReward)),
+        lengths: sampleStatistics(steps),
+        truncatedRuns: results.filter(r => r.truncated).length,
         results
     };
 }
@@ -218,15 +312,16 @@ export function randomWalk(startStateId, maxSteps = 20, rng = Math.random) {
         return { trajectory: [], totalReward: 0, steps: 0 };
     }
     
+    const startReward = drawReward(startState, rng);
     trajectory.push({
         stateId: currentStateId,
         state: startState.label,
         action: null,
-        reward: startState.reward,
-        cumulative: startState.reward
+        reward: startReward,
+        cumulative: startReward
     });
     
-    totalReward += startState.reward;
+    totalReward += startReward;
     
     while (steps < maxSteps) {
         const currentState = model.getStateById(currentStateId);
@@ -250,18 +345,21 @@ export function randomWalk(startStateId, maxSteps = 20, rng = Math.random) {
         
         totalReward -= action.cost;
         
-        const nextStateId = sampleOutcome(action.outcomes, rng);
+        const outcome = sampleOutcome(action.outcomes, rng);
+        const nextStateId = outcome.toStateId;
         const nextState = model.getStateById(nextStateId);
         
         if (!nextState) break;
         
-        totalReward += nextState.reward;
+        const transitionReward = drawReward(outcome, rng);
+        const stateReward = drawReward(nextState, rng);
+        totalReward += transitionReward + stateReward;
         
         trajectory.push({
             stateId: nextStateId,
             state: nextState.label,
             action: action.label,
-            reward: nextState.reward - action.cost,
+            reward: stateReward - action.cost + transitionReward,
             cumulative: totalReward
         });
         
@@ -278,13 +376,14 @@ export function randomWalk(startStateId, maxSteps = 20, rng = Math.random) {
 
 /**
  * Compute state visitation frequencies from simulations
- * @param {Object} policy - Policy object
+ * @param {Object|Array} policy - Policy object (deterministic, randomized or per-step)
  * @param {string} startStateId - Starting state ID
  * @param {number} numRuns - Number of simulation runs
  * @param {number} maxSteps - Maximum steps per run
+ * @param {Function} rng - Random number generator shared by all runs
  * @returns {Object} - State visitation counts and frequencies
  */
-export function stateVisitationFrequency(policy, startStateId, numRuns = 1000, maxSteps = 20) {
+export function stateVisitationFrequency(policy, startStateId, numRuns = 1000, maxSteps = 20, rng = Math.random) {
     const counts = {};
     const states = model.getAllStates();
     
@@ -295,7 +394,7 @@ export function stateVisitationFrequency(policy, startStateId, numRuns = 1000, m
     
     // Run simulations
     for (let i = 0; i < numRuns; i++) {
-        const result = rollout(policy, startStateId, maxSteps);
+        const result = rollout(policy, startStateId, maxSteps, rng);
         
         // Count state visits
         result.trajectory.forEach(step => {
@@ -339,13 +438,14 @@ export function trajectoryToString(trajectory) {
 
 /**
  * Evaluate policy by simulation (Monte Carlo estimation)
- * @param {Object} policy - Policy object
+ * @param {Object|Array} policy - Policy object (deterministic, randomized or per-step)
  * @param {string} startStateId - Starting state ID
  * @param {number} numRuns - Number of simulation runs
  * @param {number} maxSteps - Maximum steps per run
+ * @param {Function} rng - Random number generator
  * @returns {number} - Average total reward
  */
-export function evaluatePolicyMonteCarlo(policy, startStateId, numRuns = 1000, maxSteps = 20) {
-    const results = multipleRollouts(policy, startStateId, numRuns, maxSteps);
+export function evaluatePolicyMonteCarlo(policy, startStateId, numRuns = 1000, maxSteps = 20, rng = Math.random) {
+    const results = multipleRollouts(policy, startStateId, numRuns, maxSteps, rng);
     return results.avgReward;
 }
@@ -1,30 +1,245 @@
 // storage.js - Storage, import/export functionality
+//
+// The graph being edited belongs to the open project (see projects.js), and
+// saving writes it there. Where IndexedDB is unavailable there are no projects,
+// and the graph is saved under STORAGE_KEY in localStorage instead; a graph
+// found there once projects are available becomes a project. IndexedDB writes
+// may not finish while the page closes, so saveBeforeClose() also copies the
+// graph to UNSAVED_KEY, which openWorkspace() writes to its project next time.
 
-import { debounce } from './utils.js';
+import { debounce, deepClone } from './utils.js';
+import { solutionToCSV, trajectoryToCSV } from './csv.js';
 import * as model from './model.js';
+import * as projects from './projects.js';
+import * as distributions from './distributions.js';
 
 const STORAGE_KEY = 'mdp-simulator-graph';
+const PROJECT_KEY = 'mdp-simulator-project'; // id of the last open project
+const UNSAVED_KEY = 'mdp-simulator-unsaved'; // { projectId, graph } left by saveBeforeClose()
 const AUTOSAVE_DELAY = 1000; // ms
 
+let dirty = false; // changed since the last save
+let usingProjects = false; // false without IndexedDB
+let currentProject = null; // metadata of the open project (null while switching)
+let unsavedCopy = false; // UNSAVED_KEY holds changes no save has started on since
+const saveListeners = [];
+
 /**
- * Save graph to localStorage
+ * Save the graph to the open project (or to localStorage without projects)
+ * @returns {Promise<boolean>} - Whether it was saved
  */
-export function save() {
+export async function save() {
+    // Copied now: the model may change, or another project open, before the write
+    const graph = deepClone(model.getGraph());
+    const project = currentProject;
+    const coversUnsavedCopy = unsavedCopy;
+    dirty = false;
+    unsavedCopy = false;
+    
     try {
-        const graph = model.getGraph();
-        const json = JSON.stringify(graph);
-        localStorage.setItem(STORAGE_KEY, json);
+        if (usingProjects) {
+            if (!project) return false;
+            const saved = await projects.saveProject(project.id, graph);
+            if (currentProject && currentProject.id === project.id) {
+                currentProject = saved;
+            }
+            if (coversUnsavedCopy) localStorage.removeItem(UNSAVED_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(graph));
+        }
+        saveListeners.forEach(listener => listener(currentProject));
         return true;
     } catch (error) {
-        console.error('Failed to save to localStorage:', error);
+        console.error('Failed to save graph:', error);
+        // Try again with the next change, unless another project has been opened since
+        if (!usingProjects || (currentProject && currentProject.id === project.id)) dirty = true;
         return false;
     }
 }
 
 /**
- * Debounced autosave
+ * Save pending changes when the page may be closing (beforeunload, pagehide, or
+ * hidden). Nothing waits for the IndexedDB write, so a copy goes to localStorage
+ * first; the save removes it once written, or openWorkspace() uses it next time.
+ */
+export function saveBeforeClose() {
+    if (!dirty) return;
+    
+    if (usingProjects && currentProject) {
+        try {
+            const graph = model.getGraph();
+            localStorage.setItem(UNSAVED_KEY, JSON.stringify({ projectId: currentProject.id, graph }));
+            unsavedCopy = true;
+        } catch (error) {
+            console.error('Failed to keep a copy of unsaved changes:', error);
+        }
+    }
+    save();
+}
+
+/**
+ * Call listener(project) after each save, e.g. to refresh the project list
+ */
+export function onSave(listener) {
+    saveListeners.push(listener);
+}
+
+/**
+ * Debounced autosave: saves AUTOSAVE_DELAY after the last call, if anything changed
+ */
+export const autosave = debounce(() => {
+    if (dirty) save();
+}, AUTOSAVE_DELAY);
+
+/**
+ * Note an unsaved change and schedule an autosave
+ */
+export function markDirty() {
+    dirty = true;
+    autosave();
+}
+
+/**
+ * Whether there are changes an autosave has not written yet
+ */
+export function isDirty() {
+    return dirty;
+}
+
+// === PROJECTS ===
+
+/**
+ * Reopen the last open project, turning a graph saved before projects existed into one.
+ * Without IndexedDB the graph saved in localStorage is loaded instead.
+ * @returns {Promise<Object|null>} - The open project's metadata, or null without projects
+ */
+export async function openWorkspace() {
+    let list = null;
+    if (projects.isAvailable()) {
+        try {
+            const legacy = load();
+            if (legacy) {
+                const migrated = await projects.createProject('Untitled', legacy);
+                localStorage.setItem(PROJECT_KEY, migrated.id);
+                localStorage.removeItem(STORAGE_KEY);
+            }
+            await restoreUnsaved();
+            list = await projects.listProjects();
+        } catch (error) {
+            console.error('Projects unavailable, saving to localStorage:', error);
+        }
+    }
+    
+    usingProjects = list !== null;
+    if (usingProjects) {
+        const last = list.find(project => project.id === localStorage.getItem(PROJECT_KEY)) || list[0];
+        return last ? openProject(last.id) : createProject('Untitled', model.getGraph());
+    }
+    
+    const saved = load();
+    if (saved) {
+        model.loadGraph(saved);
+        dirty = false;
+    }
+    return null;
+}
+
+/**
+ * Write changes saveBeforeClose() kept in localStorage to their project, if the
+ * page closed before saving them (unless the project has been deleted since)
+ */
+async function restoreUnsaved() {
+    const json = localStorage.getItem(UNSAVED_KEY);
+    if (!json) return;
+    
+    try {
+        const { projectId, graph } = JSON.parse(json);
+        await projects.saveProject(projectId, graph);
+    } catch (error) {
+        console.error('Failed to restore unsaved changes:', error);
+    }
+    localStorage.removeItem(UNSAVED_KEY);
+}
+
+/**
+ * Save the current graph if needed, then load a project's graph into the model
+ * @returns {Promise<Object>} - The project's metadata
  */
-export const autosave = debounce(save, AUTOSAVE_DELAY);
+export async function openProject(projectId) {
+    if (dirty) await save();
+    
+    const project = await projects.getProject(projectId);
+    if (!project) {
+        throw new Error('That project no longer exists');
+    }
+    
+    const { graph, ...metadata } = project;
+    model.loadGraph(graph || { states: [], actions: [] });
+    currentProject = metadata;
+    dirty = false;
+    localStorage.setItem(PROJECT_KEY, projectId);
+    return currentProject;
+}
+
+/**
+ * Create a project and open it
+ * @param {Object} graph - Its graph (e.g. imported, or { states: [], actions: [] })
+ * @returns {Promise<Object>} - The new project's metadata
+ */
+export async function createProject(name, graph) {
+    const project = await projects.createProject(name, deepClone(graph));
+    return openProject(project.id);
+}
+
+/**
+ * @returns {Promise<Object>} - The renamed project's metadata
+ */
+export async function renameProject(projectId, name) {
+    const project = await projects.renameProject(projectId, name);
+    if (currentProject && currentProject.id === projectId) {
+        currentProject = project;
+    }
+    return project;
+}
+
+/**
+ * Copy a project (with the open one's unsaved changes); the copy is not opened
+ * @returns {Promise<Object>} - The copy's metadata
+ */
+export async function duplicateProject(projectId) {
+    if (dirty && currentProject && currentProject.id === projectId) await save();
+    return projects.duplicateProject(projectId);
+}
+
+/**
+ * Delete a project. Deleting the open one opens the most recently modified
+ * other project, or a new empty one.
+ * @returns {Promise<boolean>} - Whether another graph was loaded
+ */
+export async function deleteProject(projectId) {
+    await projects.deleteProject(projectId);
+    if (!currentProject || currentProject.id !== projectId) return false;
+    
+    // Its unsaved changes go with it
+    currentProject = null;
+    dirty = false;
+    const [next] = await projects.listProjects();
+    if (next) {
+        await openProject(next.id);
+    } else {
+        await createProject('Untitled', { states: [], actions: [] });
+    }
+    return true;
+}
+
+/**
+ * Metadata of the open project, or null without projects (no IndexedDB)
+ */
+export function getCurrentProject() {
+    return currentProject;
+}
+
+// === LOCAL STORAGE ===
 
 /**
  * Load graph from localStorage
@@ -48,6 +263,7 @@ export function load() {
 export function clear() {
     try {
         localStorage.removeItem(STORAGE_KEY);
+        dirty = false;
         return true;
     } catch (error) {
         console.error('Failed to clear localStorage:', error);
@@ -57,8 +273,9 @@ export function clear() {
 
 /**
  * Export graph as JSON file
+ * @param {string} name - File name without extension (default: a timestamped one)
  */
-export function exportJSON() {
+export function exportJSON(name = null) {
     const graph = model.getGraph();
     const json = JSON.stringify(graph, null, 2);
     const blob = new Blob([json], { type: 'application/json' });
@@ -66,7 +283,7 @@ export function exportJSON() {
     
     const a = document.createElement('a');
     a.href = url;
-    a.download = `mdp-graph-${Date.now()}.json`;
+    a.download = name ? `${name.replace(/[\\/:*?"<>|]/g, '_')}.json` : `mdp-graph-${Date.now()}.json`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -96,6 +313,8 @@ export function importJSON(file) {
                     throw new Error('Invalid graph: missing or invalid actions array');
                 }
                 
+                checkRewardDistributions(graph);
+                
                 resolve(graph);
             } catch (error) {
                 reject(error);
@@ -110,8 +329,28 @@ export function importJSON(file) {
     });
 }
 
+/**
+ * Reject reward distributions that could not be sampled
+ */
+function checkRewardDistributions(graph) {
+    const check = (target, where) => {
+        const reward = target.rewardDistribution || target.reward;
+        if (!distributions.isDistribution(reward)) return;
+        const error = distributions.validate(reward);
+        if (error) {
+            throw new Error(`Invalid graph: ${where} has an invalid reward distribution (${error})`);
+        }
+    };
+    
+    graph.states.forEach(state => check(state, `state "${state.label}"`));
+    graph.actions.forEach(action => (action.outcomes || []).forEach(outcome =>
+        check(outcome, `an outcome of action "${action.label}"`)
+    ));
+}
+
 /**
  * Export graph as CSV (state-value table)
+ * Randomized policy entries are written as "label 60%, label 40%".
  */
 export function exportCSV(solution) {
     if (!solution) {
@@ -119,28 +358,7 @@ export function exportCSV(solution) {
         return;
     }
     
-    const states = model.getAllStates();
-    
-    // Build CSV
-    let csv = 'State,Value,Policy\n';
-    
-    states.forEach(state => {
-        const value = solution.values[state.id] !== undefined 
-            ? solution.values[state.id].toFixed(4) 
-            : 'N/A';
-        
-        const policyActionId = solution.policy[state.id];
-        let policyLabel = 'N/A';
-        
-        if (policyActionId) {
-            const action = model.getActionById(policyActionId);
-            if (action) {
-                policyLabel = action.label;
-            }
-        }
-        
-        csv += `"${state.label}",${value},"${policyLabel}"\n`;
-    });
+    const csv = solutionToCSV(solution);
     
     // Download
     const blob = new Blob([csv], { type: 'text/csv' });
@@ -164,16 +382,7 @@ export function exportSimulationCSV(simulationResult) {
         return;
     }
     
-    // Build CSV
-    let csv = 'Step,State,Action,Reward,Cumulative\n';
-    
-    simulationResult.trajectory.forEach((step, idx) => {
-        const action = step.action || 'N/A';
-        const reward = step.reward !== undefined ? step.reward.toFixed(2) : 'N/A';
-        const cumulative = step.cumulative !== undefined ? step.cumulative.toFixed(2) : 'N/A';
-        
-        csv += `${idx},"${step.state}","${action}",${reward},${cumulative}\n`;
-    });
+    const csv = trajectoryToCSV(simulationResult);
     
     // Download
     const blob = new Blob([csv], { type: 'text/csv' });
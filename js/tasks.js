@@ -0,0 +1,147 @@
+// tasks.js - Run solves, simulations and analyses in a Web Worker (see worker.js)
+//
+// Each task gets its own worker, so cancelling simply terminates it. Where
+// module workers are unavailable the task runs on the main thread instead;
+// that fallback blocks the page and cannot be interrupted.
+
+import { solve, simulate, returnDistribution, analyzeChain } from './api.js';
+import { throttle } from './utils.js';
+
+const PROGRESS_INTERVAL = 50; // ms
+const RUNNERS = { solve, simulate, distribution: returnDistribution, chain: analyzeChain };
+
+// Set after a worker fails to load, so later tasks go straight to the fallback
+let workersUnavailable = false;
+
+/**
+ * Start a task
+ * @param {string} type - 'solve' (api.solve), 'simulate' (api.simulate),
+ *   'distribution' (api.returnDistribution) or 'chain' (api.analyzeChain)
+ * @param {Object} graph - Graph snapshot; edits made while the task runs do not affect it
+ * @param {Object} options - Options for the api function (functions cannot be sent to a worker)
+ * @param {Function} onProgress - Called with the solver's, the rollouts' or the sweeps' progress objects
+ * @returns {Object} - { promise, cancel(), cancellable }
+ *   The promise resolves to the api function's result and rejects with its error,
+ *   or with an error whose `cancelled` flag is set after cancel(). `cancellable`
+ *   is false when the task runs on the main thread, where nothing can stop it.
+ */
+export function runTask(type, graph, options = {}, onProgress = () => {}) {
+    if (!RUNNERS[type]) {
+        throw new Error(`Unknown task: ${type}`);
+    }
+
+    const worker = createWorker();
+    if (!worker) {
+        return runInline(type, graph, options, onProgress);
+    }
+
+    let settle = null;
+    let fallback = null;
+    let started = false;
+
+    const promise = new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+    });
+
+    worker.addEventListener('message', event => {
+        const message = event.data;
+        started = true;
+
+        if (message.type === 'progress') {
+            onProgress(message.progress);
+            return;
+        }
+
+        worker.terminate();
+        if (message.type === 'result') {
+            settle.resolve(message.result);
+        } else {
+            const error = new Error(message.message);
+            if (message.errors) error.errors = message.errors;
+            settle.reject(error);
+        }
+    });
+
+    // A load failure (e.g. no module worker support) arrives before any message
+    worker.addEventListener('error', event => {
+        event.preventDefault();
+        worker.terminate();
+
+        if (started) {
+            settle.reject(new Error(event.message || 'Worker failed'));
+            return;
+        }
+
+        console.warn('Web Worker unavailable, running on the main thread:', event.message);
+        workersUnavailable = true;
+        fallback = runInline(type, graph, options, onProgress);
+        fallback.promise.then(settle.resolve, settle.reject);
+    });
+
+    worker.postMessage({ type, graph, options });
+
+    return {
+        promise,
+        cancellable: true,
+        cancel() {
+            if (fallback) {
+                fallback.cancel();
+                return;
+            }
+            worker.terminate();
+            settle.reject(cancelledError());
+        }
+    };
+}
+
+// === HELPERS ===
+
+function createWorker() {
+    if (workersUnavailable || typeof Worker === 'undefined') {
+        return null;
+    }
+
+    try {
+        return new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+        console.warn('Web Worker unavailable, running on the main thread:', error);
+        workersUnavailable = true;
+        return null;
+    }
+}
+
+/**
+ * Main-thread fallback. Starts after a tick so the progress indicator can paint.
+ */
+function runInline(type, graph, options, onProgress) {
+    let cancelled = false;
+
+    const promise = new Promise((resolve, reject) => {
+        setTimeout(() => {
+            if (cancelled) {
+                reject(cancelledError());
+                return;
+            }
+            try {
+                const progress = throttle(onProgress, PROGRESS_INTERVAL);
+                resolve(RUNNERS[type](graph, { ...options, onProgress: progress }));
+            } catch (error) {
+                reject(error);
+            }
+        }, 0);
+    });
+
+    return {
+        promise,
+        cancellable: false,
+        cancel() {
+            cancelled = true;
+        }
+    };
+}
+
+function cancelledError() {
+    const error = new Error('Cancelled');
+    error.cancelled = true;
+    return error;
+}
@@ -5,30 +5,74 @@ import {
     pointInCircle, 
     getQuadraticControlPoint, 
     formatNumber, 
-    round 
+    round,
+    clamp,
+    movingAverage
 } from './utils.js';
+import { getActionProbabilities, describePolicyEntry, toStochastic, mostLikelyAction } from './policy.js';
+import { lineChart, histogram, distributionChart } from './charts.js';
+import {
+    DIVERGING_SCALES,
+    divergingDomain,
+    divergingColor,
+    categoricalColor,
+    categoricalLineColor
+} from './colors.js';
 import * as model from './model.js';
+import * as history from './history.js';
+import * as distributions from './distributions.js';
+import { probabilityAtLeast } from './distributional.js';
 
 // UI State
 const uiState = {
     selectedStateId: null,
+    selectedStateIds: [], // every selected state (shift-click adds); selectedStateId is the one inspected
     selectedActionId: null,
     draggedStateId: null,
+    dragEdit: null, // history.begin() of the drag in progress
+    pan: null, // { clientX, clientY, x, y } while dragging the empty canvas
     connectMode: false,
     connectFromStateId: null,
     solution: null, // { values, policy, iterations, converged }
-    simulationResult: null
+    solutionStep: 0, // decision epoch shown for finite-horizon solutions
+    display: {
+        colorMode: 'value', // 'none' | 'value' | 'reward' | 'visitation' | 'action'
+        colorScale: 'red-blue', // key of DIVERGING_SCALES
+        showValues: true, // V(s) under each state
+        showActions: false, // chosen action under each state
+        showComponents: false // outline communicating classes of more than one state
+    },
+    visitation: null, // { stateId: frequency } for the 'visitation' color mode
+    simulationResult: null,
+    layoutAnimation: null, // requestAnimationFrame id while states glide to a new layout
+    layoutEdit: null, // history.begin() of the layout being animated
+    renderFrame: null, // requestAnimationFrame id of a render scheduled by a model change
+    pendingRender: new Set(), // Keys of RENDER_PARTS dirtied by model changes since the last frame
+    batchResult: null,
+    distributionResult: null, // api.returnDistribution result, plus the solver's V(start)
+    chainResult: null, // api.analyzeChain result
+    structure: null, // model.analyzeStructure result shown in the structure panel
+    structureKey: null, // structureKey() when it was computed
+    problemsKey: null, // problemsKey() when the Problems panel was last filled
+    startKey: null, // startKey() when the results answered from the start state were drawn
+    learningResult: null
 };
 
 // DOM Elements
-let svg, statesLayer, edgesLayer, simulationLayer;
+let svg, viewportLayer, componentsLayer, statesLayer, edgesLayer, simulationLayer;
 const STATE_RADIUS = 30;
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 4;
+const ZOOM_STEP = 1.2;
+const FIT_PADDING = 40;
 
 /**
  * Initialize the UI
  */
 export function init() {
     svg = document.getElementById('canvas');
+    viewportLayer = document.getElementById('viewport');
+    componentsLayer = document.getElementById('components-layer');
     statesLayer = document.getElementById('states-layer');
     edgesLayer = document.getElementById('edges-layer');
     simulationLayer = document.getElementById('simulation-layer');
@@ -37,22 +81,116 @@ export function init() {
     svg.addEventListener('mousedown', handleCanvasMouseDown);
     svg.addEventListener('mousemove', handleCanvasMouseMove);
     svg.addEventListener('mouseup', handleCanvasMouseUp);
+    svg.addEventListener('mouseleave', handleCanvasMouseUp);
     svg.addEventListener('click', handleCanvasClick);
+    svg.addEventListener('wheel', handleCanvasWheel, { passive: false });
     
     // Keyboard
     document.addEventListener('keydown', handleKeyDown);
     
+    history.onChange(renderHistory);
+    renderHistory();
+    
+    // Changes made outside the UI (undo, fixes, plugins) show up on their own
+    model.subscribe('*', handleModelChange);
+    
     render();
 }
 
+// The parts of the page drawn from the model, in drawing order
+const RENDER_PARTS = {
+    canvas: () => {
+        renderComponentOutlines();
+        renderEdges();
+        renderStates();
+    },
+    inspector: () => updateInspector(),
+    structure: () => refreshStructure(),
+    problems: () => refreshProblems(),
+    startStates: () => updateStartStateDropdown(),
+    startResults: () => refreshStartResults(),
+    constraints: () => renderConstraintsList()
+};
+
 /**
  * Full render of the graph
  */
 export function render() {
-    renderEdges();
-    renderStates();
-    updateInspector();
-    updateStartStateDropdown();
+    if (uiState.renderFrame !== null) {
+        cancelAnimationFrame(uiState.renderFrame);
+        uiState.renderFrame = null;
+    }
+    uiState.pendingRender.clear();
+    
+    applyViewport();
+    Object.values(RENDER_PARTS).forEach(renderPart => renderPart());
+}
+
+/**
+ * Schedule the parts a change affects for the next frame, so a burst of changes
+ * (a drag, a layout animation, a cascading delete) draws each of them once
+ */
+function handleModelChange(event) {
+    const parts = affectedParts(event);
+    if (parts.length === 0) return;
+    
+    parts.forEach(part => uiState.pendingRender.add(part));
+    
+    if (typeof requestAnimationFrame !== 'function') {
+        flushRender();
+    } else if (uiState.renderFrame === null) {
+        uiState.renderFrame = requestAnimationFrame(flushRender);
+    }
+}
+
+function flushRender() {
+    const pending = uiState.pendingRender;
+    uiState.renderFrame = null;
+    uiState.pendingRender = new Set();
+    
+    Object.keys(RENDER_PARTS)
+        .filter(part => pending.has(part))
+        .forEach(part => RENDER_PARTS[part]());
+}
+
+/**
+ * Keys of RENDER_PARTS that show what a model event changed
+ */
+function affectedParts(event) {
+    const graphParts = ['canvas', 'inspector', 'structure', 'problems'];
+    
+    switch (event.type) {
+        case 'viewportChanged':
+            // applyViewport() runs wherever the viewport changes
+            return [];
+        case 'settingsChanged':
+            return ['structure', 'problems', 'startStates', 'startResults'];
+        case 'stateAdded':
+            return [...graphParts, 'startStates'];
+        case 'stateRemoved':
+            // Removing a state's actions can remove a cost dimension
+            return [...graphParts, 'startStates', 'constraints'];
+        case 'stateUpdated':
+            if (event.changes.every(key => key === 'x' || key === 'y')) return ['canvas'];
+            return event.changes.includes('label') ? [...graphParts, 'startStates', 'startResults'] : graphParts;
+        case 'actionAdded':
+        case 'actionRemoved':
+            return [...graphParts, 'constraints'];
+        case 'actionUpdated':
+            return event.changes.some(key => key === 'cost' || key === 'costs')
+                ? [...graphParts, 'constraints']
+                : graphParts;
+        case 'outcomeAdded':
+        case 'outcomeUpdated':
+        case 'outcomeRemoved':
+            return graphParts;
+        case 'constraintsChanged':
+            return ['constraints', 'problems'];
+        case 'customPolicyChanged':
+            return ['inspector'];
+        default:
+            return Object.keys(RENDER_PARTS);
+    }
 }
 
 /**
@@ -61,17 +199,53 @@ export function render() {
 function renderStates() {
     statesLayer.innerHTML = '';
     
+    const coloring = getStateColoring();
+    renderColorLegend(coloring.legend);
+    
     const states = model.getAllStates();
     states.forEach(state => {
-        const g = createStateElement(state);
+        const g = createStateElement(state, coloring.fills);
         statesLayer.appendChild(g);
     });
 }
 
+/**
+ * Outline each communicating class of two or more states (when enabled):
+ * solid for closed classes, dashed for classes that can be left
+ */
+function renderComponentOutlines() {
+    componentsLayer.innerHTML = '';
+    if (!uiState.display.showComponents) return;
+    
+    const padding = STATE_RADIUS + 12;
+    model.getCommunicatingClasses()
+        .filter(entry => entry.stateIds.length > 1)
+        .forEach((entry, index) => {
+            const members = entry.stateIds.map(model.getStateById);
+            const xs = members.map(state => state.x);
+            const ys = members.map(state => state.y);
+            const x = Math.min(...xs) - padding;
+            const y = Math.min(...ys) - padding;
+            
+            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            rect.classList.add('component-outline');
+            if (!entry.closed) rect.classList.add('open');
+            rect.setAttribute('x', x);
+            rect.setAttribute('y', y);
+            rect.setAttribute('width', Math.max(...xs) + padding - x);
+            rect.setAttribute('height', Math.max(...ys) + padding - y);
+            rect.setAttribute('rx', padding);
+            rect.style.stroke = categoricalLineColor(index);
+            componentsLayer.appendChild(rect);
+        });
+}
+
 /**
  * Create SVG element for a state
+ * @param {Object} state
+ * @param {Object} fills - { stateId: color } from the current color mode
  */
-function createStateElement(state) {
+function createStateElement(state, fills = {}) {
     const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     g.classList.add('state-group');
     g.setAttribute('data-state-id', state.id);
@@ -80,7 +254,7 @@ function createStateElement(state) {
         g.classList.add('terminal');
     }
     
-    if (uiState.selectedStateId === state.id) {
+    if (uiState.selectedStateIds.includes(state.id)) {
         g.classList.add('selected');
     }
     
@@ -90,6 +264,9 @@ function createStateElement(state) {
     circle.setAttribute('cx', state.x);
     circle.setAttribute('cy', state.y);
     circle.setAttribute('r', STATE_RADIUS);
+    if (fills[state.id]) {
+        circle.style.fill = fills[state.id];
+    }
     g.appendChild(circle);
     
     // Label
@@ -100,15 +277,23 @@ function createStateElement(state) {
     label.textContent = state.label;
     g.appendChild(label);
     
-    // Value label (if solution exists)
-    if (uiState.solution && uiState.solution.values[state.id] !== undefined) {
-        const valueLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        valueLabel.classList.add('state-value-label');
-        valueLabel.setAttribute('x', state.x);
-        valueLabel.setAttribute('y', state.y + STATE_RADIUS + 15);
-        valueLabel.textContent = `V=${formatNumber(uiState.solution.values[state.id])}`;
-        g.appendChild(valueLabel);
+    // Value and chosen action under the state (if solution exists)
+    const annotations = [];
+    if (uiState.solution && uiState.display.showValues && getDisplayedValues()[state.id] !== undefined) {
+        annotations.push(`V=${formatNumber(getDisplayedValues()[state.id])}`);
+    }
+    if (uiState.solution && uiState.display.showActions) {
+        const description = describePolicyEntry(getDisplayedPolicy(), state.id);
+        if (description !== '--') annotations.push(`→ ${description}`);
     }
+    annotations.forEach((text, index) => {
+        const annotation = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        annotation.classList.add('state-value-label');
+        annotation.setAttribute('x', state.x);
+        annotation.setAttribute('y', state.y + STATE_RADIUS + 15 + index * 13);
+        annotation.textContent = text;
+        g.appendChild(annotation);
+    });
     
     // Event listeners
     g.addEventListener('mousedown', (e) => handleStateMouseDown(e, state.id));
@@ -168,9 +353,7 @@ function createEdgeElement(action, outcome, index, total) {
     path.classList.add('action-edge');
     
     // Check if this is the optimal action
-    if (uiState.solution && uiState.solution.policy[action.stateId] === action.id) {
-        path.classList.add('optimal');
-    }
+    highlightPolicyEdge(path, action);
     
     if (uiState.selectedActionId === action.id) {
         path.classList.add('selected');
@@ -215,6 +398,11 @@ function createEdgeElement(action, outcome, index, total) {
     if (action.outcomes.length > 1) {
         text += ` [${round(outcome.prob, 2)}]`;
     }
+    if (outcome.rewardDistribution) {
+        text += ` +${distributions.format(outcome.rewardDistribution)}`;
+    } else if (outcome.reward) {
+        text += ` ${outcome.reward > 0 ? '+' : ''}${round(outcome.reward, 2)}`;
+    }
     labelText.textContent = text;
     
     g.appendChild(labelBg);
@@ -248,9 +436,7 @@ function createSelfLoopEdge(action, state, index) {
     const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
     path.classList.add('action-edge');
     
-    if (uiState.solution && uiState.solution.policy[state.id] === action.id) {
-        path.classList.add('optimal');
-    }
+    highlightPolicyEdge(path, action);
     
     if (uiState.selectedActionId === action.id) {
         path.classList.add('selected');
@@ -287,10 +473,178 @@ function createSelfLoopEdge(action, state, index) {
     return g;
 }
 
+// === STATE COLORING ===
+
+/**
+ * Fills and legend for the current color mode
+ * @returns {Object} - { fills: { stateId: color }, legend: null | { title, domain }
+ *   (diverging scale) | { title, items: [{ label, color }] } (categories) }
+ */
+function getStateColoring() {
+    const { colorMode, colorScale } = uiState.display;
+    const states = model.getAllStates();
+    
+    if (colorMode === 'action') {
+        return getActionColoring(states);
+    }
+    
+    let data = null;
+    let title = '';
+    if (colorMode === 'value' && uiState.solution) {
+        data = getDisplayedValues();
+        title = 'V(s)';
+    } else if (colorMode === 'reward') {
+        data = {};
+        states.forEach(state => {
+            data[state.id] = state.reward;
+        });
+        title = 'R(s)';
+    } else if (colorMode === 'visitation' && uiState.visitation) {
+        data = uiState.visitation;
+        title = 'Visitation frequency';
+    }
+    
+    if (!data || states.length === 0) {
+        return { fills: {}, legend: null };
+    }
+    
+    const domain = divergingDomain(states.map(state => data[state.id]).filter(value => value !== undefined));
+    const fills = {};
+    states.forEach(state => {
+        if (data[state.id] !== undefined) {
+            fills[state.id] = divergingColor(data[state.id], domain, colorScale);
+        }
+    });
+    
+    return { fills, legend: { title, domain } };
+}
+
+/**
+ * One color per action label, so e.g. every "Up" state matches
+ * (randomized policies use their most likely action)
+ */
+function getActionColoring(states) {
+    if (!uiState.solution) {
+        return { fills: {}, legend: null };
+    }
+    
+    const policy = getDisplayedPolicy();
+    const labels = [];
+    const fills = {};
+    
+    states.forEach(state => {
+        const action = model.getActionById(mostLikelyAction(policy, state.id));
+        if (!action) return;
+        
+        if (!labels.includes(action.label)) labels.push(action.label);
+        fills[state.id] = categoricalColor(labels.indexOf(action.label));
+    });
+    
+    const items = labels.map((label, index) => ({ label, color: categoricalColor(index) }));
+    return { fills, legend: items.length > 0 ? { title: 'Action', items } : null };
+}
+
+function renderColorLegend(legend) {
+    const container = document.getElementById('color-legend');
+    container.innerHTML = '';
+    
+    if (!legend) {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'block';
+    
+    const title = document.createElement('div');
+    title.className = 'color-legend-title';
+    title.textContent = legend.title;
+    container.appendChild(title);
+    
+    if (legend.items) {
+        legend.items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'color-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'color-legend-swatch';
+            swatch.style.background = item.color;
+            row.appendChild(swatch);
+            row.appendChild(document.createTextNode(item.label));
+            container.appendChild(row);
+        });
+        return;
+    }
+    
+    // Gradient from the domain's low end through 0 to its high end
+    const { domain } = legend;
+    const scale = uiState.display.colorScale;
+    const stops = [domain.min, (domain.min + domain.max) / 2, domain.max]
+        .map(value => divergingColor(value, domain, scale));
+    
+    const bar = document.createElement('div');
+    bar.className = 'color-legend-bar';
+    bar.style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+    container.appendChild(bar);
+    
+    const ticks = document.createElement('div');
+    ticks.className = 'color-legend-ticks';
+    [domain.min, (domain.min + domain.max) / 2, domain.max].forEach(value => {
+        const tick = document.createElement('span');
+        tick.textContent = formatNumber(value);
+        ticks.appendChild(tick);
+    });
+    container.appendChild(ticks);
+}
+
+/**
+ * Change how states are colored and annotated
+ * @param {Object} options - Any of { colorMode, colorScale, showValues, showActions, showComponents }
+ */
+export function setDisplayOptions(options) {
+    if (options.colorScale !== undefined && !DIVERGING_SCALES[options.colorScale]) {
+        throw new Error(`Unknown color scale: ${options.colorScale}`);
+    }
+    Object.assign(uiState.display, options);
+    
+    // Keep the controls in sync when the mode is switched programmatically
+    document.getElementById('color-mode').value = uiState.display.colorMode;
+    document.getElementById('color-scale').value = uiState.display.colorScale;
+    document.getElementById('show-values').checked = uiState.display.showValues;
+    document.getElementById('show-actions').checked = uiState.display.showActions;
+    document.getElementById('show-components').checked = uiState.display.showComponents;
+    
+    render();
+}
+
+export function getDisplayOptions() {
+    return { ...uiState.display };
+}
+
+/**
+ * Visitation frequencies for the 'visitation' color mode (null clears them)
+ */
+export function setVisitation(frequencies) {
+    uiState.visitation = frequencies;
+    render();
+}
+
+/**
+ * Mark edges the displayed policy uses; randomized choices fade with probability
+ */
+function highlightPolicyEdge(path, action) {
+    if (!uiState.solution) return;
+    
+    const prob = getActionProbabilities(getDisplayedPolicy(), action.stateId)[action.id] || 0;
+    if (prob <= 0) return;
+    
+    path.classList.add('optimal');
+    if (prob < 1) {
+        path.style.strokeOpacity = 0.3 + 0.7 * prob;
+    }
+}
+
 // === EVENT HANDLERS ===
 
 function handleCanvasMouseDown(e) {
-    const point = getSVGPoint(svg, e);
+    const point = getCanvasPoint(e);
     
     // Check if clicking on a state
     const states = model.getAllStates();
@@ -300,21 +654,47 @@ function handleCanvasMouseDown(e) {
         }
     }
     
-    // Clicked on empty canvas
+    // Clicked on empty canvas: deselect and start panning
     clearSelection();
     render();
+    
+    const viewport = model.getViewport();
+    uiState.pan = { clientX: e.clientX, clientY: e.clientY, x: viewport.x, y: viewport.y };
+    svg.classList.add('panning');
 }
 
 function handleCanvasMouseMove(e) {
     if (uiState.draggedStateId) {
-        const point = getSVGPoint(svg, e);
+        const point = getCanvasPoint(e);
+        // Drawn on the next frame (handleModelChange)
         model.updateState(uiState.draggedStateId, { x: point.x, y: point.y });
-        render();
+    } else if (uiState.pan) {
+        // Client pixels map 1:1 to SVG user units (the canvas has no viewBox)
+        model.setViewport({
+            x: uiState.pan.x + e.clientX - uiState.pan.clientX,
+            y: uiState.pan.y + e.clientY - uiState.pan.clientY
+        });
+        applyViewport();
     }
 }
 
 function handleCanvasMouseUp(e) {
+    if (uiState.dragEdit) {
+        history.end(uiState.dragEdit);
+        uiState.dragEdit = null;
+    }
     uiState.draggedStateId = null;
+    uiState.pan = null;
+    svg.classList.remove('panning');
+}
+
+/**
+ * Zoom around the cursor so the point under it stays fixed
+ */
+function handleCanvasWheel(e) {
+    e.preventDefault();
+    const factor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+    zoomAt(getSVGPoint(svg, e), factor);
 }
 
 function handleCanvasClick(e) {
@@ -326,9 +706,13 @@ function handleStateMouseDown(e, stateId) {
     
     if (uiState.connectMode && uiState.connectFromStateId) {
         // Complete connection
-        const action = model.addAction(uiState.connectFromStateId, 'action', 0);
+        const fromStateId = uiState.connectFromStateId;
+        const action = history.perform('Add action', result => ({ actionIds: result ? [result.id] : [] }), () => {
+            const added = model.addAction(fromStateId, 'action', 0);
+            if (added) model.addOutcome(added.id, stateId, 1.0);
+            return added;
+        });
         if (action) {
-            model.addOutcome(action.id, stateId, 1.0);
             uiState.connectMode = false;
             uiState.connectFromStateId = null;
             selectAction(action.id);
@@ -338,13 +722,18 @@ function handleStateMouseDown(e, stateId) {
     }
     
     uiState.draggedStateId = stateId;
+    uiState.dragEdit = history.begin(`Move "${model.getStateById(stateId).label}"`, { stateIds: [stateId] });
 }
 
 function handleStateClick(e, stateId) {
     e.stopPropagation();
     
     if (!uiState.draggedStateId) {
-        selectState(stateId);
+        if (e.shiftKey) {
+            toggleStateSelection(stateId);
+        } else {
+            selectState(stateId);
+        }
         render();
     }
 }
@@ -356,15 +745,7 @@ function handleActionClick(actionId) {
 
 function handleKeyDown(e) {
     if (e.key === 'Delete' || e.key === 'Backspace') {
-        if (uiState.selectedStateId) {
-            model.removeState(uiState.selectedStateId);
-            clearSelection();
-            render();
-        } else if (uiState.selectedActionId) {
-            model.removeAction(uiState.selectedActionId);
-            clearSelection();
-            render();
-        }
+        deleteSelected();
     } else if (e.key === 'Escape') {
         clearSelection();
         uiState.connectMode = false;
@@ -373,20 +754,226 @@ function handleKeyDown(e) {
     }
 }
 
+// === VIEWPORT ===
+
+/**
+ * Apply the model's pan/zoom to the layer holding the graph
+ */
+function applyViewport() {
+    const { x, y, scale } = model.getViewport();
+    viewportLayer.setAttribute('transform', `translate(${x}, ${y}) scale(${scale})`);
+}
+
+/**
+ * Convert a point in SVG (screen) coordinates to graph coordinates
+ */
+function toWorld(point) {
+    const { x, y, scale } = model.getViewport();
+    return {
+        x: (point.x - x) / scale,
+        y: (point.y - y) / scale
+    };
+}
+
+/**
+ * Graph coordinates of a mouse event, respecting pan and zoom
+ */
+function getCanvasPoint(e) {
+    return toWorld(getSVGPoint(svg, e));
+}
+
+/**
+ * Scale the view by a factor, keeping a screen point fixed
+ */
+function zoomAt(screenPoint, factor) {
+    const viewport = model.getViewport();
+    const scale = clamp(viewport.scale * factor, MIN_SCALE, MAX_SCALE);
+    const world = toWorld(screenPoint);
+    
+    model.setViewport({
+        x: screenPoint.x - world.x * scale,
+        y: screenPoint.y - world.y * scale,
+        scale
+    });
+    applyViewport();
+}
+
+/**
+ * Zoom in or out around the center of the canvas
+ */
+export function zoomBy(factor) {
+    const rect = svg.getBoundingClientRect();
+    zoomAt({ x: rect.width / 2, y: rect.height / 2 }, factor);
+}
+
+export function zoomIn() {
+    zoomBy(ZOOM_STEP);
+}
+
+export function zoomOut() {
+    zoomBy(1 / ZOOM_STEP);
+}
+
+/**
+ * Fit the given states (default: all) into the canvas
+ * Never zooms in past 100% so small graphs keep their natural size.
+ * @returns {boolean} - False if there was nothing to fit
+ */
+export function zoomToFit(stateIds = null) {
+    const states = stateIds
+        ? stateIds.map(id => model.getStateById(id)).filter(Boolean)
+        : model.getAllStates();
+    if (states.length === 0) return false;
+    
+    const minX = Math.min(...states.map(s => s.x)) - STATE_RADIUS;
+    const maxX = Math.max(...states.map(s => s.x)) + STATE_RADIUS;
+    const minY = Math.min(...states.map(s => s.y)) - STATE_RADIUS;
+    const maxY = Math.max(...states.map(s => s.y)) + STATE_RADIUS + 20; // value label
+    
+    const rect = svg.getBoundingClientRect();
+    const width = Math.max(1, rect.width - 2 * FIT_PADDING);
+    const height = Math.max(1, rect.height - 2 * FIT_PADDING);
+    const scale = clamp(
+        Math.min(width / (maxX - minX), height / (maxY - minY), 1),
+        MIN_SCALE,
+        MAX_SCALE
+    );
+    
+    model.setViewport({
+        x: rect.width / 2 - (minX + maxX) / 2 * scale,
+        y: rect.height / 2 - (minY + maxY) / 2 * scale,
+        scale
+    });
+    applyViewport();
+    return true;
+}
+
+/**
+ * Fit the selected state, or the selected action's source and targets
+ * @returns {boolean} - False if nothing is selected
+ */
+export function zoomToSelection() {
+    const stateIds = getSelectedStateIds();
+    if (stateIds.length > 0) {
+        return zoomToFit(stateIds);
+    }
+    
+    if (uiState.selectedActionId) {
+        const action = model.getActionById(uiState.selectedActionId);
+        if (!action) return false;
+        return zoomToFit([action.stateId, ...action.outcomes.map(o => o.toStateId)]);
+    }
+    
+    return false;
+}
+
+// === LAYOUT ANIMATION ===
+
+/**
+ * Move states to new positions, easing over `duration` ms
+ * Falls back to an immediate move where requestAnimationFrame is unavailable.
+ * @param {Object} positions - { stateId: { x, y } } (e.g. from layout.computeLayout)
+ * @param {Function} onDone - Called once every state has arrived
+ */
+export function animateLayout(positions, duration = 500, onDone = null) {
+    if (uiState.layoutAnimation !== null) {
+        cancelAnimationFrame(uiState.layoutAnimation);
+        uiState.layoutAnimation = null;
+        history.end(uiState.layoutEdit);
+    }
+    
+    const moves = [];
+    for (const stateId in positions) {
+        const state = model.getStateById(stateId);
+        if (!state) continue;
+        const target = positions[stateId];
+        // States without coordinates appear at their target
+        const from = isFinite(state.x) && isFinite(state.y) ? { x: state.x, y: state.y } : target;
+        moves.push({ stateId, from, to: target });
+    }
+    
+    uiState.layoutEdit = history.begin('Arrange states', { stateIds: moves.map(move => move.stateId) });
+    
+    const finish = () => {
+        moves.forEach(move => model.updateState(move.stateId, { x: move.to.x, y: move.to.y }));
+        history.end(uiState.layoutEdit);
+        uiState.layoutAnimation = null;
+        render();
+        if (onDone) onDone();
+    };
+    
+    if (duration <= 0 || typeof requestAnimationFrame !== 'function') {
+        finish();
+        return;
+    }
+    
+    let startTime = null;
+    const frame = now => {
+        if (startTime === null) startTime = now;
+        const t = clamp((now - startTime) / duration, 0, 1);
+        if (t >= 1) {
+            finish();
+            return;
+        }
+        
+        // Ease in-out (cubic)
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+        moves.forEach(move => model.updateState(move.stateId, {
+            x: move.from.x + (move.to.x - move.from.x) * eased,
+            y: move.from.y + (move.to.y - move.from.y) * eased
+        }));
+        uiState.layoutAnimation = requestAnimationFrame(frame);
+    };
+    
+    uiState.layoutAnimation = requestAnimationFrame(frame);
+}
+
 // === SELECTION ===
 
 function selectState(stateId) {
     uiState.selectedStateId = stateId;
+    uiState.selectedStateIds = [stateId];
+    uiState.selectedActionId = null;
+}
+
+/**
+ * Shift-click: add a state to the selection, or remove it if already selected
+ */
+function toggleStateSelection(stateId) {
+    const ids = uiState.selectedStateIds;
     uiState.selectedActionId = null;
+    
+    if (ids.includes(stateId)) {
+        uiState.selectedStateIds = ids.filter(id => id !== stateId);
+        uiState.selectedStateId = uiState.selectedStateIds.length > 0
+            ? uiState.selectedStateIds[uiState.selectedStateIds.length - 1]
+            : null;
+    } else {
+        uiState.selectedStateIds = [...ids, stateId];
+        uiState.selectedStateId = stateId;
+    }
 }
 
 function selectAction(actionId) {
     uiState.selectedActionId = actionId;
     uiState.selectedStateId = null;
+    uiState.selectedStateIds = [];
+}
+
+/**
+ * Select a set of states (the first is inspected), e.g. from the structure panel
+ */
+export function selectStates(stateIds) {
+    const ids = stateIds.filter(id => model.getStateById(id));
+    uiState.selectedStateIds = ids;
+    uiState.selectedStateId = ids.length > 0 ? ids[0] : null;
+    uiState.selectedActionId = null;
+    render();
 }
 
 export function clearSelection() {
     uiState.selectedStateId = null;
+    uiState.selectedStateIds = [];
     uiState.selectedActionId = null;
 }
 
@@ -394,6 +981,13 @@ export function getSelectedStateId() {
     return uiState.selectedStateId;
 }
 
+/**
+ * All selected states (one, or several after shift-clicking)
+ */
+export function getSelectedStateIds() {
+    return uiState.selectedStateIds.filter(id => model.getStateById(id));
+}
+
 export function getSelectedActionId() {
     return uiState.selectedActionId;
 }
@@ -427,7 +1021,13 @@ function showStateInspector(stateId) {
     
     // Set values
     document.getElementById('state-label').value = state.label;
-    document.getElementById('state-reward').value = state.reward;
+    const rewardInput = document.getElementById('state-reward');
+    if (document.activeElement !== rewardInput) {
+        rewardInput.value = distributions.format(model.getReward(state));
+        rewardInput.classList.remove('invalid');
+        rewardInput.title = '';
+    }
+    showRewardHint(state);
     document.getElementById('state-terminal').checked = state.terminal;
     
     // Actions list
@@ -450,18 +1050,28 @@ function showStateInspector(stateId) {
         });
     }
     
+    renderCustomPolicyEditor(stateId);
+    
     // Solution info
     const solutionDiv = document.getElementById('state-solution');
-    if (uiState.solution && uiState.solution.values[stateId] !== undefined) {
+    if (uiState.solution && getDisplayedValues()[stateId] !== undefined) {
         solutionDiv.style.display = 'block';
-        document.getElementById('state-value').textContent = formatNumber(uiState.solution.values[stateId]);
+        document.getElementById('state-value').textContent = formatNumber(getDisplayedValues()[stateId]);
         
-        const policyActionId = uiState.solution.policy[stateId];
-        if (policyActionId) {
-            const policyAction = model.getActionById(policyActionId);
-            document.getElementById('state-policy').textContent = policyAction ? policyAction.label : '--';
+        document.getElementById('state-policy').textContent =
+            describePolicyEntry(getDisplayedPolicy(), stateId);
+        
+        // LP solutions carry discounted state-action occupancy measures
+        const occupancyRow = document.getElementById('state-occupancy-row');
+        if (uiState.solution.occupancy && uiState.solution.occupancy[stateId]) {
+            occupancyRow.style.display = 'block';
+            const stateOccupancy = uiState.solution.occupancy[stateId];
+            const parts = model.getActionsFromState(stateId).map(action =>
+                `${action.label}: ${formatNumber(stateOccupancy[action.id] || 0, 3)}`
+            );
+            document.getElementById('state-occupancy').textContent = parts.join(', ') || '--';
         } else {
-            document.getElementById('state-policy').textContent = '--';
+            occupancyRow.style.display = 'none';
         }
     } else {
         solutionDiv.style.display = 'none';
@@ -469,25 +1079,124 @@ function showStateInspector(stateId) {
     
     // Wire up event listeners (remove old ones first)
     const labelInput = document.getElementById('state-label');
-    const rewardInput = document.getElementById('state-reward');
     const terminalInput = document.getElementById('state-terminal');
     
     labelInput.oninput = () => {
-        model.updateState(stateId, { label: labelInput.value });
+        history.perform('Rename state', { stateIds: [stateId] },
+            () => model.updateState(stateId, { label: labelInput.value }), { key: `state-label:${stateId}` });
         render();
     };
     
     rewardInput.oninput = () => {
-        model.updateState(stateId, { reward: parseFloat(rewardInput.value) || 0 });
+        const reward = parseRewardInput(rewardInput);
+        if (reward === null) return;
+        history.perform('Edit state reward', { stateIds: [stateId] },
+            () => model.updateState(stateId, { reward }), { key: `state-reward:${stateId}` });
+        showRewardHint(model.getStateById(stateId));
         render();
     };
     
     terminalInput.onchange = () => {
-        model.updateState(stateId, { terminal: terminalInput.checked });
+        history.perform(terminalInput.checked ? 'Make terminal' : 'Make non-terminal', { stateIds: [stateId] },
+            () => model.updateState(stateId, { terminal: terminalInput.checked }));
         render();
     };
 }
 
+/**
+ * Mean and standard deviation under the state reward field when the reward is random
+ */
+function showRewardHint(state) {
+    const hint = document.getElementById('state-reward-hint');
+    const reward = model.getReward(state);
+    
+    if (distributions.isConstant(reward)) {
+        hint.textContent = '';
+        return;
+    }
+    hint.textContent = `Mean ${formatNumber(distributions.mean(reward))}, ` +
+        `std ${formatNumber(Math.sqrt(distributions.variance(reward)))}; solvers use the mean`;
+}
+
+/**
+ * Parse a reward text field, flagging it as invalid (with the reason as its
+ * tooltip) instead of throwing
+ * @returns {number|Object|null} - The reward, or null if the text is invalid
+ */
+function parseRewardInput(input) {
+    try {
+        const reward = distributions.parse(input.value);
+        input.classList.remove('invalid');
+        input.title = '';
+        return reward;
+    } catch (error) {
+        input.classList.add('invalid');
+        input.title = error.message;
+        return null;
+    }
+}
+
+/**
+ * Edit the hand-written behaviour policy's action weights for a state
+ */
+function renderCustomPolicyEditor(stateId) {
+    const section = document.getElementById('state-custom-policy');
+    const state = model.getStateById(stateId);
+    const actions = model.getActionsFromState(stateId);
+    
+    if (!state || state.terminal || actions.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+    
+    const list = document.getElementById('custom-policy-list');
+    
+    // Don't rebuild under the user's cursor
+    if (list.contains(document.activeElement)) return;
+    
+    list.innerHTML = '';
+    const distribution = model.getCustomPolicyEntry(stateId);
+    
+    actions.forEach(action => {
+        const div = document.createElement('div');
+        div.className = 'policy-item';
+        
+        const label = document.createElement('span');
+        label.textContent = action.label;
+        
+        const probInput = document.createElement('input');
+        probInput.type = 'number';
+        probInput.min = '0';
+        probInput.max = '1';
+        probInput.step = '0.05';
+        probInput.value = round(distribution[action.id], 4);
+        probInput.dataset.actionId = action.id;
+        
+        // Store every action's weight so untouched actions keep their share
+        probInput.oninput = () => {
+            const weights = {};
+            list.querySelectorAll('input').forEach(input => {
+                weights[input.dataset.actionId] = parseFloat(input.value) || 0;
+            });
+            history.perform('Edit custom policy', { stateIds: [stateId] },
+                () => model.setCustomPolicyEntry(stateId, weights), { key: `policy:${stateId}` });
+        };
+        
+        div.appendChild(label);
+        div.appendChild(probInput);
+        list.appendChild(div);
+    });
+    
+    const resetBtn = document.getElementById('btn-reset-custom-entry');
+    resetBtn.style.display = model.hasCustomPolicyEntry(stateId) ? 'inline-block' : 'none';
+    resetBtn.onclick = () => {
+        history.perform('Reset custom policy', { stateIds: [stateId] },
+            () => model.setCustomPolicyEntry(stateId, null));
+        renderCustomPolicyEditor(stateId);
+    };
+}
+
 function showActionInspector(actionId) {
     const action = model.getActionById(actionId);
     if (!action) return;
@@ -504,15 +1213,30 @@ function showActionInspector(actionId) {
     const costInput = document.getElementById('action-cost');
     
     labelInput.oninput = () => {
-        model.updateAction(actionId, { label: labelInput.value });
+        history.perform('Rename action', { actionIds: [actionId] },
+            () => model.updateAction(actionId, { label: labelInput.value }), { key: `action-label:${actionId}` });
         render();
     };
     
     costInput.oninput = () => {
-        model.updateAction(actionId, { cost: parseFloat(costInput.value) || 0 });
+        history.perform('Edit action cost', { actionIds: [actionId] },
+            () => model.updateAction(actionId, { cost: parseFloat(costInput.value) || 0 }), { key: `action-cost:${actionId}` });
         render();
     };
     
+    // Secondary cost dimensions (used by budget constraints)
+    renderActionCostsList(actionId);
+    
+    document.getElementById('btn-add-cost').onclick = () => {
+        const costs = { ...action.costs };
+        const dimension = model.getCostDimensions().find(d => costs[d] === undefined) ||
+            `cost ${Object.keys(costs).length + 1}`;
+        costs[dimension] = 0;
+        history.perform('Add cost dimension', { actionIds: [actionId] }, () => model.updateAction(actionId, { costs }));
+        renderActionCostsList(actionId);
+        renderConstraintsList();
+    };
+    
     // Outcomes
     renderOutcomesList(actionId);
     
@@ -520,39 +1244,169 @@ function showActionInspector(actionId) {
     document.getElementById('btn-add-outcome').onclick = () => {
         const states = model.getAllStates();
         if (states.length > 0) {
-            model.addOutcome(actionId, states[0].id, 0);
+            history.perform('Add outcome', { actionIds: [actionId] }, () => model.addOutcome(actionId, states[0].id, 0));
             renderOutcomesList(actionId);
             render();
         }
     };
 }
 
-function renderOutcomesList(actionId) {
+function renderActionCostsList(actionId) {
     const action = model.getActionById(actionId);
     if (!action) return;
     
-    const list = document.getElementById('outcomes-list');
+    const list = document.getElementById('action-costs-list');
     list.innerHTML = '';
     
-    const allStates = model.getAllStates();
-    
-    action.outcomes.forEach(outcome => {
+    Object.keys(action.costs || {}).forEach(dimension => {
         const div = document.createElement('div');
         div.className = 'outcome-item';
         
-        // State dropdown
-        const select = document.createElement('select');
-        allStates.forEach(state => {
-            const option = document.createElement('option');
-            option.value = state.id;
-            option.textContent = state.label;
-            if (state.id === outcome.toStateId) option.selected = true;
-            select.appendChild(option);
-        });
+        // Dimension name
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = dimension;
+        
+        nameInput.onchange = () => {
+            const name = nameInput.value.trim();
+            if (!name || name === dimension || action.costs[name] !== undefined) {
+                nameInput.value = dimension;
+                return;
+            }
+            
+            const costs = { ...action.costs, [name]: action.costs[dimension] };
+            delete costs[dimension];
+            history.perform('Rename cost dimension', { actionIds: [actionId] }, () => model.updateAction(actionId, { costs }));
+            renderActionCostsList(actionId);
+            renderConstraintsList();
+        };
+        
+        // Cost value
+        const valueInput = document.createElement('input');
+        valueInput.type = 'number';
+        valueInput.step = '0.1';
+        valueInput.value = action.costs[dimension];
+        
+        valueInput.oninput = () => {
+            const costs = { ...action.costs, [dimension]: parseFloat(valueInput.value) || 0 };
+            history.perform('Edit cost', { actionIds: [actionId] },
+                () => model.updateAction(actionId, { costs }), { key: `action-costs:${actionId}:${dimension}` });
+        };
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '×';
+        removeBtn.onclick = () => {
+            const costs = { ...action.costs };
+            delete costs[dimension];
+            history.perform('Remove cost dimension', { actionIds: [actionId] }, () => model.updateAction(actionId, { costs }));
+            renderActionCostsList(actionId);
+            renderConstraintsList();
+        };
+        
+        div.appendChild(nameInput);
+        div.appendChild(valueInput);
+        div.appendChild(removeBtn);
+        list.appendChild(div);
+    });
+}
+
+/**
+ * Render budget constraints in the settings panel
+ */
+export function renderConstraintsList() {
+    const list = document.getElementById('constraints-list');
+    
+    // Don't rebuild under the user's cursor
+    if (list.contains(document.activeElement)) return;
+    
+    list.innerHTML = '';
+    
+    const dimensions = model.getCostDimensions();
+    
+    model.getConstraints().forEach(constraint => {
+        const div = document.createElement('div');
+        div.className = 'outcome-item';
+        
+        // Dimension dropdown
+        const select = document.createElement('select');
+        dimensions.forEach(dimension => {
+            const option = document.createElement('option');
+            option.value = dimension;
+            option.textContent = dimension;
+            if (dimension === constraint.dimension) option.selected = true;
+            select.appendChild(option);
+        });
         
         select.onchange = () => {
-            model.removeOutcome(actionId, outcome.toStateId);
-            model.addOutcome(actionId, select.value, outcome.prob);
+            const taken = model.getConstraints().some(c => c.dimension === select.value);
+            if (!taken) {
+                history.perform('Change constraint', { constraints: true }, () => {
+                    model.removeConstraint(constraint.dimension);
+                    model.setConstraint(select.value, constraint.budget);
+                });
+            }
+            select.blur();
+            renderConstraintsList();
+        };
+        
+        // Budget input
+        const budgetInput = document.createElement('input');
+        budgetInput.type = 'number';
+        budgetInput.step = '1';
+        budgetInput.value = constraint.budget;
+        budgetInput.title = 'Maximum expected discounted cost from the start state';
+        
+        budgetInput.oninput = () => {
+            history.perform('Edit budget', { constraints: true },
+                () => model.setConstraint(constraint.dimension, parseFloat(budgetInput.value) || 0),
+                { key: `budget:${constraint.dimension}` });
+        };
+        
+        // Remove button
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = '×';
+        removeBtn.onclick = () => {
+            history.perform('Remove constraint', { constraints: true }, () => model.removeConstraint(constraint.dimension));
+            removeBtn.blur();
+            renderConstraintsList();
+        };
+        
+        div.appendChild(select);
+        div.appendChild(budgetInput);
+        div.appendChild(removeBtn);
+        list.appendChild(div);
+    });
+}
+
+function renderOutcomesList(actionId) {
+    const action = model.getActionById(actionId);
+    if (!action) return;
+    
+    const list = document.getElementById('outcomes-list');
+    list.innerHTML = '';
+    
+    const allStates = model.getAllStates();
+    
+    action.outcomes.forEach(outcome => {
+        const div = document.createElement('div');
+        div.className = 'outcome-item';
+        
+        // State dropdown
+        const select = document.createElement('select');
+        allStates.forEach(state => {
+            const option = document.createElement('option');
+            option.value = state.id;
+            option.textContent = state.label;
+            if (state.id === outcome.toStateId) option.selected = true;
+            select.appendChild(option);
+        });
+        
+        select.onchange = () => {
+            history.perform('Change outcome target', { actionIds: [actionId] }, () => {
+                model.removeOutcome(actionId, outcome.toStateId);
+                model.addOutcome(actionId, select.value, outcome.prob, model.getReward(outcome));
+            });
             renderOutcomesList(actionId);
             render();
         };
@@ -566,21 +1420,41 @@ function renderOutcomesList(actionId) {
         probInput.value = outcome.prob;
         
         probInput.oninput = () => {
-            model.updateOutcome(actionId, outcome.toStateId, parseFloat(probInput.value) || 0);
+            history.perform('Edit probability', { actionIds: [actionId] },
+                () => model.updateOutcome(actionId, outcome.toStateId, parseFloat(probInput.value) || 0),
+                { key: `outcome-prob:${actionId}:${outcome.toStateId}` });
             renderOutcomesList(actionId);
         };
         
+        // Transition reward r(s, a, s'): a number or a distribution
+        const rewardInput = document.createElement('input');
+        rewardInput.type = 'text';
+        rewardInput.className = 'outcome-reward';
+        rewardInput.placeholder = 'reward';
+        rewardInput.value = distributions.format(model.getReward(outcome));
+        rewardInput.title = "Transition reward r(s, a, s')";
+        
+        rewardInput.onchange = () => {
+            const reward = parseRewardInput(rewardInput);
+            if (reward === null) return;
+            rewardInput.title = "Transition reward r(s, a, s')";
+            history.perform('Edit outcome reward', { actionIds: [actionId] },
+                () => model.updateOutcome(actionId, outcome.toStateId, outcome.prob, reward));
+            render();
+        };
+        
         // Remove button
         const removeBtn = document.createElement('button');
         removeBtn.textContent = '×';
         removeBtn.onclick = () => {
-            model.removeOutcome(actionId, outcome.toStateId);
+            history.perform('Remove outcome', { actionIds: [actionId] }, () => model.removeOutcome(actionId, outcome.toStateId));
             renderOutcomesList(actionId);
             render();
         };
         
         div.appendChild(select);
         div.appendChild(probInput);
+        div.appendChild(rewardInput);
         div.appendChild(removeBtn);
         list.appendChild(div);
     });
@@ -621,10 +1495,10 @@ function updateStartStateDropdown() {
 
 export function addStateAtCenter() {
     const rect = svg.getBoundingClientRect();
-    const centerX = rect.width / 2;
-    const centerY = rect.height / 2;
+    const center = toWorld({ x: rect.width / 2, y: rect.height / 2 });
     
-    const state = model.addState(centerX, centerY, `State ${model.getAllStates().length + 1}`);
+    const state = history.perform('Add state', result => ({ stateIds: result ? [result.id] : [] }),
+        () => model.addState(center.x, center.y, `State ${model.getAllStates().length + 1}`));
     selectState(state.id);
     render();
 }
@@ -640,21 +1514,30 @@ export function enterConnectMode() {
 }
 
 export function deleteSelected() {
-    if (uiState.selectedStateId) {
-        model.removeState(uiState.selectedStateId);
-        clearSelection();
-        render();
-    } else if (uiState.selectedActionId) {
-        model.removeAction(uiState.selectedActionId);
-        clearSelection();
-        render();
+    const state = model.getStateById(uiState.selectedStateId);
+    const action = model.getActionById(uiState.selectedActionId);
+    
+    if (state) {
+        history.perform(`Delete state "${state.label}"`, model.removalScope([state.id]),
+            () => model.removeState(state.id));
+    } else if (action) {
+        history.perform(`Delete action "${action.label}"`, model.removalScope([], [action.id]),
+            () => model.removeAction(action.id));
     }
+    clearSelection();
+    render();
 }
 
 // === SOLUTION DISPLAY ===
 
+/**
+ * Show a solution on the canvas and in the solution inspector
+ * @param {Object} solution - Any solver result
+ */
 export function setSolution(solution) {
     uiState.solution = solution;
+    uiState.solutionStep = 0;
+    uiState.visitation = null;
     render();
     
     // Show solution inspector
@@ -664,6 +1547,243 @@ export function setSolution(solution) {
     document.getElementById('sol-iterations').textContent = solution.iterations;
     document.getElementById('sol-converged').textContent = solution.converged ? 'Yes' : 'No';
     
+    // Policy evaluation accuracy (policy iteration reports how V^π was computed)
+    const residualRow = document.getElementById('sol-residual-row');
+    if (solution.residual !== undefined) {
+        residualRow.style.display = 'block';
+        document.getElementById('sol-residual').textContent =
+            `${solution.residual.toExponential(2)} (${solution.evaluation})`;
+    } else {
+        residualRow.style.display = 'none';
+    }
+    
+    // Decision epoch selector for time-indexed (finite-horizon) solutions
+    const stepControl = document.getElementById('sol-step-control');
+    const stepInput = document.getElementById('sol-step');
+    if (solution.policies) {
+        stepControl.style.display = 'block';
+        stepInput.max = solution.policies.length - 1;
+        stepInput.value = 0;
+        stepInput.oninput = () => {
+            const step = parseInt(stepInput.value) || 0;
+            uiState.solutionStep = clamp(step, 0, solution.policies.length - 1);
+            render();
+            renderValueTable();
+        };
+    } else {
+        stepControl.style.display = 'none';
+    }
+    
+    renderValueTable();
+    renderRiskComparison(solution);
+    renderConstraintTable(solution.constraints);
+    renderConvergence(solution);
+    
+    document.getElementById('btn-copy-policy').onclick = () => {
+        history.perform('Copy policy to custom policy', { customPolicy: true },
+            () => model.setCustomPolicy(toStochastic(getDisplayedPolicy())));
+        render();
+        setStatus('Copied policy to the custom policy editor');
+    };
+}
+
+/**
+ * Residual and policy-change traces of an iterative solution, with the
+ * γ-contraction estimate of how many sweeps value iteration needs
+ */
+function renderConvergence(solution) {
+    const section = document.getElementById('sol-convergence');
+    if (!solution.residuals || solution.residuals.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+    
+    const { gamma, epsilon } = model.getSettings();
+    const residuals = solution.residuals;
+    const isValueIteration = solution.evaluation === undefined;
+    
+    lineChart(document.getElementById('sol-residual-chart'), [
+        { label: isValueIteration ? 'Max Bellman residual' : 'Evaluation residual', values: residuals },
+        { label: 'ε', values: residuals.map(() => epsilon), color: '#f44336' }
+    ], { xLabel: 'Iteration', logScale: true });
+    
+    lineChart(document.getElementById('sol-changes-chart'), [
+        { label: 'Policy changes', values: solution.policyChanges, color: '#4CAF50' }
+    ], { xLabel: 'Iteration' });
+    
+    const notes = [];
+    
+    // Last iteration that changed the policy; later sweeps only refine values
+    let lastChange = 0;
+    solution.policyChanges.forEach((changes, index) => {
+        if (changes > 0) lastChange = index + 1;
+    });
+    if (lastChange > 0 && lastChange < solution.iterations) {
+        notes.push(`The policy stopped changing after iteration ${lastChange} of ${solution.iterations}.`);
+    }
+    
+    // Each sweep shrinks the residual by at least a factor γ: r_k ≤ γ^(k-1) r_1
+    if (isValueIteration && gamma > 0 && gamma < 1 && residuals[0] > epsilon) {
+        const bound = 1 + Math.ceil(Math.log(epsilon / residuals[0]) / Math.log(gamma));
+        notes.push(`With γ = ${gamma}, reaching ε = ${epsilon} from a first residual of ` +
+            `${formatNumber(residuals[0], 3)} takes at most ${bound} sweeps.`);
+    }
+    
+    document.getElementById('sol-convergence-note').textContent = notes.join(' ');
+}
+
+/**
+ * Compare a risk-sensitive solution with the risk-neutral policy: both policies'
+ * risk measure and expected return from the start state, and the states where
+ * their actions differ
+ */
+function renderRiskComparison(solution) {
+    const section = document.getElementById('sol-risk');
+    if (!solution.comparison) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+    
+    const comparison = solution.comparison;
+    const measure = solution.risk.measure === 'cvar'
+        ? `CVaR (α = ${solution.risk.alpha})`
+        : `Certainty equiv. (β = ${solution.risk.beta})`;
+    
+    // Start-state summary
+    const startStateId = model.getSettings().startStateId;
+    const summary = document.getElementById('risk-summary-table');
+    summary.innerHTML = '';
+    if (startStateId && solution.values[startStateId] !== undefined) {
+        summary.appendChild(buildTable(['From ' + model.getStateById(startStateId).label, 'Risk-averse', 'Risk-neutral'], [
+            [measure, formatNumber(solution.values[startStateId]), formatNumber(comparison.values[startStateId])],
+            ['Expected return', formatNumber(solution.expectedValues[startStateId]),
+                formatNumber(comparison.expectedValues[startStateId])]
+        ]));
+    }
+    
+    // Decision states, with differing choices highlighted
+    const decisionStates = model.getAllStates().filter(state =>
+        solution.policy[state.id] !== undefined || comparison.policy[state.id] !== undefined
+    );
+    const policyTable = buildTable(['State', 'Risk-averse', 'Risk-neutral'], decisionStates.map(state => [
+        state.label,
+        describePolicyEntry(solution.policy, state.id),
+        describePolicyEntry(comparison.policy, state.id)
+    ]));
+    policyTable.querySelectorAll('tbody tr').forEach((row, index) => {
+        if (comparison.changedStates.includes(decisionStates[index].id)) {
+            row.classList.add('changed');
+        }
+    });
+    const policyContainer = document.getElementById('risk-policy-table');
+    policyContainer.innerHTML = '';
+    policyContainer.appendChild(policyTable);
+    
+    const notes = [];
+    const changed = comparison.changedStates.length;
+    notes.push(changed === 0
+        ? 'Both policies choose the same actions.'
+        : `${changed} of ${decisionStates.length} decision states choose differently (highlighted).`);
+    if (solution.risk.measure === 'cvar') {
+        notes.push('The optimal CVaR policy adjusts its level after each outcome; ' +
+            'the table shows each state\'s action at α, which Simulate follows.');
+    }
+    document.getElementById('risk-note').textContent = notes.join(' ');
+}
+
+/**
+ * A value-table styled table from a header row and rows of cell text
+ */
+function buildTable(headers, rows) {
+    const container = document.createElement('div');
+    container.className = 'value-table';
+    
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    headers.forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        headerRow.appendChild(cell);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+        const row = document.createElement('tr');
+        cells.forEach(content => {
+            const cell = document.createElement('td');
+            if (content instanceof Node) {
+                cell.appendChild(content);
+            } else {
+                cell.textContent = content;
+            }
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+    
+    return container;
+}
+
+/**
+ * Show expected cost and slack for each budget constraint of a constrained solution
+ */
+function renderConstraintTable(constraints) {
+    const section = document.getElementById('sol-constraints');
+    if (!constraints || constraints.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = 'block';
+    
+    const container = document.getElementById('constraint-table');
+    container.innerHTML = '';
+    container.className = 'value-table';
+    
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>Cost</th><th>Expected</th><th>Budget</th><th>Slack</th></tr>';
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    constraints.forEach(constraint => {
+        const row = document.createElement('tr');
+        [
+            constraint.dimension,
+            formatNumber(constraint.expected),
+            formatNumber(constraint.budget),
+            formatNumber(constraint.slack)
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        
+        // Binding constraints have (numerically) zero slack
+        if (Math.abs(constraint.slack) < 1e-6) {
+            row.classList.add('binding');
+        }
+        
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+/**
+ * Render the state/value/policy table for the displayed decision epoch
+ */
+function renderValueTable() {
+    const values = getDisplayedValues();
+    const policy = getDisplayedPolicy();
+    const stateOccupancy = uiState.solution.stateOccupancy;
+    
     // Value table
     const valueTable = document.getElementById('value-table');
     valueTable.innerHTML = '';
@@ -671,7 +1791,8 @@ export function setSolution(solution) {
     
     const table = document.createElement('table');
     const thead = document.createElement('thead');
-    thead.innerHTML = '<tr><th>State</th><th>Value</th><th>Policy</th></tr>';
+    thead.innerHTML = '<tr><th>State</th><th>Value</th><th>Policy</th>' +
+        (stateOccupancy ? '<th>Occupancy</th>' : '') + '</tr>';
     table.appendChild(thead);
     
     const tbody = document.createElement('tbody');
@@ -683,32 +1804,593 @@ export function setSolution(solution) {
         stateCell.textContent = state.label;
         
         const valueCell = document.createElement('td');
-        valueCell.textContent = formatNumber(solution.values[state.id]);
+        valueCell.textContent = formatNumber(values[state.id]);
         
         const policyCell = document.createElement('td');
-        const policyActionId = solution.policy[state.id];
-        if (policyActionId) {
-            const action = model.getActionById(policyActionId);
-            policyCell.textContent = action ? action.label : '--';
-        } else {
-            policyCell.textContent = '--';
-        }
+        policyCell.textContent = describePolicyEntry(policy, state.id);
         
         row.appendChild(stateCell);
         row.appendChild(valueCell);
         row.appendChild(policyCell);
+        
+        if (stateOccupancy) {
+            const occupancyCell = document.createElement('td');
+            occupancyCell.textContent = formatNumber(stateOccupancy[state.id], 3);
+            row.appendChild(occupancyCell);
+        }
+        
         tbody.appendChild(row);
     });
     table.appendChild(tbody);
     valueTable.appendChild(table);
 }
 
+/**
+ * Values for the displayed decision epoch (finite-horizon solutions are time-indexed)
+ */
+function getDisplayedValues() {
+    const solution = uiState.solution;
+    if (solution.valuesByStep) {
+        return solution.valuesByStep[uiState.solutionStep];
+    }
+    return solution.values;
+}
+
+/**
+ * Policy for the displayed decision epoch
+ */
+function getDisplayedPolicy() {
+    const solution = uiState.solution;
+    if (solution.policies) {
+        return solution.policies[uiState.solutionStep] || {};
+    }
+    return solution.policy;
+}
+
 export function clearSolution() {
     uiState.solution = null;
+    uiState.solutionStep = 0;
+    uiState.visitation = null;
     document.getElementById('solution-inspector').style.display = 'none';
     render();
 }
 
+/**
+ * Step-through value iteration readout
+ * @param {string|null} text - e.g. 'Sweep 3: residual 1.2e-1, 2 policy changes'; null keeps the current text
+ * @param {boolean} playing - Whether sweeps run on a timer (Play becomes Pause)
+ */
+export function setStepperStatus(text, playing) {
+    if (text !== null) {
+        document.getElementById('vi-step-info').textContent = text;
+    }
+    document.getElementById('btn-vi-play').textContent = playing ? 'Pause' : 'Play';
+}
+
+// === BATCH SIMULATION DISPLAY ===
+
+/**
+ * Show Monte Carlo statistics for a batch of rollouts
+ * @param {Object} result - multipleRollouts() output
+ * @param {number|null} solverValue - The solution's V(start), the value the
+ *   discounted Monte Carlo mean should estimate
+ */
+export function showBatchSimulation(result, solverValue) {
+    uiState.batchResult = result;
+    
+    document.getElementById('batch-inspector').style.display = 'block';
+    
+    document.getElementById('batch-num-runs').textContent = result.numRuns;
+    document.getElementById('batch-truncated').textContent = result.truncatedRuns;
+    document.getElementById('batch-solver-value').textContent = formatNumber(solverValue);
+    
+    // Statistics table
+    const container = document.getElementById('batch-stats');
+    container.innerHTML = '';
+    container.className = 'value-table';
+    
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th></th><th>Mean</th><th>Std</th><th>95% CI</th></tr>';
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    [
+        ['Return', result.undiscounted],
+        ['Discounted', result.discounted],
+        ['Length', result.lengths]
+    ].forEach(([label, stats]) => {
+        const row = document.createElement('tr');
+        [
+            label,
+            formatNumber(stats.mean),
+            formatNumber(stats.std),
+            `[${formatNumber(stats.ci95[0])}, ${formatNumber(stats.ci95[1])}]`
+        ].forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+    
+    // Monte Carlo vs. solver sanity check
+    const comparison = document.getElementById('batch-comparison');
+    const [low, high] = result.discounted.ci95;
+    if (solverValue === null || solverValue === undefined) {
+        comparison.className = 'batch-comparison';
+        comparison.textContent = 'No solver value for the start state';
+    } else {
+        // Small slack so deterministic episodes (zero-width CI) still agree
+        const slack = 1e-9 * Math.max(1, Math.abs(solverValue));
+        const agrees = solverValue >= low - slack && solverValue <= high + slack;
+        const difference = result.discounted.mean - solverValue;
+        comparison.className = 'batch-comparison ' + (agrees ? 'agree' : 'disagree');
+        comparison.textContent = agrees
+            ? `V(start) lies inside the 95% CI (difference ${formatNumber(difference)})`
+            : `V(start) lies outside the 95% CI (difference ${formatNumber(difference)})`;
+        
+        if (result.truncatedRuns > 0) {
+            comparison.textContent += ` - ${result.truncatedRuns} runs hit Sim Steps, increase it to reduce truncation bias`;
+        }
+    }
+    
+    const discountedReturns = result.results.map(r => r.discountedReward);
+    histogram(document.getElementById('batch-return-histogram'), discountedReturns, {
+        xLabel: 'return',
+        markers: solverValue !== null && solverValue !== undefined
+            ? [
+                { value: solverValue, label: 'V(start)', color: '#4CAF50' },
+                { value: result.discounted.mean, label: 'MC mean', color: '#FF9800' }
+            ]
+            : [{ value: result.discounted.mean, label: 'MC mean', color: '#FF9800' }]
+    });
+    
+    histogram(document.getElementById('batch-length-histogram'), result.results.map(r => r.steps), {
+        xLabel: 'steps',
+        integer: true,
+        color: '#9C27B0'
+    });
+}
+
+export function clearBatchSimulation() {
+    uiState.batchResult = null;
+    document.getElementById('batch-inspector').style.display = 'none';
+}
+
+// === RETURN DISTRIBUTION DISPLAY ===
+
+/**
+ * Show the start state's return distribution (from api.returnDistribution)
+ * @param {Object} result
+ * @param {number} solverValue - The solver's V(start), which the mean should match
+ */
+export function showReturnDistribution(result, solverValue) {
+    uiState.distributionResult = { ...result, solverValue };
+    
+    document.getElementById('distribution-inspector').style.display = 'block';
+    
+    document.getElementById('dist-kind').textContent = result.gamma === 1
+        ? 'undiscounted'
+        : `discounted (γ = ${result.gamma})`;
+    document.getElementById('dist-mean').textContent = formatNumber(result.mean, 4);
+    document.getElementById('dist-solver-value').textContent =
+        result.gamma === 1 || solverValue === undefined ? '--' : formatNumber(solverValue, 4);
+    document.getElementById('dist-std').textContent = formatNumber(result.std, 4);
+    document.getElementById('dist-range').textContent =
+        `[${formatNumber(result.min)}, ${formatNumber(result.max)}]`;
+    
+    const spacing = result.support.length > 1 ? result.support[1] - result.support[0] : 0;
+    document.getElementById('dist-resolution').textContent =
+        `${result.support.length} atoms, spacing ${formatNumber(spacing, 4)}` +
+        (result.converged ? '' : ` (not converged after ${result.iterations} sweeps)`);
+    
+    const percentiles = document.getElementById('dist-percentiles');
+    percentiles.innerHTML = '';
+    percentiles.appendChild(buildTable(['Percentile', 'Return'], Object.keys(result.percentiles)
+        .map(percent => [`${percent}%`, formatNumber(result.percentiles[percent])])));
+    
+    updateDistributionThreshold(parseFloat(document.getElementById('distribution-threshold').value));
+}
+
+/**
+ * Recompute P(return ≥ threshold) and redraw the chart with the threshold marked
+ * @param {number} threshold - NaN shows no threshold
+ */
+export function updateDistributionThreshold(threshold) {
+    const result = uiState.distributionResult;
+    if (!result) return;
+    
+    const hasThreshold = isFinite(threshold);
+    document.getElementById('dist-probability').textContent = hasThreshold
+        ? formatNumber(probabilityAtLeast(result.support, result.probabilities, threshold), 4)
+        : '--';
+    
+    const markers = [{ value: result.mean, label: 'mean', color: '#FF9800' }];
+    if (hasThreshold) {
+        markers.push({ value: threshold, label: 't', color: '#f44336' });
+    }
+    distributionChart(document.getElementById('dist-chart'), result.support, result.probabilities, {
+        xLabel: 'return',
+        markers
+    });
+}
+
+/**
+ * Once the start state (or its label) has changed, redraw the risk comparison and
+ * chain summary, which answer from it, and drop a return distribution computed
+ * from another start state
+ */
+function refreshStartResults() {
+    const key = startKey();
+    if (key === uiState.startKey) return;
+    uiState.startKey = key;
+    
+    const startStateId = model.getSettings().startStateId;
+    if (uiState.distributionResult && uiState.distributionResult.startStateId !== startStateId) {
+        clearReturnDistribution();
+    }
+    if (uiState.solution) renderRiskComparison(uiState.solution);
+    if (uiState.chainResult) showChainAnalysis(uiState.chainResult);
+}
+
+function startKey() {
+    const start = model.getStateById(model.getSettings().startStateId);
+    return start ? `${start.id}:${start.label}` : '';
+}
+
+export function clearReturnDistribution() {
+    uiState.distributionResult = null;
+    document.getElementById('distribution-inspector').style.display = 'none';
+}
+
+// === STRUCTURE DISPLAY ===
+
+/**
+ * Show structural diagnostics (from model.analyzeStructure)
+ */
+export function showStructure(result) {
+    uiState.structure = result;
+    uiState.structureKey = structureKey();
+    
+    document.getElementById('structure-inspector').style.display = 'block';
+    
+    const cyclic = result.classes.filter(entry => entry.cyclic).length;
+    document.getElementById('structure-summary').textContent =
+        `${result.classes.length} communicating classes (${cyclic} with cycles), ` +
+        `${result.deadEnds.length} dead ends, ${result.unreachable.length} unreachable, ` +
+        `${result.unbounded.length} with unbounded reward.`;
+    
+    const classes = document.getElementById('structure-classes');
+    classes.innerHTML = '';
+    classes.appendChild(buildTable(['Class', 'Closed', 'Cycles'], result.classes.map(entry => [
+        stateLink(describeStateSet(entry.stateIds), entry.stateIds),
+        entry.closed ? 'yes' : 'no',
+        entry.cyclic ? 'yes' : 'no'
+    ])));
+    
+    renderStateLinks('structure-dead-ends', result.deadEnds,
+        model.getAllStates().some(state => state.terminal) ? 'None' : 'None (no terminal states)');
+    renderStateLinks('structure-unreachable', result.unreachable,
+        model.getStateById(model.getSettings().startStateId) ? 'None' : 'None (no start state)');
+    renderStateLinks('structure-unbounded', result.unbounded, 'None');
+    
+    document.getElementById('structure-reward-cycles').textContent = result.rewardCycles
+        .map(cycle => `A policy can stay in ${describeStateSet(cycle.stateIds)} forever, ` +
+            `earning ${formatNumber(cycle.gain, 3)} per step.`)
+        .join(' ');
+}
+
+export function clearStructure() {
+    uiState.structure = null;
+    uiState.structureKey = null;
+    document.getElementById('structure-inspector').style.display = 'none';
+}
+
+/**
+ * Recompute the open structure panel after edits that can change it
+ */
+function refreshStructure() {
+    if (uiState.structure && structureKey() !== uiState.structureKey) {
+        showStructure(model.analyzeStructure());
+    }
+}
+
+/**
+ * Everything the structure analysis depends on (not positions, so dragging is free)
+ */
+function structureKey() {
+    const graph = model.getGraph();
+    return JSON.stringify([
+        graph.startStateId,
+        graph.states.map(state => [state.id, state.label, state.terminal, state.reward]),
+        graph.actions.map(action => [action.stateId, action.cost, action.outcomes])
+    ]);
+}
+
+/**
+ * Clickable text that selects the given states
+ */
+function stateLink(text, stateIds) {
+    const link = document.createElement('span');
+    link.className = 'state-link';
+    link.textContent = text;
+    link.addEventListener('click', () => selectStates(stateIds));
+    return link;
+}
+
+function renderStateLinks(containerId, stateIds, emptyText) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    
+    const present = stateIds.filter(stateId => model.getStateById(stateId));
+    if (present.length === 0) {
+        container.textContent = emptyText;
+        return;
+    }
+    
+    present.forEach((stateId, i) => {
+        if (i > 0) container.appendChild(document.createTextNode(', '));
+        container.appendChild(stateLink(model.getStateById(stateId).label, [stateId]));
+    });
+}
+
+// === PROBLEMS ===
+
+/**
+ * List the graph's diagnostics (from model.diagnoseGraph) in the Problems panel,
+ * if anything they depend on has changed
+ */
+export function refreshProblems() {
+    const key = problemsKey();
+    if (key === uiState.problemsKey) return;
+    uiState.problemsKey = key;
+    
+    const diagnostics = model.diagnoseGraph();
+    const errors = diagnostics.filter(d => d.severity === 'error').length;
+    document.getElementById('problems-count').textContent = diagnostics.length > 0
+        ? `${errors} error${errors === 1 ? '' : 's'}, ${diagnostics.length - errors} warning${diagnostics.length - errors === 1 ? '' : 's'}`
+        : '';
+    
+    const list = document.getElementById('problems-list');
+    list.innerHTML = '';
+    if (diagnostics.length === 0) {
+        list.textContent = 'No problems found';
+        return;
+    }
+    
+    diagnostics.forEach(diagnostic => {
+        const item = document.createElement('div');
+        item.className = `problem ${diagnostic.severity}`;
+        
+        const icon = document.createElement('span');
+        icon.className = 'problem-icon';
+        icon.textContent = diagnostic.severity === 'error' ? '❌' : '⚠️';
+        item.appendChild(icon);
+        
+        const message = document.createElement('span');
+        message.className = 'problem-message state-link';
+        message.textContent = diagnostic.message;
+        message.addEventListener('click', () => selectProblem(diagnostic));
+        item.appendChild(message);
+        
+        if (diagnostic.fix) {
+            // app.js applies the fix, since it may change settings as well as the graph
+            const fix = document.createElement('button');
+            fix.className = 'small-btn';
+            fix.textContent = diagnostic.fix;
+            fix.addEventListener('click', () => {
+                list.dispatchEvent(new CustomEvent('problem-fix', { detail: diagnostic }));
+            });
+            item.appendChild(fix);
+        }
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Bring the Problems panel into view, e.g. when errors stop a solve
+ */
+export function revealProblems() {
+    refreshProblems();
+    const panel = document.getElementById('problems-panel');
+    if (panel.scrollIntoView) {
+        panel.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * Select what a diagnostic is about: its action if there is just one, otherwise its states
+ */
+function selectProblem(diagnostic) {
+    const actions = diagnostic.actionIds.filter(id => model.getActionById(id));
+    if (actions.length === 1) {
+        selectAction(actions[0]);
+        render();
+    } else {
+        selectStates(diagnostic.stateIds);
+    }
+}
+
+/**
+ * Everything validation looks at (not positions, so dragging is free)
+ */
+function problemsKey() {
+    const graph = model.getGraph();
+    return JSON.stringify([
+        graph.gamma,
+        graph.startStateId,
+        graph.states.map(state => [state.id, state.label, state.terminal, state.reward, state.rewardDistribution]),
+        graph.actions
+    ]);
+}
+
+// === CHAIN ANALYSIS DISPLAY ===
+
+/**
+ * Show the Markov chain analysis of a policy (from api.analyzeChain)
+ */
+export function showChainAnalysis(result) {
+    uiState.chainResult = result;
+    
+    document.getElementById('chain-inspector').style.display = 'block';
+    
+    const classes = result.recurrentClasses;
+    const classNames = classes.map(entry => describeStateSet(entry.stateIds));
+    const label = stateId => model.getStateById(stateId).label;
+    const steps = value => (isFinite(value) ? formatNumber(value) : '∞');
+    
+    // Summary, answered from the start state where there is one
+    const summary = [
+        `${classes.length} recurrent ${classes.length === 1 ? 'class' : 'classes'}, ` +
+        `${result.transientStateIds.length} transient ${result.transientStateIds.length === 1 ? 'state' : 'states'}.`
+    ];
+    const startStateId = model.getSettings().startStateId;
+    if (startStateId && result.absorption[startStateId]) {
+        const endings = classes
+            .map((entry, c) => ({ name: classNames[c], prob: result.absorption[startStateId][c] }))
+            .filter(ending => ending.prob > 1e-12)
+            .map(ending => `${formatNumber(ending.prob * 100, 1)}% ${ending.name}`);
+        summary.push(`From ${label(startStateId)}: ${endings.join(', ')} after ` +
+            `${formatNumber(result.expectedSteps[startStateId])} steps on average.`);
+    }
+    document.getElementById('chain-summary').textContent = summary.join(' ');
+    
+    // Absorption probabilities and expected steps from each transient state
+    const absorption = document.getElementById('chain-absorption');
+    absorption.innerHTML = '';
+    if (result.transientStateIds.length === 0) {
+        absorption.textContent = 'Every state is recurrent';
+    } else {
+        absorption.appendChild(buildTable(['From', ...classNames, 'Steps'], result.transientStateIds.map(stateId => [
+            label(stateId),
+            ...result.absorption[stateId].map(prob => formatNumber(prob, 3)),
+            formatNumber(result.expectedSteps[stateId])
+        ])));
+    }
+    
+    // Recurrent classes with their long-run share of time in each state
+    const classTable = document.getElementById('chain-classes');
+    classTable.innerHTML = '';
+    classTable.appendChild(buildTable(['Class', 'Period', 'Stationary distribution'], classes.map((entry, c) => [
+        classNames[c],
+        String(entry.period),
+        entry.stateIds.map(stateId => `${label(stateId)} ${formatNumber(entry.stationary[stateId], 3)}`).join(', ')
+    ])));
+    
+    // Mean first-passage times, from (rows) to (columns)
+    const states = model.getAllStates();
+    const passage = document.getElementById('chain-passage');
+    passage.innerHTML = '';
+    passage.appendChild(buildTable(['', ...states.map(state => state.label)], states.map(from => [
+        from.label,
+        ...states.map(to => steps(result.firstPassage[from.id][to.id]))
+    ])));
+}
+
+export function clearChainAnalysis() {
+    uiState.chainResult = null;
+    document.getElementById('chain-inspector').style.display = 'none';
+}
+
+/**
+ * "{A, B}" from state labels (states deleted since are skipped)
+ */
+function describeStateSet(stateIds) {
+    const labels = stateIds.map(model.getStateById).filter(Boolean).map(state => state.label);
+    return `{${labels.join(', ')}}`;
+}
+
+// === LEARNING DISPLAY ===
+
+/**
+ * Show learning curves and the learned Q table of a training run
+ */
+export function showLearning(result) {
+    uiState.learningResult = result;
+    
+    document.getElementById('learning-inspector').style.display = 'block';
+    
+    const episodes = result.episodes;
+    const last = episodes[episodes.length - 1];
+    
+    document.getElementById('rl-result-algorithm').textContent =
+        result.algorithm === 'sarsa' ? 'SARSA' : 'Q-Learning';
+    document.getElementById('rl-result-episodes').textContent = episodes.length;
+    document.getElementById('rl-result-error').textContent =
+        last && last.qError !== null ? formatNumber(last.qError, 4) : '--';
+    
+    // Raw returns are noisy under exploration; overlay a moving average
+    const returns = episodes.map(episode => episode.return);
+    const span = Math.max(1, Math.round(episodes.length / 50));
+    lineChart(document.getElementById('rl-return-chart'), [
+        { label: 'Return', values: returns, color: '#bbdefb' },
+        { label: `Average (${span})`, values: movingAverage(returns, span), color: '#2196F3' }
+    ], { xLabel: 'episode' });
+    
+    const errorChart = document.getElementById('rl-error-chart');
+    if (result.referenceQ) {
+        lineChart(errorChart, [
+            { values: episodes.map(episode => episode.qError), color: '#f44336' }
+        ], { xLabel: 'episode', logScale: true });
+    } else {
+        errorChart.textContent = 'No reference solution';
+    }
+    
+    renderQTable(result);
+}
+
+/**
+ * Learned Q̂(s, a) next to the ground-truth Q*(s, a); greedy actions are highlighted
+ */
+function renderQTable(result) {
+    const container = document.getElementById('rl-q-table');
+    container.innerHTML = '';
+    container.className = 'value-table';
+    
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    thead.innerHTML = '<tr><th>State</th><th>Action</th><th>Q̂</th><th>Q*</th></tr>';
+    table.appendChild(thead);
+    
+    const tbody = document.createElement('tbody');
+    model.getAllStates().forEach(state => {
+        const actionValues = result.Q[state.id];
+        if (!actionValues) return;
+        
+        for (const actionId in actionValues) {
+            const action = model.getActionById(actionId);
+            const row = document.createElement('tr');
+            [
+                state.label,
+                action ? action.label : '?',
+                formatNumber(actionValues[actionId]),
+                result.referenceQ ? formatNumber(result.referenceQ[state.id][actionId]) : '--'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            
+            if (result.policy[state.id] === actionId) {
+                row.classList.add('greedy');
+            }
+            
+            tbody.appendChild(row);
+        }
+    });
+    table.appendChild(tbody);
+    container.appendChild(table);
+}
+
+export function clearLearning() {
+    uiState.learningResult = null;
+    document.getElementById('learning-inspector').style.display = 'none';
+}
+
 // === SIMULATION DISPLAY ===
 
 export function showSimulation(result) {
@@ -783,8 +2465,207 @@ export function clearSimulation() {
     document.getElementById('simulation-inspector').style.display = 'none';
 }
 
+// === PROJECTS ===
+
+const RESULT_KINDS = { solution: 'Solution', simulation: 'Simulation', batch: 'Batch simulation' };
+
+/**
+ * List projects in the Projects panel, the open one highlighted. Clicking one, or one
+ * of its buttons, dispatches `project-command` ({ command: 'open' | 'rename' |
+ * 'duplicate' | 'delete', projectId }) on the list for app.js.
+ * @param {Object[]|null} projectList - From projects.listProjects(), or null without projects (no IndexedDB)
+ * @param {Object|null} current - The open project's metadata
+ */
+export function renderProjects(projectList, current) {
+    const name = document.getElementById('project-name');
+    const controls = document.getElementById('project-controls');
+    if (!projectList) {
+        name.textContent = 'Projects need IndexedDB; the graph is saved in this browser only';
+        controls.style.display = 'none';
+        return;
+    }
+    name.textContent = current ? current.name : '';
+    controls.style.display = '';
+    
+    const list = document.getElementById('project-list');
+    list.innerHTML = '';
+    if (projectList.length === 0) {
+        list.textContent = 'No matching projects';
+        return;
+    }
+    
+    const dispatch = (command, projectId) => {
+        list.dispatchEvent(new CustomEvent('project-command', { detail: { command, projectId } }));
+    };
+    
+    projectList.forEach(project => {
+        const item = document.createElement('li');
+        item.classList.toggle('current', Boolean(current && project.id === current.id));
+        item.title = `Created ${formatTimestamp(project.created)}`;
+        item.addEventListener('click', () => dispatch('open', project.id));
+        
+        const image = document.createElement('img');
+        image.className = 'project-thumbnail';
+        image.alt = '';
+        image.src = 'data:image/svg+xml,' + encodeURIComponent(project.thumbnail);
+        item.appendChild(image);
+        
+        item.appendChild(listEntryInfo(project.name,
+            `${project.stateCount} states · ${project.actionCount} actions · ${formatTimestamp(project.modified)}`));
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'project-buttons';
+        buttons.appendChild(commandButton('Rename', () => dispatch('rename', project.id)));
+        buttons.appendChild(commandButton('Duplicate', () => dispatch('duplicate', project.id)));
+        buttons.appendChild(commandButton('Delete', () => dispatch('delete', project.id)));
+        item.appendChild(buttons);
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * List the open project's stored results, newest first. Ones computed on another
+ * version of the graph are greyed out and cannot be shown. Their buttons dispatch
+ * `result-command` ({ command: 'show' | 'delete', resultId }) on the list for app.js.
+ * @param {Object[]} results - From projects.listResults()
+ * @param {Function} isCurrent - Whether a result matches the current graph (projects.isCurrent)
+ */
+export function renderStoredResults(results, isCurrent) {
+    const list = document.getElementById('results-list');
+    list.innerHTML = '';
+    if (results.length === 0) {
+        list.textContent = 'Nothing stored yet';
+        return;
+    }
+    
+    const dispatch = (command, resultId) => {
+        list.dispatchEvent(new CustomEvent('result-command', { detail: { command, resultId } }));
+    };
+    
+    results.forEach(result => {
+        const stale = !isCurrent(result);
+        const item = document.createElement('li');
+        item.classList.toggle('stale', stale);
+        item.title = stale ? 'Computed on an earlier version of the graph' : '';
+        
+        item.appendChild(listEntryInfo(result.label,
+            `${RESULT_KINDS[result.kind] || result.kind} · ${formatTimestamp(result.created)}`));
+        if (!stale) {
+            item.appendChild(commandButton('Show', () => dispatch('show', result.id)));
+        }
+        item.appendChild(commandButton('Delete', () => dispatch('delete', result.id)));
+        
+        list.appendChild(item);
+    });
+}
+
+function listEntryInfo(title, meta) {
+    const info = document.createElement('div');
+    info.className = 'project-info';
+    
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'project-title';
+    titleDiv.textContent = title;
+    info.appendChild(titleDiv);
+    
+    const metaDiv = document.createElement('div');
+    metaDiv.className = 'project-meta';
+    metaDiv.textContent = meta;
+    info.appendChild(metaDiv);
+    
+    return info;
+}
+
+/**
+ * A small button that does not also trigger its list item
+ */
+function commandButton(text, onClick) {
+    const button = document.createElement('button');
+    button.className = 'small-btn';
+    button.textContent = text;
+    button.addEventListener('click', event => {
+        event.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * Time of day for today, otherwise the date
+ */
+function formatTimestamp(time) {
+    const date = new Date(time);
+    return date.toDateString() === new Date().toDateString()
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+// === HISTORY ===
+
+/**
+ * List the edits in the History panel; the current one is highlighted and undone
+ * ones are greyed out. Clicking one dispatches `history-jump` (detail: the number
+ * of edits to keep done) on the list for app.js.
+ */
+function renderHistory() {
+    const { labels, position } = history.getEntries();
+    const list = document.getElementById('history-list');
+    list.innerHTML = '';
+    
+    ['Start', ...labels].forEach((label, i) => {
+        const item = document.createElement('li');
+        item.textContent = label;
+        item.classList.toggle('current', i === position);
+        item.classList.toggle('undone', i > position);
+        item.addEventListener('click', () => {
+            list.dispatchEvent(new CustomEvent('history-jump', { detail: i }));
+        });
+        list.appendChild(item);
+    });
+    
+    // Keep the current edit in view
+    const current = list.children[position];
+    if (current && current.scrollIntoView) {
+        current.scrollIntoView({ block: 'nearest' });
+    }
+    
+    document.getElementById('btn-undo').disabled = !history.canUndo();
+    document.getElementById('btn-redo').disabled = !history.canRedo();
+}
+
 // === STATUS ===
 
 export function setStatus(message) {
     document.getElementById('status-message').textContent = message;
 }
+
+/**
+ * Show the progress indicator under the status message
+ * @param {string} text - e.g. 'Iteration 120, residual 3.2e-4'
+ * @param {number|null} fraction - Completed fraction in [0, 1], or null when the
+ *   total is unknown (shows a sliding bar)
+ */
+export function showProgress(text, fraction = null) {
+    const track = document.querySelector('#task-progress .progress-track');
+    const bar = document.getElementById('progress-bar');
+    
+    track.classList.toggle('indeterminate', fraction === null);
+    bar.style.width = fraction === null ? '' : `${(clamp(fraction, 0, 1) * 100).toFixed(1)}%`;
+    document.getElementById('progress-text').textContent = text;
+    document.getElementById('task-progress').style.display = 'block';
+}
+
+export function hideProgress() {
+    document.getElementById('task-progress').style.display = 'none';
+    document.getElementById('progress-bar').style.width = '0';
+}
+
+/**
+ * Enable the Cancel button, or disable it for a task nothing can interrupt
+ */
+export function setProgressCancellable(cancellable) {
+    const button = document.getElementById('btn-cancel-task');
+    button.disabled = !cancellable;
+    button.title = cancellable ? '' : 'This browser runs tasks on the main thread, so they cannot be cancelled';
+}
@@ -86,6 +86,19 @@ export function debounce(func, wait) {
     };
 }
 
+/**
+ * Throttle a function: calls within `wait` ms of the last accepted call are dropped
+ */
+export function throttle(func, wait) {
+    let last = -Infinity;
+    return function throttledFunction(...args) {
+        const now = Date.now();
+        if (now - last < wait) return;
+        last = now;
+        func(...args);
+    };
+}
+
 /**
  * Generate a random color (for debugging)
  */
@@ -143,6 +156,19 @@ export function arraysEqual(a, b) {
     return true;
 }
 
+/**
+ * Group items by a key, keeping their order
+ * @returns {Object} - { key: items[] }
+ */
+export function groupBy(items, key) {
+    const groups = {};
+    items.forEach(item => {
+        const k = key(item);
+        (groups[k] = groups[k] || []).push(item);
+    });
+    return groups;
+}
+
 /**
  * Weighted random choice
  * choices: array of {value, weight} or {value, prob}
@@ -165,15 +191,74 @@ export function weightedChoice(choices, rng = Math.random) {
 /**
  * Shuffle array (Fisher-Yates)
  */
-export function shuffle(array) {
+export function shuffle(array, rng = Math.random) {
     const arr = [...array];
     for (let i = arr.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(rng() * (i + 1));
         [arr[i], arr[j]] = [arr[j], arr[i]];
     }
     return arr;
 }
 
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * Same seed, same sequence: a drop-in replacement for Math.random.
+ * @param {number} seed - Integer seed (non-integers are truncated to 32 bits)
+ * @returns {Function} - rng() returning floats in [0, 1)
+ */
+export function createRng(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Summary statistics of a sample with a normal-approximation 95% confidence
+ * interval for the mean (std is the sample standard deviation)
+ * @returns {Object} - { n, mean, std, min, max, ci95: [low, high] }
+ */
+export function sampleStatistics(values) {
+    const n = values.length;
+    if (n === 0) {
+        return { n: 0, mean: null, std: null, min: null, max: null, ci95: [null, null] };
+    }
+    
+    const mean = sum(values) / n;
+    const variance = n > 1
+        ? values.reduce((acc, value) => acc + Math.pow(value - mean, 2), 0) / (n - 1)
+        : 0;
+    const std = Math.sqrt(variance);
+    const halfWidth = 1.96 * std / Math.sqrt(n);
+    
+    return {
+        n,
+        mean,
+        std,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        ci95: [mean - halfWidth, mean + halfWidth]
+    };
+}
+
+/**
+ * Trailing moving average (window shrinks at the start of the series)
+ */
+export function movingAverage(arr, window) {
+    const result = [];
+    let total = 0;
+    for (let i = 0; i < arr.length; i++) {
+        total += arr[i];
+        if (i >= window) total -= arr[i - window];
+        result.push(total / Math.min(i + 1, window));
+    }
+    return result;
+}
+
 /**
  * Find index of max value in array
  */
@@ -199,3 +284,51 @@ export function argmaxAll(arr) {
     return arr.map((val, idx) => val === maxVal ? idx : -1)
               .filter(idx => idx !== -1);
 }
+
+/**
+ * Strongly connected components (Tarjan), in reverse topological order:
+ * a component only leads to components listed before it
+ * @param {string[]} ids - Nodes
+ * @param {Function} successors - id -> ids it has an edge to
+ * @returns {string[][]}
+ */
+export function stronglyConnectedComponents(ids, successors) {
+    const order = {};
+    const lowLink = {};
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    const visit = id => {
+        order[id] = lowLink[id] = counter++;
+        stack.push(id);
+        onStack.add(id);
+
+        successors(id).forEach(next => {
+            if (order[next] === undefined) {
+                visit(next);
+                lowLink[id] = Math.min(lowLink[id], lowLink[next]);
+            } else if (onStack.has(next)) {
+                lowLink[id] = Math.min(lowLink[id], order[next]);
+            }
+        });
+
+        if (lowLink[id] === order[id]) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== id);
+            components.push(component);
+        }
+    };
+
+    ids.forEach(id => {
+        if (order[id] === undefined) visit(id);
+    });
+
+    return components;
+}
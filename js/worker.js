@@ -0,0 +1,32 @@
+// worker.js - Web Worker entry point: solves, simulations and analyses off the UI thread
+//
+// Started by tasks.js, one worker per task. Protocol:
+//   in:  { type: 'solve' | 'simulate' | 'distribution' | 'chain', graph, options }  (api.js options)
+//   out: { type: 'progress', progress }  (at most every PROGRESS_INTERVAL ms)
+//        { type: 'result', result }
+//        { type: 'error', message, errors }
+// Cancelling is done by terminating the worker, so there is no cancel message.
+
+import { solve, simulate, returnDistribution, analyzeChain } from './api.js';
+import { throttle } from './utils.js';
+
+const PROGRESS_INTERVAL = 50; // ms
+const RUNNERS = { solve, simulate, distribution: returnDistribution, chain: analyzeChain };
+
+self.addEventListener('message', event => {
+    const { type, graph, options } = event.data;
+
+    const onProgress = throttle(progress => {
+        self.postMessage({ type: 'progress', progress });
+    }, PROGRESS_INTERVAL);
+
+    try {
+        if (!RUNNERS[type]) {
+            throw new Error(`Unknown task: ${type}`);
+        }
+        const result = RUNNERS[type](graph, { ...options, onProgress });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, errors: error.errors });
+    }
+});
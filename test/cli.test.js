@@ -0,0 +1,38 @@
+// cli.test.js - bin/mdp.js on the bundled examples
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/mdp.js', import.meta.url));
+const GRIDWORLD = fileURLToPath(new URL('../examples/gridworld.json', import.meta.url));
+
+function mdp(...args) {
+    return execFileSync(process.execPath, [CLI, ...args], {
+        encoding: 'utf8',
+        timeout: 30000,
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+}
+
+test('solve prints values and a policy for the gridworld example', () => {
+    const result = JSON.parse(mdp('solve', GRIDWORLD, '--solver', 'policy-iteration'));
+    const s1 = result.states.find(state => state.id === 's1');
+    const csv = mdp('solve', GRIDWORLD, '--format', 'csv');
+
+    assert.ok(Math.abs(s1.value - 8.7805) < 1e-3);
+    assert.equal(s1.policy, 'down');
+    assert.match(csv, /^File,State,Value,Policy/);
+    assert.match(csv, /"S2",8\.7805,"right"/);
+});
+
+test('simulate with a seed is reproducible', () => {
+    const args = ['simulate', GRIDWORLD, '--runs', '200', '--seed', '7'];
+    assert.equal(mdp(...args), mdp(...args));
+});
+
+test('validate accepts the example and exits non-zero on an unknown command', () => {
+    assert.equal(JSON.parse(mdp('validate', GRIDWORLD)).valid, true);
+    assert.throws(() => mdp('frobnicate', GRIDWORLD), /unknown command/);
+});
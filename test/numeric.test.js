@@ -0,0 +1,75 @@
+// numeric.test.js - The simplex, linear algebra, distribution helpers and undo history
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simplex } from '../js/lp.js';
+import { solveLinearSystem } from '../js/linalg.js';
+import { quantile, probabilityAtLeast, summarize } from '../js/distributional.js';
+import * as model from '../js/model.js';
+import * as history from '../js/history.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('simplex solves a small LP and reports its duals', () => {
+    // max 3x + 2y  s.t.  x + y + s1 = 4,  x + 3y + s2 = 6
+    const result = simplex({ c: [3, 2, 0, 0], A: [[1, 1, 1, 0], [1, 3, 0, 1]], b: [4, 6] });
+
+    assert.equal(result.status, 'optimal');
+    assertClose(result.objective, 12);
+    assertClose(result.x[0], 4);
+    assertClose(result.duals[0], 3);
+    assertClose(result.duals[1], 0);
+});
+
+test('simplex detects infeasible and unbounded problems', () => {
+    assert.equal(simplex({ c: [1], A: [[1], [1]], b: [1, 2] }).status, 'infeasible');
+    assert.equal(simplex({ c: [1, 0], A: [[1, -1]], b: [1] }).status, 'unbounded');
+});
+
+test('solveLinearSystem pivots past a zero and rejects singular systems', () => {
+    const x = solveLinearSystem([[0, 2, 1], [1, 1, 0], [2, 0, 3]], [7, 3, 11]);
+    [1, 2, 3].forEach((expected, i) => assertClose(x[i], expected));
+
+    assert.equal(solveLinearSystem([[1, 2], [2, 4]], [1, 2]), null);
+});
+
+test('distribution summaries of a 50/50 gamble', () => {
+    const support = [-4, 3, 10];
+    const probabilities = [0.5, 0, 0.5];
+
+    assert.equal(quantile(support, probabilities, 0.5), -4);
+    assert.equal(quantile(support, probabilities, 0.75), 10);
+    assertClose(probabilityAtLeast(support, probabilities, 10), 0.5);
+    assert.equal(probabilityAtLeast(support, probabilities, 11), 0);
+
+    const summary = summarize(support, probabilities);
+    assertClose(summary.mean, 3);
+    assertClose(summary.std, 7);
+    assert.equal(summary.min, -4);
+    assert.equal(summary.max, 10);
+});
+
+test('history undoes and redoes edits, dropping redo after a new edit', () => {
+    model.init();
+    history.clear();
+
+    const stateId = history.perform('Add state', id => ({ stateIds: id ? [id] : [] }),
+        () => model.addState(0, 0, 'A').id);
+    history.perform('Rename state', { stateIds: [stateId] }, () => model.updateState(stateId, { label: 'B' }));
+    assert.deepEqual(history.getEntries(), { labels: ['Add state', 'Rename state'], position: 2 });
+
+    history.undo();
+    assert.equal(model.getStateById(stateId).label, 'A');
+    history.undo();
+    assert.equal(model.getStateById(stateId), undefined);
+    assert.equal(history.canUndo(), false);
+
+    history.redo();
+    assert.equal(model.getStateById(stateId).label, 'A');
+
+    history.perform('Move state', { stateIds: [stateId] }, () => model.updateState(stateId, { x: 50 }));
+    assert.equal(history.canRedo(), false);
+    assert.deepEqual(history.getEntries().labels, ['Add state', 'Move state']);
+});
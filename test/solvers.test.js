@@ -0,0 +1,185 @@
+// solvers.test.js - Every solver against value iteration on a small fixed MDP
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solve, returnDistribution, analyzeChain, validate, SOLVERS } from '../js/api.js';
+import * as model from '../js/model.js';
+
+const TOLERANCE = 1e-4;
+
+// Three decision states, a goal and a trap: "safe" is slow, "risky" may fall into the trap
+const GRAPH = {
+    gamma: 0.9,
+    epsilon: 1e-10,
+    horizon: 300,
+    riskLevel: 1,
+    riskAversion: 1,
+    startStateId: 's0',
+    states: [
+        { id: 's0', label: 'S0', reward: 0 },
+        { id: 's1', label: 'S1', reward: -1 },
+        { id: 's2', label: 'S2', reward: 0 },
+        { id: 'goal', label: 'Goal', reward: 10, terminal: true },
+        { id: 'trap', label: 'Trap', reward: -5, terminal: true }
+    ],
+    actions: [
+        {
+            id: 'safe', stateId: 's0', label: 'safe', cost: 1, costs: { time: 3 },
+            outcomes: [{ toStateId: 's1', prob: 0.9 }, { toStateId: 's0', prob: 0.1 }]
+        },
+        {
+            id: 'risky', stateId: 's0', label: 'risky', cost: 0, costs: { time: 1 },
+            outcomes: [{ toStateId: 'goal', prob: 0.6 }, { toStateId: 'trap', prob: 0.4 }]
+        },
+        {
+            id: 'walk', stateId: 's1', label: 'walk', cost: 0,
+            outcomes: [{ toStateId: 's2', prob: 0.8 }, { toStateId: 's1', prob: 0.2, reward: 1 }]
+        },
+        {
+            id: 'jump', stateId: 's1', label: 'jump', cost: 2,
+            outcomes: [{ toStateId: 'goal', prob: 0.5 }, { toStateId: 'trap', prob: 0.5 }]
+        },
+        {
+            id: 'finish', stateId: 's2', label: 'finish', cost: 0,
+            outcomes: [{ toStateId: 'goal', prob: 0.95 }, { toStateId: 's0', prob: 0.05 }]
+        }
+    ]
+};
+
+function assertClose(actual, expected, tolerance = TOLERANCE, message = '') {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function assertSameValues(actual, expected, tolerance = TOLERANCE) {
+    for (const stateId in expected) {
+        assertClose(actual[stateId], expected[stateId], tolerance, `V(${stateId}): `);
+    }
+}
+
+/**
+ * The action a policy entry takes most often (entries may be ids or { actionId: prob })
+ */
+function mainAction(entry) {
+    if (typeof entry === 'string') return entry;
+    return Object.keys(entry).reduce((best, actionId) => (entry[actionId] > entry[best] ? actionId : best));
+}
+
+const reference = solve(GRAPH, { solver: 'value-iteration' });
+
+test('the fixed MDP is valid', () => {
+    assert.equal(validate(GRAPH).valid, true);
+});
+
+test('every solver is covered', () => {
+    assert.deepEqual([...SOLVERS].sort(), [
+        'constrained', 'cvar', 'entropic', 'finite-horizon', 'linear-programming', 'policy-iteration', 'value-iteration'
+    ]);
+});
+
+for (const solver of ['policy-iteration', 'linear-programming', 'constrained']) {
+    test(`${solver} matches value iteration`, () => {
+        const solution = solve(GRAPH, { solver });
+        assertSameValues(solution.values, reference.values);
+        for (const stateId of ['s0', 's1', 's2']) {
+            assert.equal(mainAction(solution.policy[stateId]), reference.policy[stateId], `policy at ${stateId}`);
+        }
+    });
+}
+
+test('finite-horizon with a long horizon matches value iteration', () => {
+    const solution = solve(GRAPH, { solver: 'finite-horizon' });
+    assertSameValues(solution.values, reference.values);
+});
+
+test('cvar at level 1 is the mean, so it matches value iteration', () => {
+    const solution = solve(GRAPH, { solver: 'cvar' });
+    assertSameValues(solution.values, reference.values, 1e-3);
+});
+
+test('entropic values lie below their expected values and approach them as β shrinks', () => {
+    const averse = solve(GRAPH, { solver: 'entropic', riskAversion: 1 });
+    for (const stateId of ['s0', 's1', 's2']) {
+        assert.ok(averse.values[stateId] <= averse.expectedValues[stateId] + TOLERANCE);
+        assert.ok(averse.expectedValues[stateId] <= reference.values[stateId] + TOLERANCE);
+    }
+
+    const neutral = solve(GRAPH, { solver: 'entropic', riskAversion: 1e-6 });
+    assertSameValues(neutral.values, reference.values, 1e-3);
+});
+
+test('constrained solving meets a binding budget', () => {
+    const unconstrained = solve(GRAPH, { solver: 'constrained' });
+    const budget = 2;
+    const solution = solve({ ...GRAPH, constraints: [{ dimension: 'time', budget }] }, { solver: 'constrained' });
+
+    assert.equal(solution.constraints.length, 1);
+    assert.ok(solution.constraints[0].expected <= budget + TOLERANCE);
+    assert.ok(solution.objective < unconstrained.objective - TOLERANCE, 'the budget binds');
+});
+
+test('the return distribution has the policy value as its mean', () => {
+    const result = returnDistribution(GRAPH, { solver: 'value-iteration', atoms: 401 });
+    assertClose(result.mean, reference.values.s0, 0.05);
+    assertClose(result.probabilities.reduce((a, b) => a + b, 0), 1, 1e-9);
+});
+
+test('threshold probabilities of a 50/50 gamble come out exact', () => {
+    // Win 10 or lose 4 one step later: G is 9 or -3.6 with γ = 0.9
+    const gamble = {
+        gamma: 0.9,
+        epsilon: 1e-6,
+        startStateId: 's',
+        states: [
+            { id: 's', label: 'S', reward: 0 },
+            { id: 'win', label: 'Win', reward: 10, terminal: true },
+            { id: 'lose', label: 'Lose', reward: -4, terminal: true }
+        ],
+        actions: [{
+            id: 'bet', stateId: 's', label: 'bet', cost: 0,
+            outcomes: [{ toStateId: 'win', prob: 0.5 }, { toStateId: 'lose', prob: 0.5 }]
+        }]
+    };
+
+    assert.equal(returnDistribution(gamble, { threshold: 9 }).probabilityAtLeast, 0.5);
+    assert.equal(returnDistribution(gamble, { threshold: -3.6 }).probabilityAtLeast, 1);
+    assert.equal(returnDistribution(gamble, { threshold: 9.5 }).probabilityAtLeast, 0);
+});
+
+test('chain analysis of the optimal policy ends in the goal or the trap', () => {
+    const result = analyzeChain(GRAPH, { solver: 'value-iteration' });
+    const absorbing = result.recurrentClasses.map(entry => entry.stateIds.join(',')).sort();
+
+    assert.deepEqual(absorbing, ['goal', 'trap']);
+    for (const stateId of ['s0', 's1', 's2']) {
+        assertClose(result.absorption[stateId].reduce((a, b) => a + b, 0), 1, 1e-9);
+        assert.ok(result.expectedSteps[stateId] > 0);
+    }
+});
+
+test('solving another graph leaves the loaded model as it was, γ = 0 included', () => {
+    model.loadGraph({ gamma: 0, states: [{ id: 'a', label: 'A', reward: 1 }], actions: [] });
+    const loaded = model.getStateById('a');
+
+    solve(GRAPH, { solver: 'policy-iteration' });
+
+    assert.equal(model.getSettings().gamma, 0);
+    assert.equal(model.getStateById('a'), loaded);
+});
+
+test('a risk-free zero return is worth 0, not -0', () => {
+    const graph = {
+        gamma: 0.9,
+        epsilon: 1e-10,
+        startStateId: 's',
+        states: [
+            { id: 's', label: 'S', reward: 0 },
+            { id: 't', label: 'T', reward: { type: 'discrete', values: [{ value: 0, prob: 1 }] }, terminal: true }
+        ],
+        actions: [{ id: 'go', stateId: 's', label: 'go', cost: 0, outcomes: [{ toStateId: 't', prob: 1 }] }]
+    };
+    const solution = solve(graph, { solver: 'entropic', riskAversion: 1 });
+
+    assert.ok(Object.is(solution.values.s, 0));
+    assert.ok(Object.is(solution.values.t, 0));
+    assert.ok(Object.is(solution.comparison.values.s, 0));
+});